@@ -0,0 +1,149 @@
+// answer-format.js - Expected answer type and typed serialization
+// - detectAnswerType() reads the page's `"answer": ...` template and wording, then the analysis
+// - serializeAnswer() turns a handler's raw answer into number / string / boolean / object /
+//   base64 data URI ("file"), or reports why it cannot
+// - checkSubmitPayload() is the last check before an answer is posted
+export const ANSWER_TYPES = ['number', 'string', 'boolean', 'object', 'file'];
+
+const MAX_PAYLOAD_BYTES = 1024 * 1024;
+const NUMBER_RE = /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i;
+const DATA_URI_RE = /^data:[\w.+-]+\/[\w.+-]+(;[\w-]+=[\w.-]+)*;base64,[A-Za-z0-9+/]+={0,2}$/;
+
+// Type implied by the example value in a `"answer": <value>` template
+function typeFromTemplate(text) {
+  const match = text.match(/"answer"\s*:\s*([^\n,}]*[,}\n]?)/i);
+  if (!match) return null;
+  const example = match[1].trim().replace(/,$/, '');
+
+  if (!example || /^\.\.\.|^…|^</.test(example)) return null; // placeholder, no hint
+  if (/^"data:/i.test(example)) return 'file';
+  if (/^"/.test(example)) return 'string';
+  if (/^(true|false)\b/i.test(example)) return 'boolean';
+  if (/^[{[]/.test(example)) return 'object';
+  if (NUMBER_RE.test(example.replace(/}$/, ''))) return 'number';
+  return null;
+}
+
+// Type implied by how the page describes the answer
+function typeFromWording(text) {
+  const lower = text.toLowerCase();
+  if (/base64|data uri|data:image|as an? (png|image|chart|file)/.test(lower)) return 'file';
+  if (/\b(true or false|true\/false|boolean)\b/.test(lower)) return 'boolean';
+  if (/answer (should be|is|must be) an? (json )?(object|array|list)\b|json (object|array)/.test(lower)) return 'object';
+  if (/answer (should be|is|must be) an? (number|integer|float)/.test(lower)) return 'number';
+  if (/answer (should be|is|must be) an? (string|text|word)/.test(lower)) return 'string';
+  return null;
+}
+
+/**
+ * Expected type of the answer for this page, or null when nothing says
+ */
+export function detectAnswerType(bodyText = '', analysis = null) {
+  return typeFromTemplate(bodyText) || typeFromWording(bodyText) || analysis?.answerType || null;
+}
+
+function sniffMime(buffer) {
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.subarray(0, 4).toString('latin1') === 'GIF8') return 'image/gif';
+  if (buffer.subarray(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+  if (/^\s*(<\?xml[^>]*>\s*)?<svg/i.test(buffer.subarray(0, 256).toString('utf8'))) return 'image/svg+xml';
+  return 'application/octet-stream';
+}
+
+function toDataUri(value) {
+  if (Buffer.isBuffer(value)) return `data:${sniffMime(value)};base64,${value.toString('base64')}`;
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (DATA_URI_RE.test(trimmed)) return trimmed;
+  if (/^[A-Za-z0-9+/]+={0,2}$/.test(trimmed) && trimmed.length % 4 === 0 && trimmed.length >= 8) {
+    return `data:${sniffMime(Buffer.from(trimmed, 'base64'))};base64,${trimmed}`;
+  }
+  return null;
+}
+
+function parseJSONish(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+  if (!/^[{[]/.test(candidate)) return undefined;
+  try { return JSON.parse(candidate); } catch { return undefined; }
+}
+
+// Best guess when the page gives no type: numbers, booleans and JSON as such, anything else as text
+export function inferAnswerValue(answer) {
+  if (typeof answer !== 'string') return answer;
+  const text = answer.trim();
+  if (NUMBER_RE.test(text)) return Number(text);
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+  const json = parseJSONish(text);
+  return json === undefined ? text : json;
+}
+
+/**
+ * Convert a raw answer to the expected type.
+ * Returns { ok: true, value } or { ok: false, error }.
+ */
+export function serializeAnswer(answer, type) {
+  if (answer === undefined || answer === null) return { ok: false, error: 'no answer' };
+
+  switch (type) {
+    case 'number': {
+      if (typeof answer === 'number') {
+        return Number.isFinite(answer) ? { ok: true, value: answer } : { ok: false, error: `${answer} is not a finite number` };
+      }
+      const text = String(answer).trim().replace(/^[$€£]/, '').replace(/(\d),(?=\d{3}\b)/g, '$1');
+      if (NUMBER_RE.test(text)) return { ok: true, value: Number(text) };
+      return { ok: false, error: `"${String(answer).slice(0, 50)}" is not a number` };
+    }
+    case 'boolean': {
+      if (typeof answer === 'boolean') return { ok: true, value: answer };
+      const text = String(answer).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return { ok: true, value: true };
+      if (['false', 'no', '0'].includes(text)) return { ok: true, value: false };
+      return { ok: false, error: `"${String(answer).slice(0, 50)}" is not a boolean` };
+    }
+    case 'object': {
+      const value = typeof answer === 'string' ? parseJSONish(answer) : answer;
+      if (value && typeof value === 'object' && !Buffer.isBuffer(value)) return { ok: true, value };
+      return { ok: false, error: 'answer is not a JSON object or array' };
+    }
+    case 'file': {
+      const value = toDataUri(answer);
+      return value ? { ok: true, value } : { ok: false, error: 'answer is not a base64 data URI' };
+    }
+    case 'string': {
+      if (typeof answer === 'string') return { ok: true, value: answer.trim() };
+      if (typeof answer === 'object') return { ok: true, value: JSON.stringify(answer) };
+      return { ok: true, value: String(answer) };
+    }
+    default:
+      return { ok: true, value: inferAnswerValue(answer) };
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'object': return value !== null && typeof value === 'object';
+    case 'file': return typeof value === 'string' && DATA_URI_RE.test(value);
+    case 'string': return typeof value === 'string';
+    default: return value !== undefined && value !== null;
+  }
+}
+
+/**
+ * Throw if the payload is not fit to post: missing fields, wrong answer type, or over 1MB
+ */
+export function checkSubmitPayload(payload, type = null) {
+  const problems = [];
+  for (const field of ['email', 'secret', 'url']) {
+    if (typeof payload?.[field] !== 'string' || !payload[field]) problems.push(`${field} missing`);
+  }
+  if (!matchesType(payload?.answer, type)) problems.push(`answer is not a ${type || 'value'}`);
+
+  const bytes = Buffer.byteLength(JSON.stringify(payload ?? null));
+  if (bytes > MAX_PAYLOAD_BYTES) problems.push(`payload is ${bytes} bytes (limit ${MAX_PAYLOAD_BYTES})`);
+
+  if (problems.length > 0) throw new Error(`Submit payload rejected: ${problems.join(', ')}`);
+}
@@ -6,6 +6,9 @@ import path from 'path';
 import os from 'os';
 import { promisify } from 'util';
 import { spawnSync } from 'child_process';
+import { transcriptionDuration } from './metrics.js';
+import { aipipeBaseUrl } from './llm-wrapper.js';
+import { logger } from './logger.js';
 
 const writeFile = promisify(fs.writeFile);
 const unlink = promisify(fs.unlink);
@@ -13,9 +16,9 @@ const unlink = promisify(fs.unlink);
 /**
  * Convert audio to WAV format for better compatibility
  */
-function convertToWav(inputPath, outputPath) {
+function convertToWav(inputPath, outputPath, timeoutMs = 60000) {
   const args = ['-y', '-i', inputPath, '-ar', '16000', '-ac', '1', outputPath];
-  const result = spawnSync('ffmpeg', args, { stdio: 'ignore', timeout: 60000 });
+  const result = spawnSync('ffmpeg', args, { stdio: 'ignore', timeout: timeoutMs });
   
   if (result.error) {
     throw new Error(`ffmpeg not found: ${result.error.message}`);
@@ -29,9 +32,13 @@ function convertToWav(inputPath, outputPath) {
 
 /**
  * Transcribe audio file using OpenAI Whisper or AIPipe
+ * options.signal (AbortSignal) cancels the in-flight API request
+ * options.log is a logger carrying the caller's job/task ids
+ * options.timeoutMs caps the ffmpeg conversion and each API request (default 2 min)
  */
-export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
-  console.log(`\n🎙️  Transcribing audio: ${fileName}`);
+export async function transcribeAudio(audioBuffer, fileName = 'audio.opus', options = {}) {
+  const { signal, log = logger, timeoutMs = 120000 } = options;
+  log.info(`\n🎙️  Transcribing audio: ${fileName}`);
   
   // Save buffer to temp file
   const tmpDir = os.tmpdir();
@@ -40,26 +47,27 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
   
   try {
     await writeFile(inputPath, audioBuffer);
-    console.log(`   Saved to: ${inputPath}`);
+    log.info(`   Saved to: ${inputPath}`);
     
     // Convert to WAV if not already
     let fileToTranscribe = inputPath;
     if (!fileName.endsWith('.wav')) {
       try {
-        console.log(`   Converting to WAV...`);
-        convertToWav(inputPath, wavPath);
+        log.info(`   Converting to WAV...`);
+        convertToWav(inputPath, wavPath, Math.min(60000, timeoutMs));
         fileToTranscribe = wavPath;
-        console.log(`   ✓ Converted to WAV`);
+        log.info(`   ✓ Converted to WAV`);
       } catch (convErr) {
-        console.warn(`   ⚠️  Conversion failed, using original: ${convErr.message}`);
+        log.warn(`   ⚠️  Conversion failed, using original: ${convErr.message}`);
         fileToTranscribe = inputPath;
       }
     }
     
     // Try OpenAI Whisper via standard API
     if (process.env.OPENAI_API_KEY) {
+      const endTimer = transcriptionDuration.startTimer({ provider: 'openai' });
       try {
-        console.log(`   Using OpenAI Whisper API...`);
+        log.info(`   Using OpenAI Whisper API...`);
         const form = new FormData();
         form.append('file', fs.createReadStream(fileToTranscribe), {
           filename: path.basename(fileToTranscribe)
@@ -74,26 +82,31 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
               ...form.getHeaders(),
               'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
             },
-            timeout: 120000,
+            timeout: timeoutMs,
+            signal,
             maxContentLength: Infinity,
             maxBodyLength: Infinity
           }
         );
         
+        endTimer({ outcome: 'success' });
         const transcript = response.data?.text || '';
-        console.log(`   ✓ Transcribed (${transcript.length} chars)`);
-        console.log(`   📝 "${transcript.slice(0, 150)}..."`);
+        log.info(`   ✓ Transcribed (${transcript.length} chars)`);
+        log.info(`   📝 "${transcript.slice(0, 150)}..."`);
         
         return transcript;
       } catch (apiErr) {
-        console.warn(`   ⚠️  OpenAI API failed: ${apiErr.message}`);
+        endTimer({ outcome: 'error' });
+        if (signal?.aborted) throw apiErr;
+        log.warn(`   ⚠️  OpenAI API failed: ${apiErr.message}`);
       }
     }
     
     // Try AIPipe Whisper endpoint
     if (process.env.AIPIPE_TOKEN) {
+      const endTimer = transcriptionDuration.startTimer({ provider: 'aipipe' });
       try {
-        console.log(`   Using AIPipe Whisper API...`);
+        log.info(`   Using AIPipe Whisper API...`);
         const form = new FormData();
         form.append('file', fs.createReadStream(fileToTranscribe), {
           filename: path.basename(fileToTranscribe)
@@ -101,33 +114,38 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
         form.append('model', 'whisper-1');
         
         const response = await axios.post(
-          'https://aipipe.org/openai/v1/audio/transcriptions',
+          `${aipipeBaseUrl()}/openai/v1/audio/transcriptions`,
           form,
           {
             headers: {
               ...form.getHeaders(),
               'Authorization': `Bearer ${process.env.AIPIPE_TOKEN}`
             },
-            timeout: 120000,
+            timeout: timeoutMs,
+            signal,
             maxContentLength: Infinity,
             maxBodyLength: Infinity
           }
         );
         
+        endTimer({ outcome: 'success' });
         const transcript = response.data?.text || '';
-        console.log(`   ✓ Transcribed (${transcript.length} chars)`);
-        console.log(`   📝 "${transcript.slice(0, 150)}..."`);
+        log.info(`   ✓ Transcribed (${transcript.length} chars)`);
+        log.info(`   📝 "${transcript.slice(0, 150)}..."`);
         
         return transcript;
       } catch (aipipeErr) {
-        console.warn(`   ⚠️  AIPipe failed: ${aipipeErr.message}`);
+        endTimer({ outcome: 'error' });
+        if (signal?.aborted) throw aipipeErr;
+        log.warn(`   ⚠️  AIPipe failed: ${aipipeErr.message}`);
       }
     }
     
     // Try Groq Whisper (if available)
     if (process.env.GROQ_API_KEY) {
+      const endTimer = transcriptionDuration.startTimer({ provider: 'groq' });
       try {
-        console.log(`   Using Groq Whisper API...`);
+        log.info(`   Using Groq Whisper API...`);
         const form = new FormData();
         form.append('file', fs.createReadStream(fileToTranscribe), {
           filename: path.basename(fileToTranscribe)
@@ -142,22 +160,26 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
               ...form.getHeaders(),
               'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
             },
-            timeout: 120000
+            timeout: timeoutMs,
+            signal
           }
         );
         
+        endTimer({ outcome: 'success' });
         const transcript = response.data?.text || '';
-        console.log(`   ✓ Transcribed (${transcript.length} chars)`);
-        console.log(`   📝 "${transcript.slice(0, 150)}..."`);
+        log.info(`   ✓ Transcribed (${transcript.length} chars)`);
+        log.info(`   📝 "${transcript.slice(0, 150)}..."`);
         
         return transcript;
       } catch (groqErr) {
-        console.warn(`   ⚠️  Groq failed: ${groqErr.message}`);
+        endTimer({ outcome: 'error' });
+        if (signal?.aborted) throw groqErr;
+        log.warn(`   ⚠️  Groq failed: ${groqErr.message}`);
       }
     }
     
-    console.error(`   ❌ All transcription APIs failed`);
-    console.error(`   💡 Set OPENAI_API_KEY, AIPIPE_TOKEN, or GROQ_API_KEY in .env`);
+    log.error(`   ❌ All transcription APIs failed`);
+    log.error(`   💡 Set OPENAI_API_KEY, AIPIPE_TOKEN, or GROQ_API_KEY in .env`);
     
     return null;
     
@@ -171,10 +193,11 @@ export async function transcribeAudio(audioBuffer, fileName = 'audio.opus') {
 /**
  * Extract instructions from transcribed audio
  */
-export function parseAudioInstructions(transcript) {
+export function parseAudioInstructions(transcript, options = {}) {
   if (!transcript) return null;
+  const { log = logger } = options;
   
-  console.log(`\n📋 Parsing audio instructions...`);
+  log.info(`\n📋 Parsing audio instructions...`);
   
   const instructions = {
     rawText: transcript,
@@ -226,9 +249,9 @@ export function parseAudioInstructions(transcript) {
     instructions.target = 'all_columns';
   }
   
-  console.log(`   Operation: ${instructions.operation || 'not specified'}`);
-  console.log(`   Filter: ${instructions.filter ? `${instructions.filter.operator} ${instructions.filter.value}` : 'none'}`);
-  console.log(`   Target: ${instructions.target || 'not specified'}`);
+  log.info(`   Operation: ${instructions.operation || 'not specified'}`);
+  log.info(`   Filter: ${instructions.filter ? `${instructions.filter.operator} ${instructions.filter.value}` : 'none'}`);
+  log.info(`   Target: ${instructions.target || 'not specified'}`);
   
   return instructions;
 }
\ No newline at end of file
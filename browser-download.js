@@ -0,0 +1,85 @@
+// browser-download.js - Download files the way the quiz page itself would fetch them
+// A bare HTTP client has none of the page's session: files behind session cookies, signed
+// URLs or per-email pages come back wrong or 403. downloadWithPage() sends what the browser
+// would: the context's cookies for the file URL, the browser's User-Agent and the quiz page
+// as Referer, plus the extra headers the quiz page asks for (an API token, say) when the
+// file is on the quiz page's own origin. The body is streamed and cut off at maxBytes.
+// Redirects are followed by hand so each hop gets the headers meant for its own origin.
+import axios from 'axios';
+
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+function tooLarge(maxBytes) {
+  return new Error(`maxContentLength size of ${maxBytes} exceeded`);
+}
+
+function sameOrigin(a, b) {
+  try {
+    return new URL(a).origin === new URL(b).origin;
+  } catch {
+    return false;
+  }
+}
+
+// Cookie and User-Agent headers the browser context would send to url
+async function browserHeaders(page, url) {
+  const [cookies, userAgent] = await Promise.all([
+    page.context().cookies(url).catch(() => []),
+    page.evaluate(() => navigator.userAgent).catch(() => null)
+  ]);
+  return {
+    ...(cookies.length > 0 && { Cookie: cookies.map(c => `${c.name}=${c.value}`).join('; ') }),
+    ...(userAgent && { 'User-Agent': userAgent })
+  };
+}
+
+/**
+ * GET url with the page's browser session and return the body as a Buffer.
+ * options: quizUrl (the quiz page: sent as Referer, and the only origin headers go to),
+ * headers, timeoutMs, maxBytes (default 50MB), signal.
+ * Redirects are followed up to 5 hops; non-2xx responses throw, like axios does.
+ */
+export async function downloadWithPage(page, url, options = {}) {
+  const { quizUrl = null, headers = {}, timeoutMs = 60_000, maxBytes = MAX_DOWNLOAD_BYTES, signal } = options;
+  signal?.throwIfAborted();
+
+  let response;
+  for (let hops = 0; ; hops++) {
+    response = await axios.get(url, {
+      headers: {
+        ...await browserHeaders(page, url),
+        ...(/^https?:/i.test(quizUrl || '') && { Referer: quizUrl }),
+        ...(sameOrigin(url, quizUrl) && headers)
+      },
+      responseType: 'stream',
+      timeout: timeoutMs,
+      signal,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+
+    const location = response.headers.location;
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    response.data.destroy();
+    if (hops === MAX_REDIRECTS) throw new Error(`Maximum number of redirects exceeded (${MAX_REDIRECTS})`);
+    url = new URL(location, url).href;
+  }
+
+  const stream = response.data;
+  try {
+    if (response.status < 200 || response.status >= 300) throw new Error(`Request failed with status code ${response.status}`);
+    if (parseInt(response.headers['content-length'], 10) > maxBytes) throw tooLarge(maxBytes);
+
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of stream) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) throw tooLarge(maxBytes);
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } finally {
+    stream.destroy();
+  }
+}
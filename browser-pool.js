@@ -0,0 +1,125 @@
+// browser-pool.js - Shared Playwright browsers for all solver runs
+// - at most BROWSER_POOL_SIZE Chromium processes, launched lazily
+// - each run borrows an isolated context + page and gives it back when done
+// - browsers are recycled after BROWSER_MAX_USES leases to cap memory growth
+import { chromium } from 'playwright';
+import { logger } from './logger.js';
+
+const POOL_SIZE = Math.max(1, parseInt(process.env.BROWSER_POOL_SIZE || '1', 10));
+const MAX_CONTEXTS_PER_BROWSER = Math.max(1, parseInt(process.env.BROWSER_MAX_CONTEXTS || '2', 10));
+const MAX_USES_PER_BROWSER = Math.max(1, parseInt(process.env.BROWSER_MAX_USES || '50', 10));
+
+const LAUNCH_OPTIONS = {
+  args: ['--no-sandbox', '--disable-setuid-sandbox'],
+  headless: true
+};
+
+const slots = [];   // { browser, ready, leases, uses, retired }
+const waiters = []; // resolvers for callers waiting on a free context
+
+function launchSlot() {
+  const slot = { browser: null, ready: null, leases: 0, uses: 0, retired: false };
+  slot.ready = chromium.launch(LAUNCH_OPTIONS).then(browser => {
+    slot.browser = browser;
+    browser.on('disconnected', () => removeSlot(slot));
+    logger.info(`🧭 Browser pool: launched Chromium (${slots.length}/${POOL_SIZE})`);
+    return browser;
+  });
+  slots.push(slot);
+  return slot;
+}
+
+function removeSlot(slot) {
+  const idx = slots.indexOf(slot);
+  if (idx !== -1) slots.splice(idx, 1);
+  wakeWaiter();
+}
+
+function wakeWaiter() {
+  const next = waiters.shift();
+  if (next) next();
+}
+
+function pickSlot() {
+  const available = slots
+    .filter(s => !s.retired && s.leases < MAX_CONTEXTS_PER_BROWSER)
+    .sort((a, b) => a.leases - b.leases);
+  if (available.length > 0) return available[0];
+  if (slots.length < POOL_SIZE) return launchSlot();
+  return null;
+}
+
+/**
+ * Borrow a fresh context + page from the pool.
+ * Always call release() when done (it closes the context, not the browser).
+ */
+export async function acquirePage() {
+  for (;;) {
+    const slot = pickSlot();
+    if (!slot) {
+      await new Promise(resolve => waiters.push(resolve));
+      continue;
+    }
+
+    slot.leases += 1;
+    slot.uses += 1;
+    if (slot.uses >= MAX_USES_PER_BROWSER) slot.retired = true;
+
+    let context;
+    try {
+      const browser = await slot.ready;
+      context = await browser.newContext();
+      const page = await context.newPage();
+
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        try { await context.close(); } catch (e) {}
+        await releaseSlot(slot);
+      };
+
+      return { page, context, release };
+    } catch (err) {
+      if (context) {
+        try { await context.close(); } catch (e) {}
+      }
+      // A launch failure leaves a dead slot behind; drop it so the next caller retries
+      if (!slot.browser) removeSlot(slot);
+      await releaseSlot(slot);
+      throw err;
+    }
+  }
+}
+
+async function releaseSlot(slot) {
+  slot.leases = Math.max(0, slot.leases - 1);
+
+  if (slot.retired && slot.leases === 0 && slot.browser) {
+    logger.info('🧭 Browser pool: recycling Chromium after', slot.uses, 'uses');
+    removeSlot(slot);
+    try { await slot.browser.close(); } catch (e) {}
+    return;
+  }
+
+  wakeWaiter();
+}
+
+/**
+ * Close every pooled browser (used on shutdown)
+ */
+export async function closeBrowserPool() {
+  const current = slots.splice(0, slots.length);
+  await Promise.all(current.map(async slot => {
+    try { await (await slot.ready).close(); } catch (e) {}
+  }));
+}
+
+export function getBrowserPoolStats() {
+  return {
+    size: POOL_SIZE,
+    browsers: slots.length,
+    activeContexts: slots.reduce((n, s) => n + s.leases, 0),
+    waiting: waiters.length
+  };
+}
@@ -0,0 +1,231 @@
+// cassette.js - Record-and-replay cassettes for deterministic, offline solver runs
+// A cassette is a directory:
+//   cassette.json  - the run's payload URL, final taskHistory and every interaction in order:
+//                    page loads (url, innerText, HTML, links, images, controls,
+//                    XHR/fetch responses), page actions, screenshots, downloads, LLM calls (with the
+//                    images sent), transcriptions and submissions (never the secret),
+//                    including failures, each with how long it took (ms)
+//   bodies/<sha256> - downloaded files, audio and images, stored once
+// Recording wraps the live I/O (CASSETTE_RECORD_DIR turns it on for every run). Replay
+// serves interactions from disk with exact matching - same URL, same prompt, same audio,
+// same answer - so a changed prompt or answer is a cassette miss instead of a silently
+// different run. Repeated requests get the recorded responses in order. Given a fake clock
+// (time-budget.js), replay moves it forward by each interaction's recorded duration.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+const CASSETTE_FILE = 'cassette.json';
+const BODY_DIR = 'bodies';
+const CASSETTE_VERSION = 1;
+
+export function cassetteRecordDir() {
+  return process.env.CASSETTE_RECORD_DIR ? path.resolve(process.env.CASSETTE_RECORD_DIR) : null;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Images sent along (callLLM's options.images) are part of the request
+function llmKey(systemPrompt, userPrompt, images = []) {
+  const imageHashes = images.map(image => sha256(typeof image === 'string' ? image : image.data));
+  return sha256([systemPrompt, userPrompt, ...imageHashes].join('\n\u0000\n'));
+}
+
+function actionsKey(url, actions) {
+  return `${url} ${JSON.stringify(actions)}`;
+}
+
+function submitKey(submitUrl, payload) {
+  return `${submitUrl} ${payload?.url} ${JSON.stringify(payload?.answer ?? null)}`;
+}
+
+/**
+ * Start a cassette in dir (nothing is written until saveCassette)
+ */
+export function createCassette(dir, { url, email = null } = {}) {
+  return {
+    dir: path.resolve(dir),
+    version: CASSETTE_VERSION,
+    url,
+    email,
+    recordedAt: new Date().toISOString(),
+    interactions: [],
+    bodies: new Map()
+  };
+}
+
+/**
+ * Wrap the solver's I/O so every interaction is appended to the cassette
+ */
+export function recordCassetteIO(io, cassette) {
+  if (!cassette) return io;
+
+  const keepBody = (buffer) => {
+    const hash = sha256(buffer);
+    cassette.bodies.set(hash, buffer);
+    return hash;
+  };
+
+  // Record the outcome of one call, failures included, and pass it on unchanged
+  const capture = async (entry, call, toRecord) => {
+    const started = Date.now();
+    try {
+      const result = await call();
+      cassette.interactions.push({ ...entry, ...toRecord(result), ms: Date.now() - started });
+      return result;
+    } catch (err) {
+      cassette.interactions.push({ ...entry, error: err.message, ms: Date.now() - started });
+      throw err;
+    }
+  };
+
+  return {
+    ...io,
+    loadPage: (url, ...rest) => capture({ type: 'page', url }, () => io.loadPage(url, ...rest),
+      ({ bodyText, html, links, images, controls, responses }) => ({ bodyText, html, links, images, controls, responses })),
+    interact: (url, actions, ...rest) => capture({ type: 'interact', key: actionsKey(url, actions), url, actions },
+      () => io.interact(url, actions, ...rest),
+      ({ url: finalUrl, bodyText, html, links, images, controls, responses, steps, reads, stoppedBy }) => ({ finalUrl, bodyText, html, links, images, controls, responses, steps, reads, stoppedBy })),
+    download: (url, ...rest) => capture({ type: 'download', url }, () => io.download(url, ...rest),
+      buffer => ({ body: keepBody(buffer), bytes: buffer.length })),
+    screenshot: (url, ...rest) => capture({ type: 'screenshot', url }, () => io.screenshot(url, ...rest),
+      shots => ({ shots: shots.map(({ label, mimeType, data }) => ({ label, mimeType, body: keepBody(data) })) })),
+    callLLM: (systemPrompt, userPrompt, log, options = {}) => {
+      const images = options.images || [];
+      return capture(
+        {
+          type: 'llm', key: llmKey(systemPrompt, userPrompt, images), systemPrompt, userPrompt,
+          ...(images.length > 0 && { images: images.map(image => keepBody(typeof image === 'string' ? image : image.data)) })
+        },
+        () => io.callLLM(systemPrompt, userPrompt, log, options),
+        response => ({ response }));
+    },
+    transcribe: (buffer, fileName, ...rest) => capture(
+      { type: 'transcribe', audio: keepBody(buffer), fileName },
+      () => io.transcribe(buffer, fileName, ...rest),
+      transcript => ({ transcript: transcript ?? null })),
+    submit: (submitUrl, payload, ...rest) => {
+      const { secret, ...safePayload } = payload;
+      return capture({ type: 'submit', key: submitKey(submitUrl, payload), submitUrl, payload: safePayload },
+        () => io.submit(submitUrl, payload, ...rest),
+        response => ({ response }));
+    }
+  };
+}
+
+/**
+ * Write the cassette directory; taskHistory is what replays are checked against
+ */
+export async function saveCassette(cassette, { taskHistory = [] } = {}) {
+  const bodyDir = path.join(cassette.dir, BODY_DIR);
+  await fs.mkdir(bodyDir, { recursive: true });
+  for (const [hash, buffer] of cassette.bodies) {
+    await fs.writeFile(path.join(bodyDir, hash), buffer);
+  }
+
+  const { dir, bodies, ...data } = cassette;
+  const record = { ...data, taskHistory: taskHistory.map(({ durationMs, ...t }) => t) };
+  await fs.writeFile(path.join(cassette.dir, CASSETTE_FILE), JSON.stringify(record, null, 2) + '\n');
+  logger.info(`📼 Cassette saved to ${cassette.dir} (${cassette.interactions.length} interactions)`);
+  return record;
+}
+
+export async function loadCassette(dir) {
+  const resolved = path.resolve(dir);
+  const data = JSON.parse(await fs.readFile(path.join(resolved, CASSETTE_FILE), 'utf8'));
+  if (data.version !== CASSETTE_VERSION) throw new Error(`Unsupported cassette version ${data.version} in ${resolved}`);
+  return { ...data, dir: resolved };
+}
+
+/**
+ * Cassette directories under root (root itself if it is one)
+ */
+export async function findCassettes(root) {
+  const resolved = path.resolve(root);
+  const entries = await fs.readdir(resolved, { withFileTypes: true });
+  if (entries.some(e => e.isFile() && e.name === CASSETTE_FILE)) return [resolved];
+  const found = [];
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    found.push(...await findCassettes(path.join(resolved, entry.name)));
+  }
+  return found;
+}
+
+/**
+ * I/O layer that serves a loaded cassette. Anything not recorded throws a
+ * "Cassette miss" error naming what was asked for. options.clock (a fake clock) is
+ * advanced by each served interaction's recorded duration.
+ */
+export function createCassetteIO(cassette, options = {}) {
+  const { clock = null } = options;
+  const queues = new Map();
+  for (const entry of cassette.interactions) {
+    const id = `${entry.type} ${entry.key ?? entry.url ?? entry.audio}`;
+    if (!queues.has(id)) queues.set(id, []);
+    queues.get(id).push(entry);
+  }
+
+  // Next recorded entry for this request; the last one repeats once the queue runs out
+  const take = (type, key, what) => {
+    const queue = queues.get(`${type} ${key}`);
+    if (!queue) throw new Error(`Cassette miss: ${what} was not recorded in ${cassette.dir}`);
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    clock?.advance(entry.ms);
+    if (entry.error) throw new Error(entry.error);
+    return entry;
+  };
+
+  return {
+    replay: true,
+    async loadPage(url) {
+      const { bodyText, html, links, images, controls, responses } = take('page', url, `page ${url}`);
+      return { url, bodyText, html, links, images, controls, responses };
+    },
+    async interact(url, actions) {
+      const { finalUrl, bodyText, html, links, images, controls, responses, steps, reads, stoppedBy } = take('interact', actionsKey(url, actions), `page actions on ${url}`);
+      return { url: finalUrl, bodyText, html, links, images, controls, responses, steps, reads, stoppedBy };
+    },
+    async download(url) {
+      const { body } = take('download', url, `download ${url}`);
+      return fs.readFile(path.join(cassette.dir, BODY_DIR, body));
+    },
+    async screenshot(url) {
+      const { shots } = take('screenshot', url, `screenshots of ${url}`);
+      return Promise.all(shots.map(async ({ label, mimeType, body }) => ({
+        label, mimeType, data: await fs.readFile(path.join(cassette.dir, BODY_DIR, body))
+      })));
+    },
+    async callLLM(systemPrompt, userPrompt, log, options = {}) {
+      const key = llmKey(systemPrompt, userPrompt, options.images);
+      return take('llm', key, `LLM prompt ${key.slice(0, 12)} ("${userPrompt.slice(0, 60).replace(/\s+/g, ' ')}...")`).response;
+    },
+    async transcribe(buffer, fileName) {
+      return take('transcribe', sha256(buffer), `transcription of ${fileName}`).transcript;
+    },
+    async submit(submitUrl, payload) {
+      return take('submit', submitKey(submitUrl, payload), `submission of ${JSON.stringify(payload.answer)} to ${submitUrl}`).response;
+    }
+  };
+}
+
+/**
+ * Differences between a cassette's recorded taskHistory and a replayed one, as messages
+ */
+export function compareTaskHistory(recorded = [], replayed = []) {
+  const fields = ['task', 'url', 'answer', 'correct', 'handler', 'strategy', 'bestEffort', 'error'];
+  const problems = [];
+  if (recorded.length !== replayed.length) {
+    problems.push(`recorded ${recorded.length} attempts, replayed ${replayed.length}`);
+  }
+  for (let i = 0; i < Math.min(recorded.length, replayed.length); i++) {
+    for (const field of fields) {
+      const want = JSON.stringify(recorded[i][field] ?? null);
+      const got = JSON.stringify(replayed[i][field] ?? null);
+      if (want !== got) problems.push(`attempt ${i + 1} ${field}: recorded ${want}, replayed ${got}`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,325 @@
+// charts.js - Bar, line, scatter and pie charts rendered locally to PNG or SVG
+// - no native or npm dependencies: a chart is laid out once as a list of shapes, then
+//   written out as SVG markup or rasterized into an RGB buffer and encoded as PNG (png.js)
+// - labels in PNGs use a built-in 5x7 bitmap font (upper-case ASCII subset)
+// - renderChartDataUri() shrinks the image until the data URI fits the size limit
+import { encodePng } from './png.js';
+
+export const CHART_TYPES = ['bar', 'line', 'scatter', 'pie'];
+
+const MAX_DATA_URI_BYTES = parseInt(process.env.CHART_MAX_BYTES || '900000', 10);
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+const AXIS_COLOR = '#333333';
+const GRID_COLOR = '#dddddd';
+const MIN_WIDTH = 160;
+
+// ---------------------------------------------------------------------------
+// Layout
+// ---------------------------------------------------------------------------
+
+function niceStep(range) {
+  const raw = range / 4 || 1;
+  const exp = Math.floor(Math.log10(raw));
+  const f = raw / 10 ** exp;
+  const nice = f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10;
+  return nice * 10 ** exp;
+}
+
+function niceScale(values, includeZero) {
+  let lo = Math.min(...values);
+  let hi = Math.max(...values);
+  if (includeZero) { lo = Math.min(0, lo); hi = Math.max(0, hi); }
+  if (lo === hi) { lo -= 1; hi += 1; }
+  const step = niceStep(hi - lo);
+  const min = Math.floor(lo / step) * step;
+  const max = Math.ceil(hi / step) * step;
+  const ticks = [];
+  for (let v = min; v <= max + step / 2; v += step) ticks.push(Number(v.toPrecision(10)));
+  return { min, max, ticks };
+}
+
+function formatNumber(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${Number((v / 1e6).toPrecision(3))}M`;
+  if (abs >= 1e4) return `${Number((v / 1e3).toPrecision(3))}K`;
+  return String(Number(v.toPrecision(4)));
+}
+
+function truncate(text, maxChars) {
+  const s = String(text);
+  return s.length > maxChars ? `${s.slice(0, Math.max(1, maxChars - 1))}.` : s;
+}
+
+/**
+ * Lay a chart out as primitive shapes.
+ * spec: { type, title?, labels: [...], values: [...numbers] } for bar/line/pie,
+ *       { type: 'scatter', title?, points: [{ x, y }] } for scatter; optional xLabel, yLabel.
+ */
+export function layoutChart(spec, width = 640, height = 400) {
+  const type = CHART_TYPES.includes(spec.type) ? spec.type : 'bar';
+  const shapes = [{ kind: 'rect', x: 0, y: 0, w: width, h: height, color: '#ffffff' }];
+  const scale = width >= 480 ? 2 : 1;  // text scale for the bitmap font (6px per char at 1x)
+  const charW = 6;
+
+  if (spec.title) {
+    shapes.push({ kind: 'text', x: width / 2, y: 10 + 4 * scale, text: truncate(spec.title, Math.floor(width / (charW * scale))), size: scale, anchor: 'middle', color: AXIS_COLOR });
+  }
+
+  if (type === 'pie') {
+    const entries = (spec.labels || []).map((label, i) => ({ label, value: Number(spec.values?.[i]) })).filter(e => e.value > 0);
+    const total = entries.reduce((a, e) => a + e.value, 0) || 1;
+    const legendW = Math.min(width * 0.4, 220);
+    const r = Math.max(10, Math.min(width - legendW, height - 50) / 2 - 10);
+    const cx = (width - legendW) / 2;
+    const cy = 30 + (height - 30) / 2;
+    let angle = 0;
+    entries.forEach((e, i) => {
+      const sweep = (e.value / total) * Math.PI * 2;
+      const color = PALETTE[i % PALETTE.length];
+      shapes.push({ kind: 'wedge', cx, cy, r, start: angle, end: angle + sweep, color });
+      angle += sweep;
+
+      const ly = 40 + i * 12 * Math.max(1, scale - 0.5);
+      if (ly < height - 10) {
+        shapes.push({ kind: 'rect', x: width - legendW + 5, y: ly - 4, w: 8, h: 8, color });
+        const pct = `${Math.round((e.value / total) * 100)}%`;
+        shapes.push({ kind: 'text', x: width - legendW + 18, y: ly, text: `${truncate(e.label, Math.floor((legendW - 30) / charW) - 5)} ${pct}`, size: 1, anchor: 'start', color: AXIS_COLOR });
+      }
+    });
+    return { width, height, shapes };
+  }
+
+  const plot = { left: 60, right: width - 20, top: spec.title ? 20 + 8 * scale : 20, bottom: height - 40 };
+  const points = type === 'scatter'
+    ? (spec.points || []).map(p => ({ x: Number(p.x), y: Number(p.y) })).filter(p => Number.isFinite(p.x) && Number.isFinite(p.y))
+    : (spec.values || []).map((v, i) => ({ x: i, y: Number(v), label: spec.labels?.[i] ?? String(i) })).filter(p => Number.isFinite(p.y));
+  if (points.length === 0) return { width, height, shapes };
+
+  const yScale = niceScale(points.map(p => p.y), type === 'bar');
+  const yPos = (v) => plot.bottom - ((v - yScale.min) / (yScale.max - yScale.min)) * (plot.bottom - plot.top);
+
+  // Grid and y ticks
+  for (const t of yScale.ticks) {
+    const y = yPos(t);
+    shapes.push({ kind: 'line', x1: plot.left, y1: y, x2: plot.right, y2: y, color: GRID_COLOR, width: 1 });
+    shapes.push({ kind: 'text', x: plot.left - 4, y, text: formatNumber(t), size: 1, anchor: 'end', color: AXIS_COLOR });
+  }
+
+  let xPos;
+  if (type === 'scatter') {
+    const xScale = niceScale(points.map(p => p.x), false);
+    xPos = (v) => plot.left + ((v - xScale.min) / (xScale.max - xScale.min)) * (plot.right - plot.left);
+    for (const t of xScale.ticks) {
+      shapes.push({ kind: 'text', x: xPos(t), y: plot.bottom + 10, text: formatNumber(t), size: 1, anchor: 'middle', color: AXIS_COLOR });
+    }
+  } else {
+    const slot = (plot.right - plot.left) / points.length;
+    xPos = (i) => plot.left + slot * (i + 0.5);
+    // Label every Nth slot so labels (up to 12 chars) don't overlap
+    const longest = Math.min(12, Math.max(...points.map(p => String(p.label).length)));
+    const every = Math.max(1, Math.ceil(((longest + 1) * charW) / slot));
+    const maxChars = Math.max(2, Math.floor((slot * every) / charW) - 1);
+    points.forEach((p, i) => {
+      if (i % every === 0) shapes.push({ kind: 'text', x: xPos(i), y: plot.bottom + 10, text: truncate(p.label, maxChars), size: 1, anchor: 'middle', color: AXIS_COLOR });
+    });
+
+    if (type === 'bar') {
+      const barW = Math.max(1, slot * 0.7);
+      const zero = yPos(0);
+      points.forEach((p, i) => {
+        const y = yPos(p.y);
+        shapes.push({ kind: 'rect', x: xPos(i) - barW / 2, y: Math.min(y, zero), w: barW, h: Math.max(1, Math.abs(zero - y)), color: PALETTE[0] });
+      });
+    } else {
+      points.forEach((p, i) => {
+        if (i > 0) shapes.push({ kind: 'line', x1: xPos(i - 1), y1: yPos(points[i - 1].y), x2: xPos(i), y2: yPos(p.y), color: PALETTE[0], width: 2 });
+      });
+      points.forEach((p, i) => shapes.push({ kind: 'circle', cx: xPos(i), cy: yPos(p.y), r: 3, color: PALETTE[0] }));
+    }
+  }
+
+  if (type === 'scatter') {
+    points.forEach(p => shapes.push({ kind: 'circle', cx: xPos(p.x), cy: yPos(p.y), r: 3, color: PALETTE[0] }));
+  }
+
+  // Axes on top of the data
+  shapes.push({ kind: 'line', x1: plot.left, y1: plot.top, x2: plot.left, y2: plot.bottom, color: AXIS_COLOR, width: 1 });
+  shapes.push({ kind: 'line', x1: plot.left, y1: plot.bottom, x2: plot.right, y2: plot.bottom, color: AXIS_COLOR, width: 1 });
+  if (spec.xLabel) shapes.push({ kind: 'text', x: (plot.left + plot.right) / 2, y: height - 10, text: truncate(spec.xLabel, 60), size: 1, anchor: 'middle', color: AXIS_COLOR });
+  if (spec.yLabel) shapes.push({ kind: 'text', x: 4, y: plot.top - 10, text: truncate(spec.yLabel, 30), size: 1, anchor: 'start', color: AXIS_COLOR });
+
+  return { width, height, shapes };
+}
+
+// ---------------------------------------------------------------------------
+// SVG
+// ---------------------------------------------------------------------------
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+const r1 = (n) => Math.round(n * 10) / 10;
+
+export function renderSVG({ width, height, shapes }) {
+  const body = shapes.map(s => {
+    switch (s.kind) {
+      case 'rect': return `<rect x="${r1(s.x)}" y="${r1(s.y)}" width="${r1(s.w)}" height="${r1(s.h)}" fill="${s.color}"/>`;
+      case 'line': return `<line x1="${r1(s.x1)}" y1="${r1(s.y1)}" x2="${r1(s.x2)}" y2="${r1(s.y2)}" stroke="${s.color}" stroke-width="${s.width}"/>`;
+      case 'circle': return `<circle cx="${r1(s.cx)}" cy="${r1(s.cy)}" r="${s.r}" fill="${s.color}"/>`;
+      case 'wedge': {
+        if (s.end - s.start >= Math.PI * 2 - 1e-9) return `<circle cx="${r1(s.cx)}" cy="${r1(s.cy)}" r="${r1(s.r)}" fill="${s.color}"/>`;
+        const pt = (a) => `${r1(s.cx + s.r * Math.sin(a))} ${r1(s.cy - s.r * Math.cos(a))}`;
+        const large = s.end - s.start > Math.PI ? 1 : 0;
+        return `<path d="M ${r1(s.cx)} ${r1(s.cy)} L ${pt(s.start)} A ${r1(s.r)} ${r1(s.r)} 0 ${large} 1 ${pt(s.end)} Z" fill="${s.color}"/>`;
+      }
+      case 'text': return `<text x="${r1(s.x)}" y="${r1(s.y)}" font-family="sans-serif" font-size="${8 * s.size + 2}" text-anchor="${s.anchor}" dominant-baseline="middle" fill="${s.color}">${escapeXml(s.text)}</text>`;
+      default: return '';
+    }
+  }).join('');
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+// 5x7 glyphs, one hex byte per row (low 5 bits, MSB on the left)
+const FONT = {
+  '0': '0e11131519110e', '1': '040c040404040e', '2': '0e11010204081f', '3': '1f02040201110e',
+  '4': '02060a121f0202', '5': '1f101e0101110e', '6': '0608101e11110e', '7': '1f010204080808',
+  '8': '0e11110e11110e', '9': '0e11110f01020c', 'A': '0e1111111f1111', 'B': '1e11111e11111e',
+  'C': '0e11101010110e', 'D': '1c12111111121c', 'E': '1f10101e10101f', 'F': '1f10101e101010',
+  'G': '0e11101711110f', 'H': '1111111f111111', 'I': '0e04040404040e', 'J': '0702020202120c',
+  'K': '11121418141211', 'L': '1010101010101f', 'M': '111b1515111111', 'N': '11111915131111',
+  'O': '0e11111111110e', 'P': '1e11111e101010', 'Q': '0e11111115120d', 'R': '1e11111e141211',
+  'S': '0f10100e01011e', 'T': '1f040404040404', 'U': '1111111111110e', 'V': '11111111110a04',
+  'W': '1111111515150a', 'X': '11110a040a1111', 'Y': '1111110a040404', 'Z': '1f01020408101f',
+  ' ': '00000000000000', '.': '00000000000c0c', ',': '000000000c0408', '-': '0000001f000000',
+  ':': '000c0c000c0c00', '%': '18190204081303', '(': '02040808080402', ')': '08040202020408',
+  '/': '00010204081000', '_': '0000000000001f', '?': '0e110102040004', '+': '0004041f040400',
+  '=': '00001f001f0000', '#': '0a0a1f0a1f0a0a', '$': '040f140e051e04', '&': '0c12140815120d',
+  "'": '04040800000000', '"': '0a0a0000000000', '<': '02040810080402', '>': '08040201020408',
+  '*': '0004150e150400', '!': '04040404000004', ';': '000c0c000c0408'
+};
+const GLYPHS = Object.fromEntries(Object.entries(FONT).map(([ch, hex]) => [
+  ch, Array.from({ length: 7 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16))
+]));
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function createCanvas(width, height) {
+  const pixels = Buffer.alloc(width * height * 3, 255);
+  const set = (x, y, rgb) => {
+    x = Math.round(x); y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 3;
+    pixels[i] = rgb[0]; pixels[i + 1] = rgb[1]; pixels[i + 2] = rgb[2];
+  };
+  return { width, height, pixels, set };
+}
+
+function fillRect(c, x, y, w, h, rgb) {
+  const x0 = Math.max(0, Math.round(x)), y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(c.width, Math.round(x + w)), y1 = Math.min(c.height, Math.round(y + h));
+  for (let yy = y0; yy < y1; yy++) for (let xx = x0; xx < x1; xx++) c.set(xx, yy, rgb);
+}
+
+function drawLine(c, x1, y1, x2, y2, rgb, width) {
+  const steps = Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1), 1);
+  const half = (width - 1) / 2;
+  for (let i = 0; i <= steps; i++) {
+    const x = x1 + ((x2 - x1) * i) / steps;
+    const y = y1 + ((y2 - y1) * i) / steps;
+    if (width <= 1) c.set(x, y, rgb);
+    else fillRect(c, x - half, y - half, width, width, rgb);
+  }
+}
+
+function fillCircle(c, cx, cy, r, rgb) {
+  for (let y = Math.floor(cy - r); y <= Math.ceil(cy + r); y++) {
+    for (let x = Math.floor(cx - r); x <= Math.ceil(cx + r); x++) {
+      if ((x - cx) ** 2 + (y - cy) ** 2 <= r * r) c.set(x, y, rgb);
+    }
+  }
+}
+
+function fillWedge(c, s, rgb) {
+  const full = s.end - s.start >= Math.PI * 2 - 1e-9;
+  for (let y = Math.floor(s.cy - s.r); y <= Math.ceil(s.cy + s.r); y++) {
+    for (let x = Math.floor(s.cx - s.r); x <= Math.ceil(s.cx + s.r); x++) {
+      const dx = x - s.cx, dy = y - s.cy;
+      if (dx * dx + dy * dy > s.r * s.r) continue;
+      // Angle measured clockwise from 12 o'clock, matching the SVG path
+      let a = Math.atan2(dx, -dy);
+      if (a < 0) a += Math.PI * 2;
+      if (full || (a >= s.start && a < s.end)) c.set(x, y, rgb);
+    }
+  }
+}
+
+function drawText(c, s, rgb) {
+  const text = String(s.text).toUpperCase();
+  const k = s.size;
+  const w = text.length * 6 * k;
+  let x = s.anchor === 'middle' ? s.x - w / 2 : s.anchor === 'end' ? s.x - w : s.x;
+  const y = s.y - 3.5 * k;
+  for (const ch of text) {
+    const rows = GLYPHS[ch] || GLYPHS['?'];
+    rows.forEach((bits, row) => {
+      for (let col = 0; col < 5; col++) {
+        if (bits & (0x10 >> col)) fillRect(c, x + col * k, y + row * k, k, k, rgb);
+      }
+    });
+    x += 6 * k;
+  }
+}
+
+function encodePNG({ width, height, pixels }) {
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 3 + 1)] = 0; // filter: none
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return encodePng(width, height, 8, 2, raw, { level: 9 }); // 8-bit RGB
+}
+
+export function renderPNG({ width, height, shapes }) {
+  const c = createCanvas(width, height);
+  for (const s of shapes) {
+    const rgb = hexToRgb(s.color);
+    switch (s.kind) {
+      case 'rect': fillRect(c, s.x, s.y, s.w, s.h, rgb); break;
+      case 'line': drawLine(c, s.x1, s.y1, s.x2, s.y2, rgb, s.width); break;
+      case 'circle': fillCircle(c, s.cx, s.cy, s.r, rgb); break;
+      case 'wedge': fillWedge(c, s, rgb); break;
+      case 'text': drawText(c, s, rgb); break;
+    }
+  }
+  return encodePNG(c);
+}
+
+/**
+ * Render a chart spec (see layoutChart) as a base64 data URI no longer than maxBytes.
+ * Returns { dataUri, mime, width, height, bytes }.
+ */
+export function renderChartDataUri(spec, options = {}) {
+  const { format = 'png', maxBytes = MAX_DATA_URI_BYTES } = options;
+  let width = options.width || 640;
+  let height = options.height || 400;
+
+  for (;;) {
+    const layout = layoutChart(spec, width, height);
+    const mime = format === 'svg' ? 'image/svg+xml' : 'image/png';
+    const buffer = format === 'svg' ? Buffer.from(renderSVG(layout), 'utf8') : renderPNG(layout);
+    const dataUri = `data:${mime};base64,${buffer.toString('base64')}`;
+    if (dataUri.length <= maxBytes) return { dataUri, mime, width, height, bytes: dataUri.length };
+
+    if (width * 0.75 < MIN_WIDTH) throw new Error(`Chart does not fit in ${maxBytes} bytes`);
+    width = Math.round(width * 0.75);
+    height = Math.round(height * 0.75);
+  }
+}
@@ -0,0 +1,87 @@
+// code-sandbox.js - Run model-written JavaScript over quiz data in isolation
+// - each run gets its own worker thread with a heap cap and an empty environment
+// - inside the worker the code runs in a fresh vm context that only sees `data`
+//   (passed as JSON, so no host objects leak in): no require, process, fetch or timers
+// - the vm timeout stops busy loops; the host terminates the worker if it still hangs
+import { Worker } from 'worker_threads';
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.CODE_TIMEOUT_MS || '5000', 10);
+const DEFAULT_MEMORY_MB = parseInt(process.env.CODE_MEMORY_MB || '64', 10);
+const MAX_RESULT_BYTES = 1024 * 1024;
+
+const WORKER_SOURCE = `
+import { parentPort, workerData } from 'worker_threads';
+import vm from 'vm';
+const { code, input, timeoutMs } = workerData;
+try {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false }
+  });
+  vm.runInContext('"use strict"; globalThis.__input = ' + JSON.stringify(input) + ';', context);
+  const output = vm.runInContext(
+    code + '\\n;(() => {' +
+    '  if (typeof solve !== "function") throw new Error("Define a function named solve(data)");' +
+    '  const result = solve(JSON.parse(globalThis.__input));' +
+    '  if (result && typeof result.then === "function") throw new Error("solve must be synchronous");' +
+    '  const json = JSON.stringify(result === undefined ? null : result);' +
+    '  if (json === undefined) throw new Error("solve must return JSON data, not a " + typeof result);' +
+    '  return json;' +
+    '})()',
+    context,
+    { timeout: timeoutMs, filename: 'solve.js' }
+  );
+  parentPort.postMessage({ ok: true, output });
+} catch (err) {
+  parentPort.postMessage({ ok: false, error: (err && err.message) || String(err) });
+}
+`;
+
+/**
+ * Run `code` (which must define `function solve(data)`) against `data`.
+ * Resolves { ok: true, result } or { ok: false, error }; never rejects unless aborted.
+ */
+export function runSandboxed(code, data, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, memoryMb = DEFAULT_MEMORY_MB, signal } = options;
+
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const worker = new Worker(WORKER_SOURCE, {
+      eval: true,
+      env: {},
+      workerData: { code, input: JSON.stringify(data ?? null), timeoutMs },
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb, maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)), stackSizeMb: 4 },
+      stdout: true,
+      stderr: true
+    });
+
+    let settled = false;
+    const finish = (value, isError = false) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(hardTimer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate().catch(() => {});
+      if (isError) reject(value);
+      else resolve(value);
+    };
+
+    const onAbort = () => finish(signal.reason, true);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Backstop for anything the vm timeout cannot interrupt
+    const hardTimer = setTimeout(() => finish({ ok: false, error: `Timed out after ${timeoutMs}ms` }), timeoutMs + 1000);
+
+    worker.on('message', (msg) => {
+      if (!msg.ok) return finish({ ok: false, error: msg.error });
+      if (typeof msg.output !== 'string') return finish({ ok: false, error: 'solve returned no JSON result' });
+      if (msg.output.length > MAX_RESULT_BYTES) return finish({ ok: false, error: 'Result too large' });
+      finish({ ok: true, result: JSON.parse(msg.output) });
+    });
+    worker.on('error', (err) => {
+      const error = err.code === 'ERR_WORKER_OUT_OF_MEMORY' ? `Out of memory (limit ${memoryMb}MB)` : err.message;
+      finish({ ok: false, error });
+    });
+    worker.on('exit', (exitCode) => finish({ ok: false, error: `Sandbox exited with code ${exitCode}` }));
+  });
+}
@@ -0,0 +1,205 @@
+// crawler.js - Walk linked pages for scrape tasks
+// Starting from the scrape URL, pages are loaded through io.loadPage (the Playwright page,
+// or its recording/replay) breadth-first, staying on the quiz origin. Links are followed
+// when they match the analysis' crawl.follow pattern, or otherwise when they look like
+// pagination ("next", "›", "page 2", ?page=3). Limits: CRAWL_MAX_PAGES (default 10) pages
+// and CRAWL_MAX_DEPTH (default 2) link hops; pagination continues the same listing, so it
+// does not count as a hop. Callers (and the model's crawl.maxPages) can lower these limits
+// but never raise them. Each page contributes its rendered text, its HTML tables, its
+// links and the XHR/fetch responses it made; CSV/PDF/JSON links found on the way are
+// returned as files.
+import { logger } from './logger.js';
+
+export const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || '10', 10);
+export const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH || '2', 10);
+
+const PAGINATION_TEXT = /^(next|more|older|newer|continue|load more)\b|\bnext page\b|^page \d+$|^\d+$|^(›|»|→|>>?)$/i;
+const PAGINATION_HREF = /[?&](page|p|offset|start|cursor)=[\w-]+|\/page\/\d+/i;
+const FILE_LINK = /\.(csv|pdf|json|txt|opus|mp3|wav|ogg|m4a)(\?|#|$)/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function cellText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Tables in an HTML document as { headers, rows } (headers is [] when the first row is data)
+ */
+export function extractTables(html = '') {
+  const tables = [];
+  for (const [, body] of html.matchAll(/<table\b[^>]*>([\s\S]*?)<\/table>/gi)) {
+    const rows = [];
+    let headers = [];
+    for (const [, row] of body.matchAll(/<tr\b[^>]*>([\s\S]*?)(?=<tr\b|<\/tbody|<\/thead|<\/tfoot|$)/gi)) {
+      const cells = [...row.matchAll(/<(td|th)\b[^>]*>([\s\S]*?)(?=<\/?t[dh]\b|<\/tr|$)/gi)];
+      if (cells.length === 0) continue;
+      const texts = cells.map(([, , content]) => cellText(content));
+      if (rows.length === 0 && headers.length === 0 && cells.every(([, tag]) => tag.toLowerCase() === 'th')) {
+        headers = texts;
+      } else {
+        rows.push(texts);
+      }
+    }
+    if (rows.length > 0 || headers.length > 0) tables.push({ headers, rows });
+  }
+  return tables;
+}
+
+/**
+ * Join tables that continue each other (same headers, or same width when headerless) in
+ * page order, so a paginated table becomes one. Each result lists its source page URLs.
+ */
+export function mergeTables(tables) {
+  const merged = new Map();
+  for (const table of tables) {
+    const width = table.headers.length || table.rows[0]?.length || 0;
+    const key = table.headers.length > 0 ? JSON.stringify(table.headers) : `#${width}`;
+    if (!merged.has(key)) merged.set(key, { headers: table.headers, rows: [], sources: [] });
+    const target = merged.get(key);
+    target.rows.push(...table.rows);
+    if (table.url && !target.sources.includes(table.url)) target.sources.push(table.url);
+  }
+  return [...merged.values()];
+}
+
+function csvCell(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+export function tableToCSV(table) {
+  const lines = table.headers.length > 0 ? [table.headers] : [];
+  return [...lines, ...table.rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function isPagination(link) {
+  return PAGINATION_TEXT.test(link.text.trim()) || PAGINATION_HREF.test(link.href);
+}
+
+// The pattern comes from model output, so only regexes that cannot backtrack badly are
+// compiled: short, no repeated groups ("(a+)+", "(a|a)*"), no backreferences and only a
+// few unbounded quantifiers, tried on bounded input
+const MAX_REGEX_LENGTH = 100;
+const MAX_UNBOUNDED_QUANTIFIERS = 3;
+const MAX_MATCH_INPUT = 200;
+
+function safeRegExp(source, flags) {
+  if (source.length > MAX_REGEX_LENGTH || /\)[*+?{]/.test(source) || /\\[1-9]|\\k</.test(source)) return null;
+  if ((source.match(/[*+]|\{\d*,\}/g) || []).length > MAX_UNBOUNDED_QUANTIFIERS) return null;
+  try {
+    return new RegExp(source, flags.replace(/[gy]/g, ''));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Link filter for a follow pattern: "/regex/flags", a plain substring of the URL or link
+ * text, or null for pagination links only. A regex that is too long, may backtrack badly or
+ * does not compile is matched as text.
+ */
+export function linkMatcher(pattern) {
+  if (!pattern) return isPagination;
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  const re = regex && safeRegExp(regex[1], regex[2]);
+  if (re) {
+    return (link) => re.test(link.href.slice(0, MAX_MATCH_INPUT)) || re.test(link.text.slice(0, MAX_MATCH_INPUT));
+  }
+  const needle = pattern.toLowerCase();
+  return (link) => link.href.toLowerCase().includes(needle) || link.text.toLowerCase().includes(needle);
+}
+
+function normalizeUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Crawl from startUrl. options: origin (URL whose origin bounds the crawl, default
+ * startUrl), follow (see linkMatcher), maxPages and maxDepth (capped at CRAWL_MAX_PAGES /
+ * CRAWL_MAX_DEPTH), log, signal, budget.
+ * Returns { pages: [{ url, depth, text, tables, links, responses }], text, tables (merged
+ * across pages, see mergeTables), fileLinks, responses (all pages'), stoppedBy }.
+ * Only a failure to load startUrl itself throws.
+ */
+export async function crawlSite(io, startUrl, options = {}) {
+  const { origin = startUrl, follow = null, log = logger, signal, budget = null } = options;
+  const maxPages = Math.min(options.maxPages ?? CRAWL_MAX_PAGES, CRAWL_MAX_PAGES);
+  const maxDepth = Math.min(options.maxDepth ?? CRAWL_MAX_DEPTH, CRAWL_MAX_DEPTH);
+  const allowedOrigin = new URL(origin).origin;
+  const matches = linkMatcher(follow);
+
+  const start = normalizeUrl(startUrl, startUrl);
+  const queue = [{ url: start, depth: 0 }];
+  const seen = new Set([start]);
+  const pages = [];
+  const fileLinks = new Set();
+  let stoppedBy = 'done';
+
+  while (queue.length > 0) {
+    signal?.throwIfAborted();
+    if (pages.length >= maxPages) {
+      stoppedBy = 'max-pages';
+      break;
+    }
+    if (pages.length > 0 && budget?.isTight()) {
+      stoppedBy = 'time';
+      break;
+    }
+
+    const { url, depth } = queue.shift();
+    let snapshot;
+    try {
+      snapshot = await io.loadPage(url);
+    } catch (err) {
+      if (pages.length === 0 || signal?.aborted) throw err;
+      log.warn(`  ⚠️  Crawl: could not load ${url}:`, err.message);
+      continue;
+    }
+
+    const links = snapshot.links || [];
+    const tables = extractTables(snapshot.html);
+    pages.push({ url, depth, text: snapshot.bodyText || '', tables, links, responses: snapshot.responses || [] });
+    log.info(`  🕸️  Crawled ${url} (depth ${depth}, ${(snapshot.bodyText || '').length} chars, ${tables.length} table(s))`);
+
+    for (const link of links) {
+      const href = normalizeUrl(link.href, url);
+      if (!href || !/^https?:/i.test(href) || new URL(href).origin !== allowedOrigin) continue;
+      if (FILE_LINK.test(href)) {
+        fileLinks.add(href);
+        continue;
+      }
+      const candidate = { href, text: link.text || '' };
+      if (seen.has(href) || !matches(candidate)) continue;
+      const nextDepth = isPagination(candidate) ? depth : depth + 1;
+      if (nextDepth > maxDepth) continue;
+      seen.add(href);
+      queue.push({ url: href, depth: nextDepth });
+    }
+  }
+
+  return {
+    pages,
+    // A single page reads exactly as a plain scrape did
+    text: pages.length === 1 ? pages[0].text : pages.map(p => `--- ${p.url} ---\n${p.text}`).join('\n\n'),
+    tables: mergeTables(pages.flatMap(p => p.tables.map(table => ({ url: p.url, ...table })))),
+    fileLinks: [...fileLinks],
+    responses: pages.flatMap(p => p.responses),
+    stoppedBy
+  };
+}
@@ -1,12 +1,15 @@
 // data-processor.js - Universal data processing utilities
 import csvParser from 'csv-parser';
 import { Readable } from 'stream';
+import { logger } from './logger.js';
 
 /**
  * Parse CSV and apply operations (filter, sum, aggregate, etc.)
  * FIXED: Handles headerless CSVs correctly by treating first row as data
+ * options.log: logger carrying the caller's job/task ids
  */
-export async function processCSV(csvContent, operations = {}) {
+export async function processCSV(csvContent, operations = {}, options = {}) {
+  const { log = logger } = options;
   // Check if CSV is headerless (first row contains only numbers)
   const lines = csvContent.split('\n').filter(l => l.trim());
   const firstLine = lines[0] || '';
@@ -16,13 +19,13 @@ export async function processCSV(csvContent, operations = {}) {
   const numericCount = firstValues.filter(v => !isNaN(parseFloat(v)) && isFinite(parseFloat(v))).length;
   const isHeaderless = (numericCount / firstValues.length) > 0.8;
   
-  console.log(`   Is headerless: ${isHeaderless} (${numericCount}/${firstValues.length} numeric)`);
+  log.info(`   Is headerless: ${isHeaderless} (${numericCount}/${firstValues.length} numeric)`);
   
   let rows = [];
   
   if (isHeaderless) {
     // Parse as headerless - treat ALL rows as data
-    console.log(`   Parsing as headerless CSV (ALL rows are data)`);
+    log.info(`   Parsing as headerless CSV (ALL rows are data)`);
     
     for (const line of lines) {
       const values = line.split(',').map(v => v.trim());
@@ -43,9 +46,9 @@ export async function processCSV(csvContent, operations = {}) {
     });
   }
 
-  console.log(`📊 CSV parsed: ${rows.length} rows`);
+  log.info(`📊 CSV parsed: ${rows.length} rows`);
   if (rows.length > 0) {
-    console.log(`   Columns: ${Object.keys(rows[0]).join(', ')}`);
+    log.info(`   Columns: ${Object.keys(rows[0]).join(', ')}`);
   }
 
   // Extract ALL numeric values from specified columns or all columns
@@ -66,14 +69,14 @@ export async function processCSV(csvContent, operations = {}) {
     }
   }
 
-  console.log(`   Total numbers extracted: ${allNumbers.length}`);
-  console.log(`   First 10 numbers: ${allNumbers.slice(0, 10).join(', ')}`);
+  log.info(`   Total numbers extracted: ${allNumbers.length}`);
+  log.info(`   First 10 numbers: ${allNumbers.slice(0, 10).join(', ')}`);
 
   // Apply filter if specified
   let filtered = allNumbers;
   if (operations.filter) {
     const { operator, value } = operations.filter;
-    console.log(`   Applying filter: ${operator} ${value}`);
+    log.info(`   Applying filter: ${operator} ${value}`);
     
     if (operator === '<') {
       filtered = allNumbers.filter(n => n < value);
@@ -87,8 +90,8 @@ export async function processCSV(csvContent, operations = {}) {
       filtered = allNumbers.filter(n => n == value);
     }
     
-    console.log(`   After filter: ${filtered.length} numbers remain`);
-    console.log(`   First 10 filtered: ${filtered.slice(0, 10).join(', ')}`);
+    log.info(`   After filter: ${filtered.length} numbers remain`);
+    log.info(`   First 10 filtered: ${filtered.slice(0, 10).join(', ')}`);
   }
 
   const sum = filtered.reduce((a, b) => a + b, 0);
@@ -110,7 +113,7 @@ export async function processCSV(csvContent, operations = {}) {
     }
   };
 
-  console.log(`   ✅ SUM = ${sum}`);
+  log.info(`   ✅ SUM = ${sum}`);
 
   return result;
 }
@@ -167,7 +170,8 @@ export function extractPatterns(text) {
 /**
  * Parse and sum numbers with conditions
  */
-export function sumNumbersWithCondition(numbers, condition) {
+export function sumNumbersWithCondition(numbers, condition, options = {}) {
+  const { log = logger } = options;
   if (!condition) {
     return numbers.reduce((a, b) => a + b, 0);
   }
@@ -191,8 +195,8 @@ export function sumNumbersWithCondition(numbers, condition) {
     default: filtered = numbers;
   }
 
-  console.log(`   Applied condition: ${operator} ${threshold}`);
-  console.log(`   Filtered: ${numbers.length} → ${filtered.length} numbers`);
+  log.info(`   Applied condition: ${operator} ${threshold}`);
+  log.info(`   Filtered: ${numbers.length} → ${filtered.length} numbers`);
 
   return filtered.reduce((a, b) => a + b, 0);
 }
\ No newline at end of file
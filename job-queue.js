@@ -0,0 +1,67 @@
+// job-queue.js - Bounded FIFO queue in front of the solver
+// - runs at most JOB_CONCURRENCY jobs at once
+// - holds at most JOB_QUEUE_LIMIT waiting jobs (callers get 429 beyond that)
+import { runJob, emitJobEvent } from './jobs.js';
+import { logger } from './logger.js';
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10));
+const QUEUE_LIMIT = Math.max(0, parseInt(process.env.JOB_QUEUE_LIMIT || '10', 10));
+
+const waiting = []; // { job, solve }
+let running = 0;
+
+export function isQueueFull() {
+  return waiting.length >= QUEUE_LIMIT && running >= CONCURRENCY;
+}
+
+/**
+ * 1-based position of a waiting job, or null once it has started
+ */
+export function getQueuePosition(job) {
+  const idx = waiting.findIndex(entry => entry.job === job);
+  return idx === -1 ? null : idx + 1;
+}
+
+/**
+ * Queue a job; returns false when the queue is full
+ */
+export function enqueueJob(job, solve) {
+  if (isQueueFull()) return false;
+
+  waiting.push({ job, solve });
+  emitJobEvent(job, 'queued', { position: waiting.length });
+  pump();
+  return true;
+}
+
+/**
+ * Drop a waiting job from the queue (used when it is cancelled before starting)
+ */
+export function removeFromQueue(job) {
+  const idx = waiting.findIndex(entry => entry.job === job);
+  if (idx === -1) return false;
+  waiting.splice(idx, 1);
+  waiting.forEach((entry, i) => emitJobEvent(entry.job, 'queued', { position: i + 1 }));
+  return true;
+}
+
+function pump() {
+  while (running < CONCURRENCY && waiting.length > 0) {
+    const { job, solve } = waiting.shift();
+    running += 1;
+
+    runJob(job, solve)
+      .catch(err => logger.child({ jobId: job.id }).error(`💥 Job ${job.id} failed:`, err?.message || err))
+      .finally(() => {
+        running -= 1;
+        pump();
+      });
+
+    // Let everyone still waiting know they moved up
+    waiting.forEach((entry, idx) => emitJobEvent(entry.job, 'queued', { position: idx + 1 }));
+  }
+}
+
+export function getQueueStats() {
+  return { concurrency: CONCURRENCY, limit: QUEUE_LIMIT, running, waiting: waiting.length };
+}
@@ -0,0 +1,147 @@
+// jobs.js - In-memory registry of /task runs
+// - one job per accepted /task request
+// - tracks state, current quiz URL and the solver's taskHistory
+// - keeps a short event log + emitter for the SSE progress stream
+// - owns an AbortController so a job can be cancelled mid-solve
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { jobsStarted, jobsFinished } from './metrics.js';
+
+const MAX_JOBS = 200;
+const MAX_EVENTS_PER_JOB = 500;
+
+const jobs = new Map();
+
+/**
+ * Create a job for a /task payload (state starts as "queued")
+ */
+export function createJob(payload) {
+  const job = {
+    id: crypto.randomUUID(),
+    state: 'queued',
+    email: payload.email,
+    url: payload.url,
+    currentUrl: payload.url,
+    taskHistory: [],
+    runId: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    events: [],
+    eventSeq: 0,
+    emitter: new EventEmitter(),
+    controller: new AbortController()
+  };
+  job.emitter.setMaxListeners(50);
+
+  jobs.set(job.id, job);
+
+  // Forget the oldest finished jobs so a long-running server doesn't grow forever
+  if (jobs.size > MAX_JOBS) {
+    for (const [id, old] of jobs) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (isJobFinished(old)) jobs.delete(id);
+    }
+  }
+
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function isJobFinished(job) {
+  return job.state === 'done' || job.state === 'failed' || job.state === 'cancelled';
+}
+
+/**
+ * Record a structured progress event and push it to live subscribers
+ */
+export function emitJobEvent(job, type, data = {}) {
+  if (!job) return;
+
+  job.eventSeq += 1;
+  const event = { seq: job.eventSeq, type, time: new Date().toISOString(), data };
+  job.events.push(event);
+  if (job.events.length > MAX_EVENTS_PER_JOB) job.events.shift();
+
+  job.emitter.emit('event', event);
+}
+
+function finishJob(job) {
+  job.finishedAt = new Date().toISOString();
+  jobsFinished.inc({ state: job.state });
+  emitJobEvent(job, 'state', { state: job.state, error: job.error });
+  job.emitter.emit('end');
+}
+
+/**
+ * Run a job's solver function, recording running/done/failed/cancelled transitions
+ */
+export async function runJob(job, solve) {
+  if (isJobFinished(job)) return;
+
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  jobsStarted.inc();
+  emitJobEvent(job, 'state', { state: job.state });
+
+  try {
+    await solve();
+    job.state = job.controller.signal.aborted ? 'cancelled' : 'done';
+  } catch (err) {
+    if (job.controller.signal.aborted) {
+      job.state = 'cancelled';
+      return;
+    }
+    job.state = 'failed';
+    job.error = err?.message || String(err);
+    throw err;
+  } finally {
+    finishJob(job);
+  }
+}
+
+/**
+ * Cancel a job: queued jobs finish immediately, running jobs are aborted
+ * through their signal and finish once the solver unwinds.
+ * Returns false if the job had already finished.
+ */
+export function cancelJob(job) {
+  if (isJobFinished(job)) return false;
+
+  const wasQueued = job.state === 'queued';
+  job.controller.abort(new Error('Job cancelled'));
+  emitJobEvent(job, 'cancel_requested', {});
+
+  if (wasQueued) {
+    job.state = 'cancelled';
+    finishJob(job);
+  }
+  return true;
+}
+
+/**
+ * Public JSON view of a job (never includes the caller's secret)
+ */
+export function toJobView(job) {
+  return {
+    id: job.id,
+    state: job.state,
+    email: job.email,
+    url: job.url,
+    currentUrl: job.currentUrl,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    runId: job.runId,
+    tasks: {
+      attempted: job.taskHistory.length,
+      correct: job.taskHistory.filter(t => t.correct).length
+    },
+    taskHistory: job.taskHistory
+  };
+}
@@ -1,21 +1,53 @@
 // llm-wrapper.js - Robust LLM calling with retry and voting
 import axios from 'axios';
+import { llmDuration, llmFailures } from './metrics.js';
+import { logger } from './logger.js';
 
 const MAX_RETRIES = 2;
 const RETRY_DELAY = 1000;
+const LLM_TIMEOUT_MS = 60000;
+const OPENAI_MODEL = 'gpt-4o-mini';
+const GROQ_MODEL = 'llama-3.3-70b-versatile';
+// Groq's default model is text-only; requests with images go to this one
+const GROQ_VISION_MODEL = process.env.GROQ_VISION_MODEL || 'meta-llama/llama-4-scout-17b-16e-instruct';
+
+// AIPIPE_BASE_URL points the AIPipe calls elsewhere, e.g. at mock-quiz-server.js
+export function aipipeBaseUrl() {
+  return (process.env.AIPIPE_BASE_URL || 'https://aipipe.org').replace(/\/+$/, '');
+}
+
+// The user message: plain text, or text followed by images ({ label, mimeType, data } with
+// a Buffer, or a data: URI string) in the OpenAI content-parts format both providers accept
+function userMessage(userPrompt, images = []) {
+  if (images.length === 0) return { role: 'user', content: userPrompt };
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text: userPrompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: {
+          url: typeof image === 'string' ? image : `data:${image.mimeType};base64,${Buffer.from(image.data).toString('base64')}`,
+          detail: 'high'
+        }
+      }))
+    ]
+  };
+}
 
 // Call OpenAI via AIPipe
-async function callOpenAI(systemPrompt, userPrompt) {
+async function callOpenAI(systemPrompt, userPrompt, signal, log = logger, timeoutMs = LLM_TIMEOUT_MS, images = []) {
   if (!process.env.AIPIPE_TOKEN) return null;
 
+  const endTimer = llmDuration.startTimer({ provider: 'openai' });
   try {
     const response = await axios.post(
-      "https://aipipe.org/openai/v1/chat/completions",
+      `${aipipeBaseUrl()}/openai/v1/chat/completions`,
       {
-        model: "gpt-4o-mini",
+        model: OPENAI_MODEL,
         messages: [
           { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
+          userMessage(userPrompt, images)
         ],
         max_tokens: 4000,
         temperature: 0.1
@@ -25,27 +57,33 @@ async function callOpenAI(systemPrompt, userPrompt) {
           Authorization: `Bearer ${process.env.AIPIPE_TOKEN}`,
           "Content-Type": "application/json"
         },
-        timeout: 60000
+        timeout: timeoutMs,
+        signal
       }
     );
 
+    endTimer({ outcome: 'success' });
     return response.data?.choices?.[0]?.message?.content || null;
   } catch (error) {
-    console.warn("  ✗ OpenAI failed:", error.message);
+    endTimer({ outcome: 'error' });
+    if (signal?.aborted) throw error;
+    llmFailures.inc({ provider: 'openai' });
+    log.warn("  ✗ OpenAI failed:", error.message);
     return null;
   }
 }
 
 // Call Groq
-async function callGroq(systemPrompt, userPrompt) {
+async function callGroq(systemPrompt, userPrompt, signal, log = logger, timeoutMs = LLM_TIMEOUT_MS, images = []) {
   if (!process.env.GROQ_API_KEY) return null;
   
+  const endTimer = llmDuration.startTimer({ provider: 'groq' });
   try {
     const response = await axios.post('https://api.groq.com/openai/v1/chat/completions', {
-      model: 'llama-3.3-70b-versatile',
+      model: images.length > 0 ? GROQ_VISION_MODEL : GROQ_MODEL,
       messages: [
         { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
+        userMessage(userPrompt, images)
       ],
       max_tokens: 4000,
       temperature: 0.1
@@ -54,39 +92,51 @@ async function callGroq(systemPrompt, userPrompt) {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
       },
-      timeout: 60000
+      timeout: timeoutMs,
+      signal
     });
 
+    endTimer({ outcome: 'success' });
     return response.data?.choices?.[0]?.message?.content || null;
   } catch (error) {
-    console.warn('  ✗ Groq failed:', error.message);
+    endTimer({ outcome: 'error' });
+    if (signal?.aborted) throw error;
+    llmFailures.inc({ provider: 'groq' });
+    log.warn('  ✗ Groq failed:', error.message);
     return null;
   }
 }
 
 // Main LLM caller with retry
+// options.signal (AbortSignal) cancels in-flight requests and stops further retries; it is the
+// job's signal only - a request that hits timeoutMs counts as that provider failing and falls back
+// options.log is a logger carrying the caller's job/task ids
+// options.timeoutMs caps each request (default 60s); the time budget passes what is left
+// options.images (screenshots etc.) are sent with the user prompt to a vision-capable model
 export async function callLLM(systemPrompt, userPrompt, options = {}) {
-  const { retries = MAX_RETRIES, preferredModel = 'openai' } = options;
+  const { retries = MAX_RETRIES, preferredModel = 'openai', signal, log = logger, timeoutMs = LLM_TIMEOUT_MS, images = [] } = options;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
+    signal?.throwIfAborted();
     if (attempt > 0) {
-      console.log(`  🔄 Retry ${attempt}/${retries}...`);
+      log.info(`  🔄 Retry ${attempt}/${retries}...`);
       await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+      signal?.throwIfAborted();
     }
 
     // Try preferred model first
     let result;
     if (preferredModel === 'openai') {
-      result = await callOpenAI(systemPrompt, userPrompt);
+      result = await callOpenAI(systemPrompt, userPrompt, signal, log, timeoutMs, images);
       if (result) return result;
       
-      result = await callGroq(systemPrompt, userPrompt);
+      result = await callGroq(systemPrompt, userPrompt, signal, log, timeoutMs, images);
       if (result) return result;
     } else {
-      result = await callGroq(systemPrompt, userPrompt);
+      result = await callGroq(systemPrompt, userPrompt, signal, log, timeoutMs, images);
       if (result) return result;
       
-      result = await callOpenAI(systemPrompt, userPrompt);
+      result = await callOpenAI(systemPrompt, userPrompt, signal, log, timeoutMs, images);
       if (result) return result;
     }
   }
@@ -97,12 +147,13 @@ export async function callLLM(systemPrompt, userPrompt, options = {}) {
 /**
  * Call multiple models and vote on best answer
  */
-export async function callLLMWithVoting(systemPrompt, userPrompt) {
-  console.log('  📊 Using voting mode...');
+export async function callLLMWithVoting(systemPrompt, userPrompt, options = {}) {
+  const { signal, log = logger, timeoutMs = LLM_TIMEOUT_MS, images = [] } = options;
+  log.info('  📊 Using voting mode...');
   
   const [openaiResult, groqResult] = await Promise.all([
-    callOpenAI(systemPrompt, userPrompt),
-    callGroq(systemPrompt, userPrompt)
+    callOpenAI(systemPrompt, userPrompt, signal, log, timeoutMs, images),
+    callGroq(systemPrompt, userPrompt, signal, log, timeoutMs, images)
   ]);
 
   const results = [openaiResult, groqResult].filter(r => r !== null);
@@ -111,7 +162,7 @@ export async function callLLMWithVoting(systemPrompt, userPrompt) {
     throw new Error('All models failed');
   }
 
-  console.log(`  ✓ Got ${results.length} responses`);
+  log.info(`  ✓ Got ${results.length} responses`);
   
   // For now, prefer OpenAI if available
   return openaiResult || groqResult;
@@ -146,7 +197,7 @@ BETTER_ANSWER: [improved answer if wrong, or same if correct]`;
       betterAnswer: betterMatch?.[1]?.trim() || proposedAnswer
     };
   } catch (error) {
-    console.warn('Verification failed:', error.message);
+    logger.warn('Verification failed:', error.message);
     return { isCorrect: true, reason: '', betterAnswer: proposedAnswer };
   }
 }
\ No newline at end of file
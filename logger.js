@@ -0,0 +1,56 @@
+// logger.js - Leveled logger shared by every module
+// - LOG_FORMAT=pretty (default): the familiar console output, unchanged
+// - LOG_FORMAT=json: one JSON object per line with time, level, msg and correlation ids
+// - LOG_LEVEL=debug|info|warn|error (default info)
+// child({ jobId, task, attempt }) returns a logger that stamps those ids on every line.
+import util from 'util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const CONSOLE_METHODS = {
+  debug: console.log,
+  info: console.log,
+  warn: console.warn,
+  error: console.error
+};
+
+function currentLevel() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+function isJson() {
+  return process.env.LOG_FORMAT === 'json';
+}
+
+function writeJson(level, bindings, args) {
+  const msg = util.format(...args.filter(a => !(a instanceof Error))).trim();
+  const err = args.find(a => a instanceof Error);
+
+  // Banners and separators carry no information outside the terminal
+  if (!err && /^[\s═─=]*$/.test(msg)) return;
+
+  const line = { time: new Date().toISOString(), level, msg, ...bindings };
+  if (err) line.err = { message: err.message, stack: err.stack };
+
+  const out = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+  out.write(JSON.stringify(line) + '\n');
+}
+
+function createLogger(bindings = {}) {
+  const emit = (level) => (...args) => {
+    if (LEVELS[level] < currentLevel()) return;
+    if (isJson()) writeJson(level, bindings, args);
+    else CONSOLE_METHODS[level](...args);
+  };
+
+  return {
+    bindings,
+    debug: emit('debug'),
+    info: emit('info'),
+    warn: emit('warn'),
+    error: emit('error'),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+  };
+}
+
+export const logger = createLogger();
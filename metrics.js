@@ -0,0 +1,98 @@
+// metrics.js - Minimal Prometheus-style counters and histograms
+// - no external client; renderMetrics() emits the text exposition format for GET /metrics
+// - all solver metrics are declared here so the names live in one place
+
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function counter(name, help) {
+  const series = new Map(); // key -> { labels, value }
+
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines.join('\n');
+    },
+    reset() { series.clear(); }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // key -> { labels, counts[], sum, count }
+
+  const metric = {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((le, i) => { if (value <= le) entry.counts[i] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    // Returns a function that records the elapsed seconds when called
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels(labels, { le })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines.join('\n');
+    },
+    reset() { series.clear(); }
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const BYTES_BUCKETS = [1e3, 1e4, 1e5, 1e6, 1e7, 5e7];
+
+export const jobsStarted = counter('solver_jobs_started_total', 'Jobs that started running');
+export const jobsFinished = counter('solver_jobs_finished_total', 'Jobs that finished, by final state');
+export const tasksSubmitted = counter('solver_tasks_submitted_total', 'Answers submitted, by result (correct/incorrect)');
+export const pageDuration = histogram('solver_page_duration_seconds', 'Time to solve one quiz page attempt', LATENCY_BUCKETS);
+export const llmDuration = histogram('llm_request_duration_seconds', 'LLM request latency, by provider and outcome', LATENCY_BUCKETS);
+export const llmFailures = counter('llm_request_failures_total', 'Failed LLM requests, by provider');
+export const transcriptionDuration = histogram('transcription_duration_seconds', 'Audio transcription latency, by provider and outcome', LATENCY_BUCKETS);
+export const downloadBytes = counter('solver_download_bytes_total', 'Bytes downloaded for quiz files');
+export const downloadSize = histogram('solver_download_size_bytes', 'Size of downloaded quiz files', BYTES_BUCKETS);
+
+export function renderMetrics() {
+  return registry.map(metric => metric.render()).join('\n\n') + '\n';
+}
+
+export function resetMetrics() {
+  registry.forEach(metric => metric.reset());
+}
@@ -0,0 +1,623 @@
+// mock-quiz-server.js - Local stand-in for the quiz site, for end-to-end runs with no network
+// - chained quiz pages: /demo (answer anything) → /demo-scrape (secret code on a
+//   JS-rendered page) → /demo-reveal (pick a vault and press a button to see its code)
+//   → /demo-audio (audio + CSV + per-email cutoff, like page.html)
+//   → /demo-table (a table paginated over several pages) → /demo-api (orders fetched as JSON
+//   after load, only their count rendered) → /demo-canvas (a bar chart drawn on a canvas)
+//   → /demo-pdf (sum a table in a PDF) → /demo-scan (sum the amounts on a scanned PDF, no
+//   text layer, so only OCR can read them) → /demo-token (a CSV served only with the
+//   X-Quiz-Token header the page names)
+// - fixtures: /demo-scrape-data, /demo-audio-data.csv, /demo-audio.wav, /demo-table-data?page=N,
+//   /demo-api-orders, /demo-pdf-data.pdf, /demo-scan-data.pdf, /demo-token-data.csv
+// - POST /submit checks the answer and returns { correct, reason, url }; each email has a
+//   3-minute window (MOCK_QUIZ_WINDOW_MS) from its first request, after which nothing counts
+// - a scripted model at /openai/v1/chat/completions and /openai/v1/audio/transcriptions
+//   answers for these pages, so with AIPIPE_BASE_URL pointed here no provider is called
+//
+// Command: node mock-quiz-server.js [--solve [email]]
+//   serves on MOCK_QUIZ_PORT (default 3900); --solve also runs solveQuiz against it and exits
+import crypto from 'crypto';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import bodyParser from 'body-parser';
+import { logger } from './logger.js';
+
+const WINDOW_MS = parseInt(process.env.MOCK_QUIZ_WINDOW_MS || String(3 * 60 * 1000), 10);
+const DEFAULT_PORT = parseInt(process.env.MOCK_QUIZ_PORT || '3900', 10);
+
+const AUDIO_TRANSCRIPT = 'Add up all the numbers in the first column that are greater than or equal to the cutoff.';
+const TABLE_PAGES = [
+  [['North', 1200], ['South', 950], ['East', 430]],
+  [['West', 780], ['Central', 1610], ['Islands', 240]],
+  [['Overseas', 3050], ['Online', 2275]]
+];
+const TABLE_TOTAL = TABLE_PAGES.flat().reduce((sum, [, amount]) => sum + amount, 0);
+const API_ORDERS = [
+  { sku: 'A-100', amount: 129.5 }, { sku: 'B-220', amount: 48 }, { sku: 'C-310', amount: 305.25 },
+  { sku: 'D-404', amount: 12 }, { sku: 'E-512', amount: 77.25 }
+];
+const API_TOTAL = API_ORDERS.reduce((sum, order) => sum + order.amount, 0);
+const CANVAS_BARS = [['Mon', 42], ['Tue', 57], ['Wed', 31], ['Thu', 64], ['Fri', 49]];
+const CANVAS_TOTAL = CANVAS_BARS.reduce((sum, [, units]) => sum + units, 0);
+const PDF_ROWS = [['Apples', 1250], ['Bananas', 830], ['Cherries', 2475], ['Dates', 610], ['Elderberries', 1905]];
+const SCAN_AMOUNTS = [1250, 2475, 910, 1905, 4412, 720];
+const SCAN_TOTAL = SCAN_AMOUNTS.reduce((sum, amount) => sum + amount, 0);
+const QUIZ_TOKEN = 'mock-token-7f3a';
+const TOKEN_ROWS = [['Q1', 4200], ['Q2', 3850], ['Q3', 5125], ['Q4', 6010]];
+const TOKEN_TOTAL = TOKEN_ROWS.reduce((sum, [, amount]) => sum + amount, 0);
+
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex');
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// Per-email numbers, like the real demo's emailNumber()
+export function emailNumber(email) {
+  return parseInt(sha1(email).slice(0, 4), 16);
+}
+
+function secretCode(email, salt = 'scrape') {
+  return parseInt(sha1(`${email}:${salt}`).slice(0, 5), 16);
+}
+
+const VAULTS = ['alpha', 'beta', 'gamma'];
+
+// Same CSV for every run (seeded PRNG) so expected answers are stable
+function csvValues() {
+  let seed = 42;
+  const next = () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return Array.from({ length: 300 }, () => Math.floor(next() * 100000));
+}
+
+const CSV_VALUES = csvValues();
+
+function sumFrom(cutoff, inclusive = true) {
+  return CSV_VALUES.filter(v => inclusive ? v >= cutoff : v > cutoff).reduce((a, b) => a + b, 0);
+}
+
+// PDF file from its objects (strings or Buffers, numbered from 1, the catalog first)
+function assemblePdf(objects) {
+  const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    const chunk = Buffer.concat([
+      Buffer.from(`${i + 1} 0 obj\n`, 'latin1'),
+      typeof body === 'string' ? Buffer.from(body, 'latin1') : body,
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+  let trailer = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  trailer += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  trailer += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+  return Buffer.concat([...chunks, Buffer.from(trailer, 'latin1')]);
+}
+
+// Minimal one-page PDF with one text line per entry
+function buildPdf(lines) {
+  const content = lines
+    .map((line, i) => `BT /F1 12 Tf 72 ${720 - i * 18} Td (${line.replace(/[()\\]/g, '\\$&')}) Tj ET`)
+    .join('\n');
+  return assemblePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+  ]);
+}
+
+// Digits as pen strokes on a 10x16 grid, drawn round and anti-aliased so OCR reads them
+// the way it reads a scan
+const arc = (cx, cy, rx, ry, from, to, steps = 16) => Array.from({ length: steps + 1 }, (_, i) => {
+  const a = (from + (to - from) * i / steps) * Math.PI / 180;
+  return [cx + rx * Math.cos(a), cy + ry * Math.sin(a)];
+});
+const DIGIT_STROKES = {
+  0: [arc(5, 8, 4.5, 7, 0, 360)],
+  1: [[[2, 4], [6, 1], [6, 15]], [[2.5, 15], [9.5, 15]]],
+  2: [[...arc(5, 5, 4, 4, 190, 400), [1, 15], [9.5, 15]]],
+  3: [arc(5, 4.5, 4, 3.5, 200, 450), arc(5, 11.5, 4.5, 3.5, 270, 520)],
+  4: [[[7.5, 15], [7.5, 1], [0.5, 11], [10, 11]]],
+  5: [[[9, 1], [2, 1], [1.5, 7.2], ...arc(5, 10.5, 4.5, 4.5, 225, 500)]],
+  6: [arc(6, 8.5, 5, 7.5, 300, 160), arc(5, 11, 4.5, 4, 0, 360)],
+  7: [[[0.5, 1], [9.5, 1], [4, 15]]],
+  8: [arc(5, 4.3, 3.8, 3.3, 0, 360), arc(5, 11.3, 4.5, 3.7, 0, 360)],
+  9: [arc(5, 5, 4.5, 4, 0, 360), arc(4, 7.5, 5, 7.5, 340, 480)]
+};
+
+function distanceToSegment(x, y, [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy || 1)));
+  return Math.hypot(x - ax - t * dx, y - ay - t * dy);
+}
+
+// 8-bit gray pixels, black digits on white, one line of text per entry
+function renderDigits(lines, scale = 3) {
+  const charWidth = 13 * scale;
+  const lineHeight = 24 * scale;
+  const margin = 20;
+  const width = margin * 2 + charWidth * Math.max(...lines.map(line => line.length));
+  const height = margin * 2 + lineHeight * lines.length;
+  const pixels = Buffer.alloc(width * height, 255);
+  lines.forEach((line, row) => [...line].forEach((char, col) => {
+    const strokes = DIGIT_STROKES[char];
+    if (!strokes) return;
+    const left = margin + col * charWidth;
+    const top = margin + row * lineHeight;
+    for (let y = 0; y < 17 * scale; y++) {
+      for (let x = -scale; x < 11 * scale; x++) {
+        let distance = Infinity;
+        for (const stroke of strokes) {
+          for (let i = 1; i < stroke.length; i++) distance = Math.min(distance, distanceToSegment(x / scale, y / scale, stroke[i - 1], stroke[i]));
+        }
+        const ink = Math.max(0, Math.min(1, (0.9 - distance) * scale / 1.5 + 0.5));
+        const at = (top + y) * width + left + x;
+        pixels[at] = Math.min(pixels[at], Math.round(255 * (1 - ink)));
+      }
+    }
+  }));
+  return { width, height, pixels };
+}
+
+// One-page PDF that is only a scanned image of the lines: no text layer at all
+function buildScannedPdf(lines) {
+  const { width, height, pixels } = renderDigits(lines);
+  const image = zlib.deflateSync(pixels);
+  const content = `q ${width} 0 0 ${height} 0 0 cm /Im1 Do Q`;
+  return assemblePdf([
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im1 4 0 R >> >> /Contents 5 0 R >>`,
+    Buffer.concat([
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${image.length} >>\nstream\n`, 'latin1'),
+      image,
+      Buffer.from('\nendstream', 'latin1')
+    ]),
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+  ]);
+}
+
+// Half a second of 8kHz 16-bit mono silence; the scripted transcription supplies the words
+function buildWav() {
+  const samples = 4000;
+  const wav = Buffer.alloc(44 + samples * 2);
+  wav.write('RIFF', 0);
+  wav.writeUInt32LE(36 + samples * 2, 4);
+  wav.write('WAVEfmt ', 8);
+  wav.writeUInt32LE(16, 16);
+  wav.writeUInt16LE(1, 20);
+  wav.writeUInt16LE(1, 22);
+  wav.writeUInt32LE(8000, 24);
+  wav.writeUInt32LE(16000, 28);
+  wav.writeUInt16LE(2, 32);
+  wav.writeUInt16LE(16, 34);
+  wav.write('data', 36);
+  wav.writeUInt32LE(samples * 2, 40);
+  return wav;
+}
+
+const PDF_FIXTURE = buildPdf(['Fruit sales', 'Item Value', ...PDF_ROWS.map(([item, value]) => `${item} ${value}`)]);
+const SCAN_FIXTURE = buildScannedPdf(SCAN_AMOUNTS.map(String));
+const WAV_FIXTURE = buildWav();
+
+function submitBlock(origin, stagePath, answerExample) {
+  return `<p>POST this JSON to <span class="origin">${origin}</span>/submit</p>
+<pre>
+{
+  "email": "your email",
+  "secret": "your secret",
+  "url": "${origin}${stagePath}",
+  "answer": ${answerExample}
+}
+</pre>`;
+}
+
+function isNumberAnswer(answer, expected) {
+  return Number(typeof answer === 'string' ? answer.trim() : answer) === expected;
+}
+
+// Quiz chain, in order. page() is the HTML, analysis() what a good model reads from it,
+// expected() the answer (null accepts anything) and check() the server's verdict.
+const STAGES = [
+  {
+    path: '/demo',
+    page: ({ origin }) => `<h1>Demo quiz</h1>
+<p>This is a demo. Submit any answer to start the quiz.</p>
+${submitBlock(origin, '/demo', '"anything you want"')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'other', description: 'Submit any answer to start', files: [], scrapeUrl: null,
+      operations: ['other'], conditions: [], notes: 'any answer is accepted', submitUrl: `${origin}/submit`, answerType: 'string'
+    }),
+    expected: () => null,
+    check: (answer) => answer !== '' && answer !== null
+      ? { correct: true }
+      : { correct: false, reason: 'Answer must not be empty' }
+  },
+  {
+    path: '/demo-scrape',
+    page: ({ origin, email }) => `<p>Scrape <a href="/demo-scrape-data?email=${encodeURIComponent(email)}">/demo-scrape-data?email=${escapeHtml(email)}</a> (relative to this page).
+Get the secret code from this page. POST the secret code back to /submit.</p>
+${submitBlock(origin, '/demo-scrape', '12345')}`,
+    analysis: ({ origin, email }) => ({
+      taskType: 'scraping', description: 'Get the secret code from the scrape page', files: [],
+      scrapeUrl: `${origin}/demo-scrape-data?email=${encodeURIComponent(email)}`,
+      operations: ['extract'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: (email) => secretCode(email),
+    check: (answer, email) => isNumberAnswer(answer, secretCode(email))
+      ? { correct: true }
+      : { correct: false, reason: 'Secret code does not match' }
+  },
+  {
+    path: '/demo-reveal',
+    page: ({ origin, email }) => {
+      const codes = Buffer.from(JSON.stringify(Object.fromEntries(VAULTS.map(v => [v, secretCode(email, v)])))).toString('base64');
+      return `<p>Choose the <b>Gamma</b> vault below and press <b>Reveal</b>. POST the secret code it shows back to /submit.</p>
+<label for="vault">Vault</label>
+<select id="vault">${VAULTS.map(v => `<option value="${v}">${v[0].toUpperCase()}${v.slice(1)}</option>`).join('')}</select>
+<button id="reveal">Reveal</button>
+<p id="result"></p>
+<script>
+const codes = JSON.parse(atob(${JSON.stringify(codes)}));
+document.querySelector('#reveal').addEventListener('click', () => {
+  document.querySelector('#result').textContent = 'Secret code is ' + codes[document.querySelector('#vault').value];
+});
+</script>
+${submitBlock(origin, '/demo-reveal', '12345')}`;
+    },
+    analysis: ({ origin }) => ({
+      taskType: 'extraction', description: 'Get the secret code shown for the Gamma vault', files: [], scrapeUrl: null,
+      actions: [
+        { action: 'select', selector: '#vault', value: 'gamma' },
+        { action: 'click', selector: '#reveal' },
+        { action: 'wait', selector: '#result:not(:empty)' },
+        { action: 'read', selector: '#result' }
+      ],
+      operations: ['extract'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: (email) => secretCode(email, 'gamma'),
+    check: (answer, email) => {
+      if (isNumberAnswer(answer, secretCode(email, 'gamma'))) return { correct: true };
+      const other = VAULTS.find(v => isNumberAnswer(answer, secretCode(email, v)));
+      return { correct: false, reason: other ? `That is the ${other} vault's code` : 'Secret code does not match' };
+    }
+  },
+  {
+    path: '/demo-audio',
+    // The cutoff is filled in by script, as on the real page
+    page: ({ origin, email }) => `<p><audio src="demo-audio.wav" controls></audio></p>
+<p><a href="demo-audio-data.csv">CSV file</a></p>
+<p>Cutoff: <span id="cutoff"></span></p>
+${submitBlock(origin, '/demo-audio', '...')}
+<script>
+document.querySelector('#cutoff').textContent = atob(${JSON.stringify(Buffer.from(email ? String(emailNumber(email)) : 'Please provide ?email=').toString('base64'))});
+</script>`,
+    analysis: ({ origin, email }) => ({
+      taskType: 'analysis', description: 'Follow the audio instructions to aggregate the CSV',
+      files: [
+        { url: `${origin}/demo-audio-data.csv`, role: 'data', format: 'csv' },
+        { url: `${origin}/demo-audio.wav`, role: 'instructions', format: 'audio' }
+      ],
+      scrapeUrl: null, operations: ['sum'],
+      conditions: [{ field: null, operator: '>=', value: emailNumber(email) }],
+      notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: (email) => sumFrom(emailNumber(email)),
+    check: (answer, email) => {
+      if (isNumberAnswer(answer, sumFrom(emailNumber(email)))) return { correct: true };
+      if (isNumberAnswer(answer, sumFrom(emailNumber(email), false))) return { correct: false, reason: 'The cutoff is inclusive' };
+      return { correct: false, reason: 'Wrong sum' };
+    }
+  },
+  {
+    path: '/demo-table',
+    page: ({ origin }) => `<p>The sales table at <a href="/demo-table-data?page=1">/demo-table-data</a> is split over several pages.
+What is the total of the Amount column across all pages?</p>
+${submitBlock(origin, '/demo-table', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'scraping', description: 'Total the Amount column of the paginated sales table', files: [],
+      scrapeUrl: `${origin}/demo-table-data?page=1`, crawl: { follow: 'Next', maxPages: 10 },
+      operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => TABLE_TOTAL,
+    check: (answer) => {
+      if (isNumberAnswer(answer, TABLE_TOTAL)) return { correct: true };
+      const firstPage = TABLE_PAGES[0].reduce((sum, [, amount]) => sum + amount, 0);
+      return { correct: false, reason: isNumberAnswer(answer, firstPage) ? 'That is only the first page' : 'Wrong total' };
+    }
+  },
+  {
+    path: '/demo-api',
+    page: ({ origin }) => `<p>This page loads today's orders from the server. What is the total amount of all orders?</p>
+<p id="orders">Loading orders…</p>
+<script>
+fetch('/demo-api-orders').then(r => r.json()).then(data => {
+  document.querySelector('#orders').textContent = data.orders.length + ' orders loaded.';
+});
+</script>
+${submitBlock(origin, '/demo-api', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'computation', description: 'Total the amount of the orders the page loads', files: [], scrapeUrl: null,
+      operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => API_TOTAL,
+    check: (answer) => isNumberAnswer(answer, API_TOTAL)
+      ? { correct: true }
+      : { correct: false, reason: isNumberAnswer(answer, API_ORDERS.length) ? 'That is the number of orders' : 'Wrong total' }
+  },
+  {
+    path: '/demo-canvas',
+    // Only answerable from a screenshot: the scripted model needs an image for this page
+    vision: true,
+    page: ({ origin }) => `<p>The chart shows units sold per day this week. How many units were sold in total?</p>
+<canvas id="chart" width="420" height="260"></canvas>
+<script>
+const bars = JSON.parse(atob(${JSON.stringify(Buffer.from(JSON.stringify(CANVAS_BARS)).toString('base64'))}));
+const ctx = document.querySelector('#chart').getContext('2d');
+ctx.font = '14px sans-serif';
+bars.forEach(([day, units], i) => {
+  const x = 30 + i * 78, h = units * 3;
+  ctx.fillStyle = '#4a7bd0';
+  ctx.fillRect(x, 220 - h, 50, h);
+  ctx.fillStyle = '#000';
+  ctx.fillText(String(units), x + 12, 214 - h);
+  ctx.fillText(day, x + 10, 240);
+});
+</script>
+${submitBlock(origin, '/demo-canvas', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'extraction', description: 'Total the units sold per day shown in the canvas bar chart', files: [], scrapeUrl: null,
+      visual: true, operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => CANVAS_TOTAL,
+    check: (answer) => isNumberAnswer(answer, CANVAS_TOTAL)
+      ? { correct: true }
+      : { correct: false, reason: 'Wrong total' }
+  },
+  {
+    path: '/demo-pdf',
+    page: ({ origin }) => `<p>Download <a href="/demo-pdf-data.pdf">the sales report</a>.
+What is the sum of the Value column in the table?</p>
+${submitBlock(origin, '/demo-pdf', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'computation', description: 'Sum the Value column of the PDF table',
+      files: [{ url: `${origin}/demo-pdf-data.pdf`, role: 'data', format: 'pdf' }],
+      scrapeUrl: null, operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => PDF_ROWS.reduce((sum, [, value]) => sum + value, 0),
+    check: (answer) => isNumberAnswer(answer, PDF_ROWS.reduce((sum, [, value]) => sum + value, 0))
+      ? { correct: true }
+      : { correct: false, reason: 'Wrong total' }
+  },
+  {
+    path: '/demo-scan',
+    // Only answerable through OCR: dataOnly stops the scripted model working out the answer itself
+    dataOnly: true,
+    page: ({ origin }) => `<p>Download <a href="/demo-scan-data.pdf">the scanned receipt</a>.
+What is the sum of the amounts on it?</p>
+${submitBlock(origin, '/demo-scan', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'computation', description: 'Sum the amounts on the scanned receipt',
+      files: [{ url: `${origin}/demo-scan-data.pdf`, role: 'data', format: 'pdf' }],
+      scrapeUrl: null, operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => SCAN_TOTAL,
+    check: (answer) => isNumberAnswer(answer, SCAN_TOTAL)
+      ? { correct: true }
+      : { correct: false, reason: 'Wrong total' }
+  },
+  {
+    path: '/demo-token',
+    // Only answerable when the download sends the header
+    dataOnly: true,
+    page: ({ origin }) => `<p>Download <a href="/demo-token-data.csv">the quarterly sales</a>.
+The file server wants the header <code>X-Quiz-Token: ${QUIZ_TOKEN}</code> on every request.
+What is the total amount?</p>
+${submitBlock(origin, '/demo-token', '12345')}`,
+    analysis: ({ origin }) => ({
+      taskType: 'computation', description: 'Sum the amount column of the quarterly sales CSV',
+      files: [{ url: `${origin}/demo-token-data.csv`, role: 'data', format: 'csv' }],
+      headers: { 'X-Quiz-Token': QUIZ_TOKEN },
+      scrapeUrl: null, operations: ['sum'], conditions: [], notes: '', submitUrl: `${origin}/submit`, answerType: 'number'
+    }),
+    expected: () => TOKEN_TOTAL,
+    check: (answer) => isNumberAnswer(answer, TOKEN_TOTAL)
+      ? { correct: true }
+      : { correct: false, reason: 'Wrong total' }
+  }
+];
+
+function stageForUrl(url) {
+  try {
+    const { pathname } = new URL(url, 'http://mock');
+    return STAGES.find(s => s.path === pathname) || null;
+  } catch {
+    return null;
+  }
+}
+
+// The stage a prompt is about: the longest stage path it mentions
+function stageInPrompt(prompt) {
+  const mentioned = STAGES.filter(s => new RegExp(`${s.path}(?![\\w-])`).test(prompt));
+  return mentioned.sort((a, b) => b.path.length - a.path.length)[0] || null;
+}
+
+/**
+ * Express app for the mock quiz. options.windowMs is the per-email time window,
+ * options.secret (optional) is the only secret /submit accepts.
+ */
+export function createMockQuizApp(options = {}) {
+  const { windowMs = WINDOW_MS, secret = process.env.MOCK_QUIZ_SECRET || null, log = logger } = options;
+  const sessions = new Map();
+  // Prompts for code and answers do not always name the page; fall back to the last analysed one
+  const model = { stage: STAGES[0], email: 'student@example.com' };
+
+  const sessionFor = (email) => {
+    if (!sessions.has(email)) sessions.set(email, { startedAt: Date.now(), submissions: 0 });
+    return sessions.get(email);
+  };
+  const originOf = (req) => `${req.protocol}://${req.get('host')}`;
+  const urlFor = (origin, stage, email) => `${origin}${stage.path}?email=${encodeURIComponent(email)}`;
+
+  const app = express();
+  // Chat requests carry screenshots; everything else is held to the quiz's 1MB
+  app.use('/openai', bodyParser.json({ limit: '25mb' }));
+  app.use(bodyParser.json({ limit: '1mb' }));
+
+  for (const stage of STAGES) {
+    app.get(stage.path, (req, res) => {
+      const email = String(req.query.email || '');
+      if (email) sessionFor(email);
+      res.type('html').send(`<!doctype html><html><body>${stage.page({ origin: originOf(req), email })}</body></html>`);
+    });
+  }
+
+  app.get('/demo-scrape-data', (req, res) => {
+    const email = String(req.query.email || '');
+    const code = Buffer.from(email ? `Secret code is <b>${secretCode(email)}</b> and not 0.` : 'Please provide ?email=').toString('base64');
+    res.type('html').send(`<!doctype html><html><body><div id="question"></div>
+<script>document.querySelector('#question').innerHTML = atob(${JSON.stringify(code)});</script></body></html>`);
+  });
+  app.get('/demo-table-data', (req, res) => {
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), TABLE_PAGES.length);
+    const rows = TABLE_PAGES[page - 1].map(([region, amount]) => `<tr><td>${region}</td><td>${amount}</td></tr>`).join('\n');
+    const nav = [
+      page > 1 ? `<a href="/demo-table-data?page=${page - 1}">Previous</a>` : '',
+      page < TABLE_PAGES.length ? `<a href="/demo-table-data?page=${page + 1}">Next</a>` : ''
+    ].join(' ');
+    res.type('html').send(`<!doctype html><html><body><h1>Sales</h1>
+<table><thead><tr><th>Region</th><th>Amount</th></tr></thead><tbody>
+${rows}
+</tbody></table><p>${nav}</p></body></html>`);
+  });
+  app.get('/demo-api-orders', (req, res) => res.json({ date: '2025-01-15', orders: API_ORDERS }));
+  app.get('/demo-audio-data.csv', (req, res) => res.type('text/csv').send(CSV_VALUES.join('\n') + '\n'));
+  app.get('/demo-audio.wav', (req, res) => res.type('audio/wav').send(WAV_FIXTURE));
+  app.get('/demo-pdf-data.pdf', (req, res) => res.type('application/pdf').send(PDF_FIXTURE));
+  app.get('/demo-scan-data.pdf', (req, res) => res.type('application/pdf').send(SCAN_FIXTURE));
+  app.get('/demo-token-data.csv', (req, res) => {
+    if (req.get('X-Quiz-Token') !== QUIZ_TOKEN) return res.status(403).json({ error: 'Missing or wrong X-Quiz-Token' });
+    res.type('text/csv').send(`quarter,amount\n${TOKEN_ROWS.map(row => row.join(',')).join('\n')}\n`);
+  });
+
+  app.post('/submit', (req, res) => {
+    const { email, secret: given, url, answer } = req.body || {};
+    if (typeof email !== 'string' || !email || typeof url !== 'string' || typeof given !== 'string' || answer === undefined) {
+      return res.status(400).json({ error: 'email, secret, url and answer are required' });
+    }
+    if (secret && given !== secret) return res.status(403).json({ error: 'Invalid secret' });
+    const stage = stageForUrl(url);
+    if (!stage) return res.status(400).json({ error: `Unknown quiz url: ${url}` });
+
+    const session = sessionFor(email);
+    session.submissions += 1;
+    const index = STAGES.indexOf(stage);
+    const next = STAGES[index + 1] ? urlFor(originOf(req), STAGES[index + 1], email) : null;
+
+    if (Date.now() - session.startedAt > windowMs) {
+      log.info(`🧪 Mock quiz: ${email} answered ${stage.path} after the ${Math.round(windowMs / 1000)}s window`);
+      return res.json({ correct: false, reason: `Time limit of ${Math.round(windowMs / 1000)}s exceeded`, url: null });
+    }
+
+    const { correct, reason = null } = stage.check(answer, email);
+    log.info(`🧪 Mock quiz: ${stage.path} ${JSON.stringify(answer).slice(0, 80)} → ${correct ? 'correct' : `wrong (${reason})`}`);
+    res.json({ correct, reason: correct ? null : reason, url: next });
+  });
+
+  // Scripted model: analysis JSON for analysis prompts, a solve() for code prompts, else the answer
+  // (for vision pages only when a screenshot came with the prompt, never for data-only ones)
+  app.post('/openai/v1/chat/completions', (req, res) => {
+    const messages = req.body?.messages || [];
+    const prompt = messages.map(m => typeof m.content === 'string' ? m.content : m.content.map(part => part.text || '').join('\n')).join('\n');
+    const hasImage = messages.some(m => Array.isArray(m.content) && m.content.some(part => part.type === 'image_url'));
+    const emailMatch = prompt.match(/[?&]email=([^\s&"'<]+)/);
+    const stage = stageInPrompt(prompt) || model.stage;
+    const email = emailMatch ? decodeURIComponent(emailMatch[1]) : model.email;
+    const origin = originOf(req);
+
+    let content;
+    if (/Analyze this data science task|"taskType"/.test(prompt)) {
+      Object.assign(model, { stage, email });
+      content = JSON.stringify(stage.analysis({ origin, email }));
+    } else if (/function solve\(data\)/.test(prompt)) {
+      const answer = stage.vision || stage.dataOnly ? null : stage.expected(email) ?? 'anything you want';
+      content = `function solve(data) {\n  return ${JSON.stringify(answer)};\n}`;
+    } else if (stage.vision && !hasImage) {
+      content = 'I cannot see the chart.';
+    } else if (stage.dataOnly) {
+      content = 'I cannot read the data.';
+    } else {
+      content = String(stage.expected(email) ?? 'anything you want');
+    }
+    res.json({ object: 'chat.completion', model: 'mock', choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }] });
+  });
+
+  app.post('/openai/v1/audio/transcriptions', (req, res) => {
+    req.resume();
+    req.on('end', () => res.json({ text: AUDIO_TRANSCRIPT }));
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock quiz on options.port (0 picks a free port).
+ * Resolves to { url, close() }; the quiz starts at `${url}/demo?email=...`.
+ */
+export function startMockQuizServer(options = {}) {
+  const { port = DEFAULT_PORT, ...appOptions } = options;
+  const app = createMockQuizApp(appOptions);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ url, close: () => new Promise(done => server.close(done)) });
+    });
+    server.on('error', reject);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const solveIndex = args.indexOf('--solve');
+  const mock = await startMockQuizServer();
+  logger.info(`🧪 Mock quiz at ${mock.url}/demo?email=<email> (window ${Math.round(WINDOW_MS / 1000)}s)`);
+  logger.info(`   Scripted model: AIPIPE_BASE_URL=${mock.url} AIPIPE_TOKEN=mock`);
+  if (solveIndex === -1) return;
+
+  // Everything the solver calls must land here: the scripted model and nothing else
+  const email = args[solveIndex + 1] || 'student@example.com';
+  process.env.AIPIPE_BASE_URL = mock.url;
+  process.env.AIPIPE_TOKEN = 'mock';
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.GROQ_API_KEY;
+
+  const { solveQuiz } = await import('./solver-llm.js');
+  const { closeBrowserPool } = await import('./browser-pool.js');
+  let ok = false;
+  try {
+    const result = await solveQuiz({ email, secret: 'mock', url: `${mock.url}/demo?email=${encodeURIComponent(email)}` });
+    const solved = new Set(result.taskHistory.filter(t => t.correct).map(t => new URL(t.url).pathname));
+    ok = STAGES.every(s => solved.has(s.path));
+    logger.info(`🧪 Mock quiz: ${solved.size}/${STAGES.length} pages solved in ${result.totalTime}s`);
+  } catch (err) {
+    logger.error('💥 Mock quiz run failed:', err.message);
+  } finally {
+    await closeBrowserPool();
+    await mock.close();
+  }
+  process.exit(ok ? 0 : 1);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
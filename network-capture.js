@@ -0,0 +1,91 @@
+// network-capture.js - Keep the XHR/fetch responses a page makes while it is open
+// Dynamic pages often fetch their real data as JSON (or CSV) after load and only render
+// part of it. startCapture() listens on the Playwright page from before navigation until
+// stop(), recording each XHR/fetch response's URL, method, status, content type and text
+// body (cut at CAPTURE_MAX_BYTES, default 1MB; binary bodies are not kept), up to
+// CAPTURE_MAX_RESPONSES responses (default 30). responsesAsFiles() turns them into entries
+// for the solver's downloaded files, so they reach the analysis, CSV processing and handlers.
+import { logger } from './logger.js';
+
+const CAPTURE_MAX_BYTES = parseInt(process.env.CAPTURE_MAX_BYTES || String(1024 * 1024), 10);
+const CAPTURE_MAX_RESPONSES = parseInt(process.env.CAPTURE_MAX_RESPONSES || '30', 10);
+const BODY_WAIT_MS = 2000;
+
+const TEXT_TYPES = /json|csv|text\/|xml|javascript|graphql/i;
+
+function formatOf(contentType = '', url = '') {
+  if (/json/i.test(contentType) || /\.json(\?|$)/i.test(url)) return 'json';
+  if (/csv/i.test(contentType) || /\.csv(\?|$)/i.test(url)) return 'csv';
+  return 'text';
+}
+
+/**
+ * Start recording the page's XHR/fetch responses. stop() detaches the listener and
+ * resolves to [{ url, method, status, contentType, format, bytes, body, truncated }]
+ * (body is null for binary responses or when it could not be read).
+ */
+export function startCapture(page, options = {}) {
+  const { maxBytes = CAPTURE_MAX_BYTES, maxResponses = CAPTURE_MAX_RESPONSES, log = logger } = options;
+  const responses = [];
+  const pending = [];
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (!['xhr', 'fetch'].includes(request.resourceType())) return;
+    if (responses.length >= maxResponses) return;
+
+    const headers = response.headers();
+    const contentType = headers['content-type'] || '';
+    const entry = {
+      url: response.url(), method: request.method(), status: response.status(), contentType,
+      format: formatOf(contentType, response.url()), bytes: parseInt(headers['content-length'], 10) || null,
+      body: null, truncated: false
+    };
+    responses.push(entry);
+    if (!TEXT_TYPES.test(contentType)) return;
+
+    pending.push(response.body().then(buffer => {
+      entry.bytes = buffer.length;
+      entry.truncated = buffer.length > maxBytes;
+      entry.body = buffer.subarray(0, maxBytes).toString('utf8');
+    }).catch(err => {
+      log.debug(`  Could not read response body of ${entry.url}: ${err.message}`);
+    }));
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    async stop() {
+      page.off('response', onResponse);
+      // Long-polling or streaming bodies never finish; do not wait for them
+      await Promise.race([Promise.all(pending), new Promise(r => setTimeout(r, BODY_WAIT_MS))]);
+      return responses;
+    }
+  };
+}
+
+/**
+ * Captured responses worth reading as files: successful, with a text body, first one per
+ * URL. The key is the response URL, with a "#.json"/"#.csv" hint appended when the URL
+ * does not show the format, since file handling goes by the URL's extension.
+ */
+export function responsesAsFiles(responses = []) {
+  const files = new Map();
+  for (const response of responses) {
+    if (response.status < 200 || response.status >= 300 || !response.body || files.has(response.url)) continue;
+    const named = response.format === 'text' || new RegExp(`\\.${response.format}(\\?|$)`, 'i').test(response.url);
+    files.set(response.url, { ...response, key: named ? response.url : `${response.url.split('#')[0]}#.${response.format}` });
+  }
+  return [...files.values()];
+}
+
+/**
+ * One line per response with a short body preview, for prompts
+ */
+export function describeResponses(responses = []) {
+  return responses.map(r => {
+    const preview = r.body ? ` ${r.body.slice(0, 200).replace(/\s+/g, ' ')}` : '';
+    return `- ${r.method} ${r.url} (${r.status}, ${r.contentType || 'no content type'}, ${r.bytes ?? '?'} bytes)${preview}`;
+  }).join('\n');
+}
@@ -0,0 +1,194 @@
+// ocr.js - Local OCR for image files, <img> elements and scanned PDF pages
+// Some tasks hand over their data as a picture: a PNG/JPEG link, an image on the quiz page,
+// or a PDF whose pages are scans with no text layer. recognizeImages() reads them in-process
+// with tesseract.js (WASM) and the English model from @tesseract.js-data/eng (or
+// OCR_LANG_PATH), so nothing goes over the network. Each result has the text plus every
+// line and word with its bounding box and confidence; the text goes into the solver's files
+// like any other document, so extractPatterns() and the numeric handlers read it as usual.
+// pdfImages() pulls the embedded page images (JPEG, or 1/8-bit gray/RGB Flate re-wrapped as
+// PNG) out of a PDF for the same treatment. OCR=off turns it off.
+import path from 'path';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import { encodePng } from './png.js';
+import { logger } from './logger.js';
+
+export const OCR_ENABLED = process.env.OCR !== 'off';
+export const OCR_MAX_IMAGES = parseInt(process.env.OCR_MAX_IMAGES || '6', 10);
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS || '30000', 10);
+const MIN_IMAGE_PX = 40;
+
+// Image links worth reading (GIF and SVG are not formats tesseract decodes)
+export const IMAGE_FILE_PATTERN = /\.(png|jpe?g|webp|bmp)(\?|#|$)/i;
+const UNREADABLE_IMAGE = /\.(gif|svg)(\?|#|$)|^data:image\/(gif|svg)/i;
+
+/**
+ * Whether an <img> source (URL or data: URI) may be an image tesseract can read
+ */
+export function isOcrReadable(src) {
+  return Boolean(src) && !UNREADABLE_IMAGE.test(src);
+}
+
+function langPath() {
+  if (process.env.OCR_LANG_PATH) return path.resolve(process.env.OCR_LANG_PATH);
+  const require = createRequire(import.meta.url);
+  return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+/**
+ * { mimeType, data (Buffer) } from a data: URI, or null for anything else
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(uri || '');
+  if (!match) return null;
+  const [, mimeType, params, payload] = match;
+  const data = /;base64/i.test(params) ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload), 'latin1');
+  return { mimeType: mimeType || 'text/plain', data };
+}
+
+// Lines (with their words) of a tesseract page, top to bottom as tesseract reads them
+function linesOf(page) {
+  return (page.blocks || []).flatMap(block => block.paragraphs).flatMap(paragraph => paragraph.lines).map(line => ({
+    text: line.text.trim(),
+    confidence: Math.round(line.confidence),
+    bbox: line.bbox,
+    words: line.words.map(word => ({ text: word.text, confidence: Math.round(word.confidence), bbox: word.bbox }))
+  }));
+}
+
+class OcrTimeoutError extends Error {}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new OcrTimeoutError(`OCR timed out after ${ms}ms`)), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * OCR each image ({ source, data (Buffer) }) with one worker for the batch.
+ * options: log, signal, timeoutMs (per image), budget (images left when time gets tight are skipped).
+ * Returns [{ source, text, confidence, lines: [{ text, confidence, bbox: { x0, y0, x1, y1 },
+ * words: [{ text, confidence, bbox }] }] }], or { source, error } for an image that could not be read.
+ * A timeout ends the batch, since the worker has to be stopped to stop recognition: the timed-out
+ * image is { source, error } and the results so far are returned. Only an abort throws.
+ */
+export async function recognizeImages(images, options = {}) {
+  const { log = logger, signal, timeoutMs = OCR_TIMEOUT_MS, budget = null } = options;
+  if (images.length === 0) return [];
+
+  const worker = await createWorker('eng', 1, {
+    langPath: langPath(),
+    gzip: true,
+    cacheMethod: 'none',
+    errorHandler: (err) => log.debug(`  OCR worker error: ${err?.message || err}`)
+  });
+  const stop = () => worker.terminate().catch(() => {});
+  signal?.addEventListener('abort', stop, { once: true });
+
+  const results = [];
+  try {
+    for (const { source, data } of images) {
+      signal?.throwIfAborted();
+      if (budget?.isTight()) {
+        log.warn(`  ⏱️  Time is tight - skipping OCR of ${images.length - results.length} image(s)`);
+        break;
+      }
+      const started = Date.now();
+      try {
+        const { data: page } = await withTimeout(
+          worker.recognize(data, {}, { text: true, blocks: true }),
+          budget ? budget.stepTimeout(timeoutMs) : timeoutMs
+        );
+        const lines = linesOf(page);
+        results.push({ source, text: page.text.trim(), confidence: Math.round(page.confidence), lines });
+        log.info(`  🔤 OCR ${source.slice(0, 100)}: ${lines.length} line(s), confidence ${Math.round(page.confidence)} (${Date.now() - started}ms)`);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        // The worker rejects with plain strings
+        const message = err?.message || String(err);
+        log.warn(`  ⚠️  OCR failed for ${source.slice(0, 100)}: ${message}`);
+        results.push({ source, error: message });
+        if (err instanceof OcrTimeoutError) {
+          if (results.length < images.length) log.warn(`  ⏱️  Skipping OCR of the ${images.length - results.length} image(s) left`);
+          break;
+        }
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', stop);
+    await stop();
+  }
+  return results;
+}
+
+// Flate-compressed raw pixels as a PNG, or null for layouts PNG cannot take as they are
+function flateImageToPng(dict, stream, width, height) {
+  const imageMask = /\/ImageMask\s+true/.test(dict);
+  const channels = imageMask || /\/ColorSpace\s*\/DeviceGray/.test(dict) ? 1 : /\/ColorSpace\s*\/DeviceRGB/.test(dict) ? 3 : null;
+  const bitDepth = imageMask ? 1 : parseInt(/\/BitsPerComponent\s+(\d+)/.exec(dict)?.[1], 10);
+  if (!channels || ![1, 8].includes(bitDepth) || (bitDepth === 1 && channels !== 1)) return null;
+
+  const raw = zlib.inflateSync(stream, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  const rowBytes = Math.ceil(width * channels * bitDepth / 8);
+  const predictor = parseInt(/\/Predictor\s+(\d+)/.exec(dict)?.[1] || '1', 10);
+  let rows;
+  if (predictor >= 10) {
+    // PNG predictors: each row already carries its filter byte
+    rows = raw.subarray(0, (rowBytes + 1) * height);
+  } else if (predictor === 1) {
+    rows = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) raw.copy(rows, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+  } else {
+    return null;
+  }
+  if (rows.length < (rowBytes + 1) * height) return null;
+  return encodePng(width, height, bitDepth, channels === 1 ? 0 : 2, rows);
+}
+
+/**
+ * The images embedded in a PDF, as [{ label, mimeType, data }], in file order: JPEG
+ * (DCTDecode) streams as they are, Flate gray/RGB pixels as PNG. Other encodings
+ * (CCITT, JBIG2, JPEG 2000, CMYK, indexed colour) and images under minSize pixels are skipped.
+ */
+export function pdfImages(buffer, options = {}) {
+  const { minSize = MIN_IMAGE_PX, log = logger } = options;
+  const source = buffer.toString('latin1');
+  const streamPattern = /(\d+)\s+\d+\s+obj\b((?:(?!\bendobj\b)[\s\S])*?)\bstream(?:\r\n|\n|\r)/g;
+  const images = [];
+
+  let match;
+  while ((match = streamPattern.exec(source))) {
+    const [, objectNumber, dict] = match;
+    const start = match.index + match[0].length;
+    const directLength = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+    const end = directLength ? start + parseInt(directLength[1], 10) : source.indexOf('endstream', start);
+    if (end < start) break;
+    streamPattern.lastIndex = end;
+    if (!/\/Subtype\s*\/Image/.test(dict)) continue;
+
+    const width = parseInt(/\/Width\s+(\d+)/.exec(dict)?.[1], 10);
+    const height = parseInt(/\/Height\s+(\d+)/.exec(dict)?.[1], 10);
+    if (!(width >= minSize && height >= minSize)) continue;
+
+    const filters = (/\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(dict)?.[1].match(/\/\w+/g) || []).map(f => f.slice(1));
+    const stream = buffer.subarray(start, end);
+    const label = `pdf image ${objectNumber} (${width}x${height})`;
+    try {
+      if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        images.push({ label, mimeType: 'image/jpeg', data: Buffer.from(stream) });
+      } else if (filters.length === 1 && filters[0] === 'FlateDecode') {
+        const png = flateImageToPng(dict, stream, width, height);
+        if (png) images.push({ label, mimeType: 'image/png', data: png });
+        else log.debug(`  Skipping ${label}: unsupported pixel layout`);
+      } else {
+        log.debug(`  Skipping ${label}: ${filters.join('+') || 'no'} filter`);
+      }
+    } catch (err) {
+      log.debug(`  Could not decode ${label}: ${err.message}`);
+    }
+  }
+  return images;
+}
@@ -0,0 +1,176 @@
+// page-actions.js - Drive a quiz page's controls with a small, fixed vocabulary
+// Some pages only show their data after a button, tab, dropdown or small form is used.
+// The model picks steps from PAGE_ACTIONS (never script): click, type, select, wait, scroll
+// and read, each aimed at a CSS selector from collectControls(). runPageActions() runs them
+// on the Playwright page one at a time with a per-step timeout (PAGE_ACTION_TIMEOUT_MS,
+// default 5000) and at most PAGE_ACTION_MAX_STEPS steps (default 8), logging every step.
+// It stops at the first failed step, when time gets tight, or when a click leaves the quiz origin.
+import { logger } from './logger.js';
+
+export const PAGE_ACTIONS = ['click', 'type', 'select', 'wait', 'scroll', 'read'];
+
+const PAGE_ACTION_MAX_STEPS = parseInt(process.env.PAGE_ACTION_MAX_STEPS || '8', 10);
+const PAGE_ACTION_TIMEOUT_MS = parseInt(process.env.PAGE_ACTION_TIMEOUT_MS || '5000', 10);
+const MAX_CONTROLS = 40;
+const MAX_TYPE_CHARS = 500;
+const MAX_READ_CHARS = 5000;
+
+/**
+ * Visible buttons, inputs, selects, tabs and clickable elements on the page as
+ * { selector, tag, type, label, options } - the selectors the model may use
+ */
+export async function collectControls(page) {
+  return page.evaluate((limit) => {
+    const selectorFor = (el) => {
+      if (el.id) return `#${CSS.escape(el.id)}`;
+      const tag = el.tagName.toLowerCase();
+      const name = el.getAttribute('name');
+      if (name) {
+        const byName = `${tag}[name="${CSS.escape(name)}"]`;
+        if (document.querySelectorAll(byName).length === 1) return byName;
+      }
+      const parts = [];
+      for (let node = el; node && node !== document.body; node = node.parentElement) {
+        if (node.id) {
+          parts.unshift(`#${CSS.escape(node.id)}`);
+          return parts.join(' > ');
+        }
+        const nodeTag = node.tagName.toLowerCase();
+        const same = Array.from(node.parentElement?.children || []).filter(c => c.tagName === node.tagName);
+        parts.unshift(same.length > 1 ? `${nodeTag}:nth-of-type(${same.indexOf(node) + 1})` : nodeTag);
+      }
+      return ['body', ...parts].join(' > ');
+    };
+
+    const query = 'button, input:not([type=hidden]), select, textarea, summary, [role=button], [role=tab], [onclick]';
+    return Array.from(document.querySelectorAll(query))
+      .filter(el => el.getClientRects().length > 0)
+      .slice(0, limit)
+      .map(el => {
+        // A select's innerText is every option, so it goes by its label or name
+        const text = el.tagName === 'SELECT' ? '' : el.innerText || el.value || el.placeholder;
+        const label = el.getAttribute('aria-label') || Array.from(el.labels || []).map(l => l.innerText).join(' ')
+          || text || el.getAttribute('name') || '';
+        return {
+          selector: selectorFor(el),
+          tag: el.tagName.toLowerCase(),
+          type: el.getAttribute('type') || el.getAttribute('role') || null,
+          label: label.replace(/\s+/g, ' ').trim().slice(0, 60),
+          options: el.tagName === 'SELECT'
+            ? Array.from(el.options).slice(0, 20).map(o => o.value === o.text ? o.value : `${o.value} (${o.text.trim()})`)
+            : null
+        };
+      });
+  }, MAX_CONTROLS);
+}
+
+/**
+ * One line per control, for prompts
+ */
+export function describeControls(controls = []) {
+  return controls.map(c => {
+    const kind = c.type ? `${c.tag}/${c.type}` : c.tag;
+    const options = c.options ? ` options: ${c.options.join(', ')}` : '';
+    return `- ${c.selector} (${kind})${c.label ? ` "${c.label}"` : ''}${options}`;
+  }).join('\n');
+}
+
+export function describeAction({ action, selector, value }) {
+  switch (action) {
+    case 'type': return `type "${value}" into ${selector}`;
+    case 'select': return `select "${value}" in ${selector}`;
+    case 'scroll': return selector ? `scroll to ${selector}` : 'scroll down';
+    default: return `${action} ${selector}`;
+  }
+}
+
+async function runAction(page, { action, selector, value }, timeout) {
+  switch (action) {
+    case 'click':
+      await page.click(selector, { timeout });
+      // Let whatever the click fetched or rendered settle
+      await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+      return undefined;
+    case 'type':
+      await page.fill(selector, String(value).slice(0, MAX_TYPE_CHARS), { timeout });
+      return undefined;
+    case 'select':
+      await page.selectOption(selector, String(value), { timeout });
+      await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+      return undefined;
+    case 'wait':
+      await page.waitForSelector(selector, { state: 'visible', timeout });
+      return undefined;
+    case 'scroll':
+      if (selector) await page.locator(selector).first().scrollIntoViewIfNeeded({ timeout });
+      else await page.evaluate(() => window.scrollBy(0, window.innerHeight));
+      // Lazy-loaded content
+      await page.waitForTimeout(Math.min(500, timeout));
+      return undefined;
+    case 'read':
+      return (await page.locator(selector).first().innerText({ timeout })).slice(0, MAX_READ_CHARS);
+    default:
+      throw new Error(`Unknown page action: ${action}`);
+  }
+}
+
+/**
+ * Run actions (see PAGE_ACTIONS) on the page, in order.
+ * options: origin (clicks must stay on it), maxSteps, stepTimeoutMs, log, signal, budget.
+ * Returns { steps: [{ action, selector, value, ok, error, text, ms }], reads: [{ selector, text }], stoppedBy }
+ * where stoppedBy is done, error, time, max-steps or left-origin.
+ */
+export async function runPageActions(page, actions, options = {}) {
+  const {
+    origin = null, maxSteps = PAGE_ACTION_MAX_STEPS, stepTimeoutMs = PAGE_ACTION_TIMEOUT_MS,
+    log = logger, signal, budget = null
+  } = options;
+  const planned = actions.slice(0, maxSteps);
+  if (planned.length < actions.length) log.warn(`  ⚠️  Only the first ${maxSteps} of ${actions.length} page actions will run`);
+
+  const steps = [];
+  const reads = [];
+  let stoppedBy = planned.length < actions.length ? 'max-steps' : 'done';
+
+  for (const [i, action] of planned.entries()) {
+    signal?.throwIfAborted();
+    if (budget?.isTight()) {
+      stoppedBy = 'time';
+      break;
+    }
+
+    const timeout = budget ? budget.stepTimeout(stepTimeoutMs) : stepTimeoutMs;
+    const started = Date.now();
+    const step = { ...action, ok: false };
+    try {
+      const text = await runAction(page, action, timeout);
+      step.ok = true;
+      if (text !== undefined) {
+        step.text = text;
+        reads.push({ selector: action.selector, text });
+      }
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      // Playwright appends its call log; the first line says what went wrong
+      step.error = String(err.message).split('\n')[0];
+    }
+    step.ms = Date.now() - started;
+    steps.push(step);
+
+    const label = `  🖱️  Action ${i + 1}/${planned.length}: ${describeAction(action)}`;
+    if (!step.ok) {
+      log.warn(`${label} ✗ ${step.error}`);
+      stoppedBy = 'error';
+      break;
+    }
+    log.info(`${label} ✓ (${step.ms}ms)${step.text !== undefined ? ` → ${step.text.slice(0, 80).replace(/\s+/g, ' ')}` : ''}`);
+
+    if (origin && new URL(page.url()).origin !== new URL(origin).origin) {
+      log.warn(`  ⚠️  Page actions left the quiz origin (${page.url()}), stopping`);
+      stoppedBy = 'left-origin';
+      break;
+    }
+  }
+
+  return { steps, reads, stoppedBy };
+}
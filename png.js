@@ -0,0 +1,46 @@
+// png.js - Minimal PNG encoder shared by charts.js and ocr.js
+// Pixels in, PNG bytes out: one IHDR, one zlib-compressed IDAT and IEND, with the CRC-32
+// computed here (no native or npm dependencies, and nothing newer than plain zlib).
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 255] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+/**
+ * PNG from rows that already start with their PNG filter byte.
+ * colorType: 0 gray, 2 RGB; options.level is the zlib compression level.
+ */
+export function encodePng(width, height, bitDepth, colorType, filteredRows, options = {}) {
+  const { level = zlib.constants.Z_DEFAULT_COMPRESSION } = options;
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(filteredRows, { level })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,55 @@
+// replay-cassettes.js - Replay recorded cassettes offline and check the outcome (for CI)
+// Usage: node replay-cassettes.js [dir ...]   (default: test/cassettes/)
+// Every cassette.json under the given directories is replayed with no network, browser or
+// LLM access; the exit code is 1 if any replay differs from its recording.
+import dotenv from 'dotenv';
+import { replayCassette } from './solver-llm.js';
+import { findCassettes } from './cassette.js';
+import { loadHandlerModules } from './task-handlers.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+async function run() {
+  const roots = process.argv.slice(2);
+  await loadHandlerModules();
+
+  const dirs = [];
+  for (const root of roots.length > 0 ? roots : ['test/cassettes']) {
+    try {
+      dirs.push(...await findCassettes(root));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      logger.error(`No cassette directory at ${root}`);
+    }
+  }
+  if (dirs.length === 0) {
+    logger.error('No cassettes found');
+    process.exit(2);
+  }
+
+  let failed = 0;
+  for (const dir of dirs) {
+    try {
+      const result = await replayCassette(dir, { log: logger.child({ component: 'cassettes' }) });
+      if (result.ok) {
+        logger.info(`✅ ${dir}: ${result.replayed.length} attempt(s) match`);
+      } else {
+        failed += 1;
+        logger.error(`❌ ${dir}:`);
+        result.differences.forEach(d => logger.error(`   - ${d}`));
+      }
+    } catch (err) {
+      failed += 1;
+      logger.error(`❌ ${dir}: ${err.message}`);
+    }
+  }
+
+  logger.info(`📼 ${dirs.length - failed}/${dirs.length} cassette(s) replayed as recorded`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(err => {
+  logger.error('💥 Cassette replay failed:', err);
+  process.exit(1);
+});
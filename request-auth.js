@@ -0,0 +1,161 @@
+// request-auth.js - Authentication for /task requests
+// - signed mode: X-Signature = HMAC-SHA256(key, "<timestamp>.<nonce>.<raw body>") with
+//   X-Timestamp (unix seconds) inside a replay window and a single-use X-Nonce. The key
+//   belongs to the request's email: a registered user's own signingKey, or TASK_SIGNING_KEY
+//   for emails not in the registry
+// - secret mode (fallback): payload.secret must equal the email's secret (the user's, or
+//   SECRET); turn off with ALLOW_SECRET_AUTH=false
+// The job routes (/jobs/:id, its events, cancelling) take the same credentials as the job's
+// email: X-Secret, or a signature over "<timestamp>.<nonce>.<METHOD> <path>".
+// The run history routes are separate: they need Authorization: Bearer <ADMIN_KEY>, and are
+// closed when ADMIN_KEY is not set.
+// All comparisons are constant-time.
+import crypto from 'crypto';
+
+const SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS || '300', 10);
+const MAX_NONCES = 10_000;
+
+const seenNonces = new Map(); // nonce -> expiry (ms)
+
+function getSigningKey() {
+  return process.env.TASK_SIGNING_KEY || null;
+}
+
+function getAdminKey() {
+  return process.env.ADMIN_KEY || null;
+}
+
+export function isAdminKeyConfigured() {
+  return !!getAdminKey();
+}
+
+function isSecretAuthAllowed() {
+  return process.env.ALLOW_SECRET_AUTH !== 'false';
+}
+
+// Compare two strings without leaking where they differ (or their length)
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const ha = crypto.createHash('sha256').update(a).digest();
+  const hb = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+export function signTaskBody(key, timestamp, nonce, rawBody) {
+  return 'sha256=' + crypto.createHmac('sha256', key).update(`${timestamp}.${nonce}.${rawBody}`).digest('hex');
+}
+
+function rememberNonce(nonce, now) {
+  for (const [n, expiry] of seenNonces) {
+    if (expiry > now && seenNonces.size < MAX_NONCES) break;
+    seenNonces.delete(n);
+  }
+  seenNonces.set(nonce, now + SIGNATURE_MAX_AGE_SECONDS * 1000);
+}
+
+function verifySignature(req, key, signedText) {
+  const signature = req.get('X-Signature');
+  const timestamp = req.get('X-Timestamp');
+  const nonce = req.get('X-Nonce');
+
+  if (!signature || !timestamp || !nonce) {
+    return { ok: false, status: 401, error: 'Missing X-Signature, X-Timestamp or X-Nonce header' };
+  }
+
+  const now = Date.now();
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(now / 1000 - ts) > SIGNATURE_MAX_AGE_SECONDS) {
+    return { ok: false, status: 401, error: 'Request timestamp outside allowed window' };
+  }
+
+  const expected = signTaskBody(key, timestamp, nonce, signedText);
+  if (!safeEqual(signature, expected)) {
+    return { ok: false, status: 401, error: 'Invalid signature' };
+  }
+
+  const expiry = seenNonces.get(nonce);
+  if (expiry && expiry > now) {
+    return { ok: false, status: 401, error: 'Nonce already used' };
+  }
+  rememberNonce(nonce, now);
+
+  return { ok: true, mode: 'signature' };
+}
+
+/**
+ * Check a /task request against the credentials of the email it names: user is its
+ * registry entry, or null for an unregistered email (checked against TASK_SIGNING_KEY
+ * and serverSecret). A registered email only accepts its own signingKey. A signed request
+ * without a secret is refused when none is configured for its email: answers could not be submitted.
+ * Returns { ok: true, mode } or { ok: false, status, error }.
+ */
+export function verifyTaskRequest(req, serverSecret, user = null) {
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const auth = verifyCredentials(req, serverSecret, user, rawBody, req.body?.secret);
+  if (auth.ok && auth.mode === 'signature' && !req.body?.secret && !(user ? user.secret : serverSecret)) {
+    return { ok: false, status: 403, error: 'No secret configured for this email' };
+  }
+  return auth;
+}
+
+/**
+ * Check a request for one job (status, events, cancel) against the credentials of the
+ * job's email, as verifyTaskRequest does. The secret comes in X-Secret; a signature covers
+ * the method and path instead of a body.
+ */
+export function verifyJobRequest(req, serverSecret, user = null) {
+  return verifyCredentials(req, serverSecret, user, `${req.method} ${req.originalUrl}`, req.get('X-Secret'));
+}
+
+function verifyCredentials(req, serverSecret, user, signedText, secret) {
+  const key = user ? user.signingKey : getSigningKey();
+  const expectedSecret = user ? user.secret : serverSecret;
+
+  if (req.get('X-Signature')) {
+    if (!key) return { ok: false, status: 401, error: 'No signing key for this email' };
+    return verifySignature(req, key, signedText);
+  }
+
+  if (!isSecretAuthAllowed()) {
+    return { ok: false, status: 401, error: 'Signed request required' };
+  }
+
+  if (!expectedSecret || !safeEqual(secret, expectedSecret)) {
+    return { ok: false, status: 403, error: 'Invalid secret' };
+  }
+
+  return { ok: true, mode: 'secret' };
+}
+
+/**
+ * Check a request to the admin (run history) routes.
+ * Returns { ok: true } or { ok: false, status, error }.
+ */
+export function verifyAdminRequest(req) {
+  const key = getAdminKey();
+  if (!key) {
+    return { ok: false, status: 403, error: 'Run history is disabled (no ADMIN_KEY set)' };
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  if (!match || !safeEqual(match[1], key)) {
+    return { ok: false, status: 401, error: 'Invalid admin key' };
+  }
+
+  return { ok: true };
+}
+
+export function describeAuthConfig() {
+  return {
+    signedRequests: !!getSigningKey(),
+    secretFallback: isSecretAuthAllowed(),
+    adminRoutes: isAdminKeyConfigured()
+  };
+}
+
+// Mask an email for logs: "student@example.com" -> "s***@example.com"
+export function maskEmail(email) {
+  if (typeof email !== 'string' || !email.includes('@')) return '(none)';
+  const [user, domain] = email.split('@');
+  return `${user.slice(0, 1)}***@${domain}`;
+}
@@ -0,0 +1,75 @@
+// retry-strategy.js - What to change when the server rejects an answer
+// solveQuiz keeps every attempt for the current task ({ attempt, answer, reason, handler,
+// filter, targetColumn, csvColumns, strategy }). On a retry:
+// - describeAttempts() turns them into a prompt block so the model sees what was rejected and why
+// - planRetry() picks one change not tried yet: flip the CSV filter operator, move from the
+//   deterministic handlers to code execution, switch CSV column, or re-read the task
+// The strategy of the attempt that finally succeeds is recorded as the fix.
+
+const FLIPPED_OPERATORS = { '>=': '>', '>': '>=', '<': '<=', '<=': '<' };
+
+// Handlers that compute without the model; if they were wrong, the model should take over
+const HEURISTIC_HANDLERS = ['secret-code', 'audio-csv', 'csv-aggregate', 'pdf-numbers', 'api-json'];
+
+/**
+ * Prompt block listing earlier rejected attempts, or '' on the first attempt
+ */
+export function describeAttempts(previousAttempts = []) {
+  if (previousAttempts.length === 0) return '';
+  const lines = previousAttempts.map(a => {
+    const how = [a.handler, a.filter ? `filter ${a.filter.operator} ${a.filter.value}` : null].filter(Boolean).join(', ');
+    const outcome = a.error ? `failed: ${a.error}` : `rejected${a.reason ? `: "${a.reason}"` : ''}`;
+    return `- Attempt ${a.attempt}: answer ${JSON.stringify(a.answer ?? null)}${how ? ` (${how})` : ''} → ${outcome}`;
+  });
+  return `PREVIOUS ATTEMPTS (none were accepted):
+${lines.join('\n')}
+Do not repeat a rejected answer. Use the reasons above to find what was misread.`;
+}
+
+/**
+ * The change to make for the next attempt, or null on the first attempt.
+ * Returns { name, description, filterOperator?, targetColumn?, excludeHandlers };
+ * targetColumn is 'first' (first CSV column only) or null (all columns).
+ */
+export function planRetry(previousAttempts = []) {
+  const last = previousAttempts[previousAttempts.length - 1];
+  if (!last) return null;
+
+  const tried = new Set(previousAttempts.map(a => a.strategy?.name).filter(Boolean));
+  const usedHandlers = [...new Set(previousAttempts.map(a => a.handler).filter(Boolean))];
+
+  if (!tried.has('flip-operator') && last.filter && FLIPPED_OPERATORS[last.filter.operator]) {
+    const to = FLIPPED_OPERATORS[last.filter.operator];
+    return {
+      name: 'flip-operator',
+      description: `CSV filter ${last.filter.operator} ${last.filter.value} → ${to} ${last.filter.value}`,
+      filterOperator: to,
+      excludeHandlers: []
+    };
+  }
+
+  const heuristics = usedHandlers.filter(h => HEURISTIC_HANDLERS.includes(h));
+  if (!tried.has('switch-to-code') && heuristics.length > 0) {
+    return {
+      name: 'switch-to-code',
+      description: `skip ${heuristics.join(', ')} and compute with code/LLM`,
+      excludeHandlers: heuristics
+    };
+  }
+
+  if (!tried.has('switch-column') && last.csvColumns > 1) {
+    const targetColumn = last.targetColumn ? null : 'first';
+    return {
+      name: 'switch-column',
+      description: targetColumn ? 'use only the first CSV column' : 'use all CSV columns',
+      targetColumn,
+      excludeHandlers: []
+    };
+  }
+
+  return {
+    name: 'reconsider',
+    description: 're-read the task with the rejection reasons',
+    excludeHandlers: heuristics
+  };
+}
@@ -0,0 +1,292 @@
+// run-store.js - Persistent history of solver runs + offline replay
+// - every run is appended as one JSON line to DATA_DIR/runs.jsonl, only when ADMIN_KEY is
+//   set (the key the run history routes ask for) and RUN_HISTORY is not 'off'
+// - downloaded files and audio are stored once under DATA_DIR/blobs/<sha256>
+// - a replay I/O layer serves pages, files, transcripts and (optionally) LLM
+//   responses from a saved run so the solver can be re-run with no network
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { isAdminKeyConfigured } from './request-auth.js';
+import { logger } from './logger.js';
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+const RUNS_FILE = path.join(DATA_DIR, 'runs.jsonl');
+const BLOB_DIR = path.join(DATA_DIR, 'blobs');
+const MAX_TEXT_CHARS = 200_000;
+
+export function isRunHistoryEnabled() {
+  return isAdminKeyConfigured() && process.env.RUN_HISTORY !== 'off';
+}
+
+function clip(text) {
+  if (typeof text !== 'string') return text;
+  return text.length > MAX_TEXT_CHARS ? text.slice(0, MAX_TEXT_CHARS) : text;
+}
+
+// Snapshot text fields, clipped for storage (captured response bodies included)
+function clipSnapshot(snapshot) {
+  return {
+    ...snapshot,
+    bodyText: clip(snapshot.bodyText),
+    html: clip(snapshot.html),
+    ...(snapshot.responses && { responses: snapshot.responses.map(r => ({ ...r, body: clip(r.body) })) })
+  };
+}
+
+async function writeBlob(buffer) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const file = path.join(BLOB_DIR, hash);
+  await fs.mkdir(BLOB_DIR, { recursive: true });
+  try {
+    await fs.writeFile(file, buffer, { flag: 'wx' });
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  return hash;
+}
+
+export async function readBlob(hash) {
+  if (!/^[a-f0-9]{64}$/.test(hash)) throw new Error(`Invalid blob id: ${hash}`);
+  return fs.readFile(path.join(BLOB_DIR, hash));
+}
+
+/**
+ * Start recording a run (nothing is written until saveRun)
+ */
+export function createRunRecorder({ jobId = null, email = null, url }) {
+  return {
+    id: crypto.randomUUID(),
+    jobId,
+    email,
+    url,
+    startedAt: new Date().toISOString(),
+    pages: [],
+    interactions: [],
+    screenshots: [],
+    files: {},
+    llm: [],
+    transcripts: [],
+    submissions: [],
+    pending: []
+  };
+}
+
+/**
+ * Wrap the solver's I/O so everything it reads or sends is captured by the recorder
+ */
+export function recordIO(io, recorder) {
+  if (!recorder) return io;
+
+  return {
+    ...io,
+    async loadPage(url, ...rest) {
+      const snapshot = await io.loadPage(url, ...rest);
+      recorder.pages.push({ ...clipSnapshot(snapshot), url });
+      return snapshot;
+    },
+    async interact(url, actions, ...rest) {
+      const result = await io.interact(url, actions, ...rest);
+      recorder.interactions.push({ ...clipSnapshot(result), url, actions });
+      return result;
+    },
+    async screenshot(url, ...rest) {
+      const shots = await io.screenshot(url, ...rest);
+      recorder.pending.push(Promise.all(shots.map(shot => writeBlob(shot.data))).then(blobs => {
+        recorder.screenshots.push({ url, shots: shots.map(({ label, mimeType }, i) => ({ label, mimeType, blob: blobs[i] })) });
+      }));
+      return shots;
+    },
+    async download(url, ...rest) {
+      const buffer = await io.download(url, ...rest);
+      recorder.pending.push(writeBlob(buffer).then(blob => {
+        recorder.files[url] = { blob, bytes: buffer.length };
+      }));
+      return buffer;
+    },
+    async callLLM(systemPrompt, userPrompt, ...rest) {
+      const started = Date.now();
+      const response = await io.callLLM(systemPrompt, userPrompt, ...rest);
+      recorder.llm.push({ systemPrompt, userPrompt, response, ms: Date.now() - started });
+      return response;
+    },
+    async transcribe(buffer, fileName, ...rest) {
+      const transcript = await io.transcribe(buffer, fileName, ...rest);
+      recorder.pending.push(writeBlob(buffer).then(blob => {
+        recorder.transcripts.push({ fileName, blob, transcript });
+      }));
+      return transcript;
+    },
+    async submit(submitUrl, payload, ...rest) {
+      // Never persist the caller's secret
+      const { secret, ...safePayload } = payload;
+      try {
+        const response = await io.submit(submitUrl, payload, ...rest);
+        recorder.submissions.push({ submitUrl, payload: safePayload, response });
+        return response;
+      } catch (err) {
+        recorder.submissions.push({ submitUrl, payload: safePayload, error: err.message });
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Append a finished run to runs.jsonl
+ */
+export async function saveRun(recorder, { state, error = null, taskHistory = [], events = [] }) {
+  await Promise.allSettled(recorder.pending);
+
+  const { pending, ...run } = recorder;
+  const record = {
+    ...run,
+    finishedAt: new Date().toISOString(),
+    state,
+    error,
+    taskHistory,
+    events
+  };
+
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.appendFile(RUNS_FILE, JSON.stringify(record) + '\n');
+  logger.info(`💾 Run ${record.id} saved to ${RUNS_FILE}`);
+  return record;
+}
+
+// Lines of runs.jsonl, read as a stream (runs carry whole pages, so the file gets large)
+async function* runLines() {
+  const stream = createReadStream(RUNS_FILE, { encoding: 'utf8' });
+  try {
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (line.trim()) yield line;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  } finally {
+    stream.destroy();
+  }
+}
+
+function parseRun(line) {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    logger.warn('⚠️  Skipping unreadable line in', RUNS_FILE);
+    return null;
+  }
+}
+
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    jobId: run.jobId,
+    email: run.email,
+    url: run.url,
+    state: run.state,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    attempts: run.taskHistory.length,
+    correct: run.taskHistory.filter(t => t.correct).length
+  };
+}
+
+/**
+ * Summaries of saved runs, newest first. Only the last `limit` summaries are held while reading.
+ */
+export async function listRuns({ limit = 50 } = {}) {
+  const summaries = [];
+  for await (const line of runLines()) {
+    const run = parseRun(line);
+    if (!run) continue;
+    summaries.push(summarizeRun(run));
+    if (summaries.length > limit) summaries.shift();
+  }
+  return summaries.reverse();
+}
+
+export async function getRun(id) {
+  // Only lines that can hold the id are parsed
+  const needle = `"id":${JSON.stringify(String(id))}`;
+  for await (const line of runLines()) {
+    if (!line.includes(needle)) continue;
+    const run = parseRun(line);
+    if (run?.id === id) return run;
+  }
+  return null;
+}
+
+/**
+ * I/O layer that serves a saved run instead of the network.
+ * - pages, page actions, screenshots, files and transcripts come from the snapshots
+ * - LLM calls reuse the recorded responses (exact prompt match first, then in
+ *   recorded order) unless options.liveLLM supplies a real caller
+ * - submissions are never sent; the recorded verdict for the same answer is
+ *   returned, and unseen answers are reported as unverified
+ */
+export function createReplayIO(run, options = {}) {
+  const { liveLLM = null } = options;
+  const usedLLM = new Set();
+
+  const findLLM = (systemPrompt, userPrompt) => {
+    let idx = run.llm.findIndex((c, i) => !usedLLM.has(i) && c.systemPrompt === systemPrompt && c.userPrompt === userPrompt);
+    if (idx === -1) idx = run.llm.findIndex((c, i) => !usedLLM.has(i));
+    if (idx === -1) return null;
+    usedLLM.add(idx);
+    return run.llm[idx].response;
+  };
+
+  return {
+    replay: true,
+    async loadPage(url) {
+      const snapshot = [...run.pages].reverse().find(p => p.url === url);
+      if (!snapshot) throw new Error(`Replay: page not in snapshot: ${url}`);
+      return snapshot;
+    },
+    async interact(url, actions) {
+      const key = JSON.stringify(actions);
+      const result = [...(run.interactions || [])].reverse().find(r => r.url === url && JSON.stringify(r.actions) === key);
+      if (!result) throw new Error(`Replay: page actions not in snapshot: ${url}`);
+      return result;
+    },
+    async screenshot(url) {
+      const taken = [...(run.screenshots || [])].reverse().find(s => s.url === url);
+      if (!taken) throw new Error(`Replay: screenshots not in snapshot: ${url}`);
+      return Promise.all(taken.shots.map(async ({ label, mimeType, blob }) => ({ label, mimeType, data: await readBlob(blob) })));
+    },
+    async download(url) {
+      const file = run.files[url];
+      if (!file) throw new Error(`Replay: file not in snapshot: ${url}`);
+      return readBlob(file.blob);
+    },
+    async callLLM(systemPrompt, userPrompt, ...rest) {
+      if (liveLLM) return liveLLM(systemPrompt, userPrompt, ...rest);
+      const response = findLLM(systemPrompt, userPrompt);
+      if (response === null) throw new Error('Replay: no recorded LLM response left');
+      return response;
+    },
+    async transcribe(buffer) {
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const match = run.transcripts.find(t => t.blob === hash);
+      return match ? match.transcript : null;
+    },
+    async submit(submitUrl, payload) {
+      const forUrl = run.submissions.filter(s => s.payload?.url === payload.url && s.response);
+      const same = forUrl.find(s => JSON.stringify(s.payload.answer) === JSON.stringify(payload.answer));
+      if (same) return { ...same.response, replayed: true };
+
+      const correct = forUrl.find(s => s.response.correct === true);
+      return {
+        correct: false,
+        replayed: true,
+        unverified: true,
+        reason: correct
+          ? `Replay: answer differs from the recorded correct answer ${JSON.stringify(correct.payload.answer)}`
+          : 'Replay: answer was never submitted in the recorded run',
+        url: forUrl.find(s => s.response.url)?.response.url || null
+      };
+    }
+  };
+}
@@ -0,0 +1,51 @@
+// screenshots.js - Full-page and element screenshots for tasks innerText cannot read
+// Data drawn on a <canvas>, embedded as an image or only readable from the layout is
+// captured as images for a vision-capable model (callLLM's images option). The full page
+// is a JPEG cut at SCREENSHOT_MAX_HEIGHT pixels (default 4000); every visible canvas, img
+// and svg of at least 40x40 pixels gets its own PNG, up to SCREENSHOT_MAX_ELEMENTS (default 3).
+import { logger } from './logger.js';
+
+const SCREENSHOT_MAX_HEIGHT = parseInt(process.env.SCREENSHOT_MAX_HEIGHT || '4000', 10);
+const SCREENSHOT_MAX_ELEMENTS = parseInt(process.env.SCREENSHOT_MAX_ELEMENTS || '3', 10);
+const MIN_ELEMENT_PX = 40;
+
+/**
+ * Screenshots of the page as it is now: [{ label, mimeType, data (Buffer) }], the full
+ * page first. options: timeoutMs (per screenshot), maxElements, log.
+ */
+export async function takeScreenshots(page, options = {}) {
+  const { timeoutMs = 10_000, maxElements = SCREENSHOT_MAX_ELEMENTS, log = logger } = options;
+  const shots = [];
+
+  const { width, height } = await page.evaluate(() => ({
+    width: document.documentElement.scrollWidth,
+    height: document.documentElement.scrollHeight
+  }));
+  shots.push({
+    label: 'full page',
+    mimeType: 'image/jpeg',
+    data: await page.screenshot({
+      fullPage: true, type: 'jpeg', quality: 80, timeout: timeoutMs,
+      clip: { x: 0, y: 0, width, height: Math.min(height, SCREENSHOT_MAX_HEIGHT) }
+    })
+  });
+
+  for (const element of await page.locator('canvas, img, svg').all()) {
+    if (shots.length - 1 >= maxElements) break;
+    try {
+      const box = await element.boundingBox();
+      if (!box || box.width < MIN_ELEMENT_PX || box.height < MIN_ELEMENT_PX) continue;
+      const label = await element.evaluate(el => {
+        const name = el.id ? `#${el.id}` : el.getAttribute('alt') || el.getAttribute('aria-label') || el.getAttribute('src') || '';
+        return `${el.tagName.toLowerCase()}${name ? ` ${name.slice(0, 80)}` : ''}`;
+      });
+      shots.push({ label, mimeType: 'image/png', data: await element.screenshot({ type: 'png', timeout: timeoutMs }) });
+    } catch (err) {
+      // Elements can detach or scroll away while we work through the list
+      log.debug(`  Could not screenshot element: ${err.message}`);
+    }
+  }
+
+  log.info(`  📸 ${shots.length} screenshot(s): ${shots.map(s => `${s.label} (${Math.round(s.data.length / 1024)}KB)`).join(', ')}`);
+  return shots;
+}
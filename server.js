@@ -5,23 +5,42 @@
 import express from 'express';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
-import { solveQuiz } from './solver-llm.js';
+import { solveQuiz, solveOnce, replayRun } from './solver-llm.js';
+import { createJob, getJob, toJobView, isJobFinished, cancelJob } from './jobs.js';
+import { enqueueJob, isQueueFull, getQueuePosition, getQueueStats, removeFromQueue } from './job-queue.js';
+import { getBrowserPoolStats, closeBrowserPool } from './browser-pool.js';
+import { isRunHistoryEnabled, listRuns, getRun } from './run-store.js';
+import { verifyTaskRequest, verifyJobRequest, verifyAdminRequest, describeAuthConfig, maskEmail } from './request-auth.js';
+import { loadUserRegistry, lookupUser } from './user-registry.js';
+import { renderMetrics } from './metrics.js';
+import { loadHandlerModules } from './task-handlers.js';
+import { logger } from './logger.js';
 
 dotenv.config();
 
 const app = express();
-app.use(bodyParser.json({ limit: '2mb' }));
+// Keep the raw body around so signed /task requests can be verified byte-for-byte
+app.use(bodyParser.json({
+  limit: '2mb',
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
 // Simple request logger so Render logs show activity
 app.use((req, res, next) => {
   const now = new Date().toISOString();
-  console.log(`[${now}] ${req.method} ${req.originalUrl} from ${req.ip}`);
+  logger.info(`[${now}] ${req.method} ${req.originalUrl} from ${req.ip}`);
   next();
 });
 
 const SERVER_SECRET = process.env.SECRET;
 if (!SERVER_SECRET) {
-  console.warn('⚠️  Warning: No SECRET set in environment (process.env.SECRET)');
+  logger.warn('⚠️  Warning: No SECRET set in environment (process.env.SECRET)');
+}
+const USER_REGISTRY = loadUserRegistry();
+const TASK_HANDLERS = await loadHandlerModules();
+const AUTH_CONFIG = describeAuthConfig();
+if (!AUTH_CONFIG.signedRequests && !AUTH_CONFIG.secretFallback) {
+  logger.warn('⚠️  Warning: ALLOW_SECRET_AUTH=false but no TASK_SIGNING_KEY set - every /task request will be rejected');
 }
 
 // Basic health and root endpoints
@@ -29,40 +48,267 @@ app.get('/', (req, res) => {
   res.type('text').send('LLM Quiz Analysis - healthy\n');
 });
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', time: new Date().toISOString(), env: process.env.NODE_ENV || 'undefined' });
+  res.json({
+    status: 'ok',
+    time: new Date().toISOString(),
+    env: process.env.NODE_ENV || 'undefined',
+    queue: getQueueStats(),
+    browsers: getBrowserPoolStats()
+  });
 });
 
-// Task endpoint (keeps existing logic)
-app.post('/task', async (req, res) => {
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Shared validation + auth for /task and /solve.
+// Responds with an error and returns null when the request is rejected.
+function authenticateTaskRequest(req, res) {
   if (!req.is('application/json')) {
-    console.warn('Invalid content-type for /task');
-    return res.status(400).json({ error: 'Invalid JSON' });
+    logger.warn(`Invalid content-type for ${req.path}`);
+    res.status(400).json({ error: 'Invalid JSON' });
+    return null;
   }
 
   const payload = req.body;
   if (!payload || typeof payload !== 'object') {
-    console.warn('Invalid JSON payload for /task');
-    return res.status(400).json({ error: 'Invalid JSON payload' });
+    logger.warn(`Invalid JSON payload for ${req.path}`);
+    res.status(400).json({ error: 'Invalid JSON payload' });
+    return null;
+  }
+
+  // Registered users are checked against their own secret and signing key, everyone else
+  // against SECRET and TASK_SIGNING_KEY
+  const user = lookupUser(payload.email);
+  const expectedSecret = user ? user.secret : SERVER_SECRET;
+
+  const auth = verifyTaskRequest(req, SERVER_SECRET, user);
+  if (!auth.ok) {
+    logger.warn(`Rejected ${req.path} from ${req.ip}: ${auth.error}`);
+    res.status(auth.status).json({ error: auth.error });
+    return null;
+  }
+
+  // Signed requests don't need to carry the secret; the quiz submit still does. The key
+  // that signed it belongs to this email, so its secret is the one to send (verifyTaskRequest
+  // has already refused the request when there is none)
+  if (auth.mode === 'signature' && !payload.secret) {
+    payload.secret = expectedSecret;
+  }
+
+  return { payload, user, auth };
+}
+
+// Job lookup + auth for the /jobs/:id routes: only the job's own credentials (its email's
+// secret in X-Secret, or a request signed with its key) may read or cancel it.
+// Responds with an error and returns null when the job is missing or the request is rejected.
+function authenticateJobRequest(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  const auth = verifyJobRequest(req, SERVER_SECRET, lookupUser(job.email));
+  if (!auth.ok) {
+    logger.warn(`Rejected ${req.method} ${req.path} from ${req.ip}: ${auth.error}`);
+    res.status(auth.status).json({ error: auth.error });
+    return null;
+  }
+
+  return job;
+}
+
+// Run history holds emails, pages, prompts and answers: admin key only
+function requireAdmin(req, res, next) {
+  const auth = verifyAdminRequest(req);
+  if (!auth.ok) {
+    logger.warn(`Rejected ${req.path} from ${req.ip}: ${auth.error}`);
+    return res.status(auth.status).json({ error: auth.error });
   }
+  next();
+}
 
-  if (!payload.secret || payload.secret !== SERVER_SECRET) {
-    console.warn('Invalid secret attempt for /task from', req.ip);
-    return res.status(403).json({ error: 'Invalid secret' });
+// Task endpoint (keeps existing logic)
+app.post('/task', async (req, res) => {
+  const request = authenticateTaskRequest(req, res);
+  if (!request) return;
+  const { payload, user, auth } = request;
+
+  if (isQueueFull()) {
+    logger.warn('Job queue full, rejecting /task from', req.ip);
+    return res.status(429).json({ error: 'Too many queued jobs, try again later' });
   }
 
+  const job = createJob(payload);
+  const settings = user?.settings || {};
+  enqueueJob(job, () => solveQuiz(payload, { job, settings }));
+
   // Acknowledge immediately (so Render request doesn't time out)
-  res.status(200).json({ received: true });
+  res.status(200).json({
+    received: true,
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
+    queuePosition: getQueuePosition(job)
+  });
+
+  const jobLog = logger.child({ jobId: job.id });
+  jobLog.info('='.repeat(70));
+  jobLog.info('📨 Received task request at', new Date().toISOString());
+  jobLog.info(`   Email: ${maskEmail(payload.email)}`);
+  jobLog.info(`   Auth: ${auth.mode}${user ? ' (registered user)' : ''}`);
+  if (user) jobLog.info('   Settings:', settings);
+  jobLog.info(`   URL: ${payload.url}`);
+  jobLog.info(`   Job: ${job.id}`);
+  jobLog.info('='.repeat(70));
+});
+
+// Dry run: solve one page and return the answer, submit URL, analysis and files without submitting
+app.post('/solve', async (req, res) => {
+  const request = authenticateTaskRequest(req, res);
+  if (!request) return;
+  const { payload, user } = request;
+
+  if (!payload.url) {
+    return res.status(400).json({ error: 'Missing url' });
+  }
+
+  // Dry runs open a browser page too, so they wait in the same bounded queue as /task
+  if (isQueueFull()) {
+    logger.warn('Job queue full, rejecting /solve from', req.ip);
+    return res.status(429).json({ error: 'Too many queued jobs, try again later' });
+  }
+
+  logger.info(`🧪 Dry-run request for ${payload.url} (${maskEmail(payload.email)})`);
 
-  console.log('='.repeat(70));
-  console.log('📨 Received task request at', new Date().toISOString());
-  console.log(`   Email: ${payload.email}`);
-  console.log(`   URL: ${payload.url}`);
-  console.log('='.repeat(70));
+  const job = createJob(payload);
+  let result = null;
+  enqueueJob(job, async () => {
+    result = await solveOnce(payload, { signal: job.controller.signal, settings: user?.settings || {} });
+  });
 
+  // Stop working if the caller goes away
+  res.on('close', () => {
+    if (res.writableFinished || isJobFinished(job)) return;
+    removeFromQueue(job);
+    cancelJob(job);
+  });
+
+  if (!isJobFinished(job)) await new Promise(resolve => job.emitter.once('end', resolve));
+  if (job.state === 'cancelled') return;
+  if (job.state === 'failed') {
+    return res.status(500).json({ error: 'Dry run failed', detail: job.error });
+  }
+  res.json({ dryRun: true, ...result });
+});
+
+// Job status: state, current quiz URL and per-task history
+app.get('/jobs/:id', (req, res) => {
+  const job = authenticateJobRequest(req, res);
+  if (!job) return;
+  res.json({ ...toJobView(job), queuePosition: getQueuePosition(job) });
+});
+
+// Cancel a queued or running job; history gathered so far is kept
+app.delete('/jobs/:id', (req, res) => {
+  const job = authenticateJobRequest(req, res);
+  if (!job) return;
+
+  if (isJobFinished(job)) {
+    return res.status(409).json({ error: `Job already ${job.state}`, job: toJobView(job) });
+  }
+
+  logger.child({ jobId: job.id }).info(`🛑 Cancelling job ${job.id} (${job.state})`);
+  removeFromQueue(job);
+  cancelJob(job);
+
+  // Running jobs flip to "cancelled" once the solver unwinds
+  res.status(202).json(toJobView(job));
+});
+
+// Live progress for a job as Server-Sent Events (`curl -N`, or an EventSource client that can send headers)
+// Replays the events recorded so far, then streams new ones until the job finishes.
+app.get('/jobs/:id/events', (req, res) => {
+  const job = authenticateJobRequest(req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Resume after Last-Event-ID when an EventSource reconnects
+  const lastSeq = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+  for (const event of job.events) {
+    if (event.seq > lastSeq) send(event);
+  }
+
+  if (isJobFinished(job)) {
+    res.write('event: end\ndata: {}\n\n');
+    return res.end();
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const onEnd = () => {
+    res.write('event: end\ndata: {}\n\n');
+    res.end();
+  };
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    job.emitter.off('event', send);
+    job.emitter.off('end', onEnd);
+  };
+
+  job.emitter.on('event', send);
+  job.emitter.once('end', onEnd);
+  res.on('close', cleanup);
+});
+
+// Saved run history (page text, analysis, files, answers, server reasons)
+app.get('/runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+    res.json({ runs: await listRuns({ limit }) });
+  } catch (err) {
+    logger.error('Failed to read run history:', err);
+    res.status(500).json({ error: 'Failed to read run history' });
+  }
+});
+
+app.get('/runs/:id', requireAdmin, async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+  } catch (err) {
+    logger.error('Failed to read run history:', err);
+    res.status(500).json({ error: 'Failed to read run history' });
+  }
+});
+
+// Re-run the solver offline against a saved run's page and file snapshots.
+// Body: { "liveLLM": true } to send prompts to the real LLM instead of reusing recorded responses.
+app.post('/runs/:id/replay', requireAdmin, async (req, res) => {
   try {
-    await solveQuiz(payload);
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    const result = await replayRun(run, { liveLLM: req.body?.liveLLM === true });
+    res.json(result);
   } catch (err) {
-    console.error('💥 Solver failed:', err);
+    logger.error('💥 Replay failed:', err);
+    res.status(500).json({ error: 'Replay failed', detail: err.message });
   }
 });
 
@@ -71,11 +317,23 @@ const PORT = parseInt(process.env.PORT || '7860', 10);
 
 // MINIMAL EDIT HERE: Add '0.0.0.0' to explicitly bind to all interfaces
 app.listen(PORT, '0.0.0.0', () => { 
-  console.log(`\n${'═'.repeat(70)}`);
-  console.log(`🌟 Universal LLM Quiz Solver`);
-  console.log(`   Listening on port ${PORT}`);
-  console.log(`   NODE_ENV=${process.env.NODE_ENV || 'undefined'}`);
-  console.log(`   SECRET set? ${!!process.env.SECRET}`);
-  console.log('   Make sure OPENAI/AIPIPE/GROQ/TRANSCRIBE keys are set in env for LLM/transcription');
-  console.log(`${'═'.repeat(70)}\n`);
+  logger.info(`\n${'═'.repeat(70)}`);
+  logger.info(`🌟 Universal LLM Quiz Solver`);
+  logger.info(`   Listening on port ${PORT}`);
+  logger.info(`   NODE_ENV=${process.env.NODE_ENV || 'undefined'}`);
+  logger.info(`   SECRET set? ${!!process.env.SECRET}`);
+  logger.info(`   Signed /task requests? ${AUTH_CONFIG.signedRequests} | secret fallback? ${AUTH_CONFIG.secretFallback}`);
+  logger.info(`   Registered users: ${USER_REGISTRY.size}`);
+  logger.info(`   Run history (needs ADMIN_KEY)? ${isRunHistoryEnabled()}`);
+  logger.info(`   Task handlers: ${TASK_HANDLERS.join(', ')}`);
+  logger.info('   Make sure OPENAI/AIPIPE/GROQ/TRANSCRIBE keys are set in env for LLM/transcription');
+  logger.info(`${'═'.repeat(70)}\n`);
 });
+
+// Close pooled browsers on shutdown so Chromium doesn't outlive the server
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, async () => {
+    await closeBrowserPool();
+    process.exit(0);
+  });
+}
\ No newline at end of file
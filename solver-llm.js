@@ -1,83 +1,199 @@
 // solver-llm.js - Universal robust quiz solver with retry logic
+import crypto from 'crypto';
+import path from 'path';
 import axios from 'axios';
-import { chromium } from 'playwright';
 import pdfParse from 'pdf-parse';
-import { callLLM, verifyAnswer } from './llm-wrapper.js';
-import { processCSV, analyzeCSV, extractPatterns, sumNumbersWithCondition } from './data-processor.js';
+import { callLLM, callLLMWithVoting } from './llm-wrapper.js';
+import { processCSV, analyzeCSV } from './data-processor.js';
 import { transcribeAudio, parseAudioInstructions } from './audio-transcriber.js';
+import { emitJobEvent } from './jobs.js';
+import { tasksSubmitted, pageDuration, downloadBytes, downloadSize } from './metrics.js';
+import { logger } from './logger.js';
+import { acquirePage } from './browser-pool.js';
+import { dispatchTask } from './task-handlers.js';
+import { analyzeTask, describeConditions } from './task-analysis.js';
+import { detectAnswerType, checkSubmitPayload, serializeAnswer } from './answer-format.js';
+import { planRetry, describeAttempts } from './retry-strategy.js';
+import { crawlSite, tableToCSV } from './crawler.js';
+import { collectControls, runPageActions } from './page-actions.js';
+import { startCapture, responsesAsFiles } from './network-capture.js';
+import { takeScreenshots } from './screenshots.js';
+import { downloadWithPage } from './browser-download.js';
+import { OCR_ENABLED, OCR_MAX_IMAGES, IMAGE_FILE_PATTERN, isOcrReadable, decodeDataUri, recognizeImages, pdfImages } from './ocr.js';
+import { createBudget, createFakeClock, systemClock } from './time-budget.js';
+import { isRunHistoryEnabled, createRunRecorder, recordIO, saveRun, createReplayIO } from './run-store.js';
+import { cassetteRecordDir, createCassette, recordCassetteIO, saveCassette, loadCassette, createCassetteIO, compareTaskHistory } from './cassette.js';
 
 const TIMEOUT_MS = 2.5 * 60 * 1000;
 const PER_PAGE_TIMEOUT_MS = 60_000;
 const MAX_RETRIES_PER_TASK = 3;
 
-// Download file with retry
-async function downloadFile(url, retries = 2) {
+// Download file with retry, with the page's browser session (its cookies, options.quizUrl as
+// Referer) plus options.headers, the extra headers the quiz page asks for, on its own origin
+async function downloadFile(page, url, options = {}) {
+  const { retries = 2, signal, log = logger, timeoutMs = PER_PAGE_TIMEOUT_MS, quizUrl = null, headers = {} } = options;
   for (let i = 0; i <= retries; i++) {
     try {
-      const resp = await axios.get(url, { 
-        responseType: 'arraybuffer',
-        timeout: PER_PAGE_TIMEOUT_MS,
-        maxContentLength: 50 * 1024 * 1024
-      });
-      return Buffer.from(resp.data);
+      const buffer = await downloadWithPage(page, url, { quizUrl, headers, timeoutMs, signal });
+      downloadBytes.inc({}, buffer.length);
+      downloadSize.observe({}, buffer.length);
+      return buffer;
     } catch (error) {
+      if (signal?.aborted) throw error;
       if (i === retries) {
-        console.error(`❌ Failed to download ${url}:`, error.message);
+        log.error(`❌ Failed to download ${url}:`, error.message);
         throw error;
       }
-      console.warn(`  Retry ${i+1}/${retries} for ${url}`);
+      log.warn(`  Retry ${i+1}/${retries} for ${url}`);
       await new Promise(r => setTimeout(r, 1000));
     }
   }
 }
 
-// Extract text from PDF
+// Extract text from PDF, counting the pages with no text layer (scans, left to OCR)
 async function extractPdfText(buffer) {
-  const data = await pdfParse(buffer);
-  return data.text;
+  const pageTexts = [];
+  // pdf-parse's pdf.js reads the underlying ArrayBuffer from 0, so small Buffers
+  // (sliced from Node's shared pool) need a copy of their own
+  const data = await pdfParse(new Uint8Array(buffer), {
+    // pdf-parse's default page renderer, keeping each page's text
+    pagerender: async (pageData) => {
+      const { items } = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = '';
+      for (const item of items) {
+        text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pageTexts.push(text);
+      return text;
+    }
+  });
+  return { text: data.text, imageOnlyPages: pageTexts.filter(text => !text.trim()).length };
 }
 
 // Post answer with retry
-async function postAnswer(submitUrl, payload, retries = 2) {
+async function postAnswer(submitUrl, payload, options = {}) {
+  const { retries = 2, signal, log = logger, timeoutMs = PER_PAGE_TIMEOUT_MS } = options;
   for (let i = 0; i <= retries; i++) {
     try {
       const resp = await axios.post(submitUrl, payload, {
         headers: { 'Content-Type': 'application/json' },
-        timeout: PER_PAGE_TIMEOUT_MS,
+        timeout: timeoutMs,
+        signal
       });
-      console.log('✅ Server response:', resp.data);
+      log.info('✅ Server response:', resp.data);
       return resp.data;
     } catch (err) {
+      if (signal?.aborted) throw err;
       if (i === retries) {
-        console.error('❌ Submission failed:', err?.response?.data || err.message);
+        log.error('❌ Submission failed:', err?.response?.data || err.message);
         throw err;
       }
-      console.warn(`  Retry ${i+1}/${retries} for submission`);
+      log.warn(`  Retry ${i+1}/${retries} for submission`);
       await new Promise(r => setTimeout(r, 1000));
     }
   }
 }
 
-// Scrape page with browser
-async function scrapePageWithBrowser(page, url) {
-  await page.goto(url, { waitUntil: 'networkidle', timeout: PER_PAGE_TIMEOUT_MS }).catch(() => {});
-  await page.waitForTimeout(500);
-  return await page.evaluate(() => document.body.innerText || '');
-}
-
-// Discover files on page
-async function discoverFiles(page, baseUrl) {
+// Snapshot what the solver reads from the page as it is now
+async function readPage(page, url) {
+  const bodyText = await page.evaluate(() => document.body.innerText || '');
+  const html = await page.content();
   const links = await page.evaluate(() => {
     return Array.from(document.querySelectorAll('a')).map(a => ({
       href: a.href,
       text: a.textContent?.trim() || ''
     }));
   });
+  // Images big enough to carry text, for OCR
+  const images = await page.evaluate(() => {
+    return Array.from(document.images)
+      .filter(img => img.naturalWidth >= 40 && img.naturalHeight >= 40)
+      .map(img => ({ src: img.currentSrc || img.src, alt: img.alt || '', width: img.naturalWidth, height: img.naturalHeight }));
+  });
+  const controls = await collectControls(page);
+
+  return { url, bodyText, html, links, images, controls };
+}
+
+// Load page with browser and snapshot it, with the XHR/fetch responses it made
+async function loadPageSnapshot(page, url, timeoutMs = PER_PAGE_TIMEOUT_MS) {
+  const capture = startCapture(page);
+  try {
+    await page.goto(url, { waitUntil: 'networkidle', timeout: timeoutMs }).catch(() => {});
+    await page.waitForTimeout(500);
+    const snapshot = await readPage(page, url);
+    return { ...snapshot, responses: await capture.stop() };
+  } catch (err) {
+    await capture.stop();
+    throw err;
+  }
+}
 
+// Run the analysis' page actions on url and snapshot the page they leave behind
+async function interactWithPage(page, url, actions, options = {}) {
+  const { timeoutMs = PER_PAGE_TIMEOUT_MS, ...runOptions } = options;
+  const capture = startCapture(page);
+  try {
+    if (page.url() !== url) {
+      await page.goto(url, { waitUntil: 'networkidle', timeout: timeoutMs }).catch(() => {});
+      await page.waitForTimeout(500);
+    }
+    const result = await runPageActions(page, actions, { origin: url, ...runOptions });
+    return { ...await readPage(page, page.url()), ...result, responses: await capture.stop() };
+  } catch (err) {
+    await capture.stop();
+    throw err;
+  }
+}
+
+// Screenshots of url as the page shows it now (after any page actions)
+async function screenshotPage(page, url, options = {}) {
+  const { timeoutMs = PER_PAGE_TIMEOUT_MS, log } = options;
+  if (page.url() !== url) {
+    await page.goto(url, { waitUntil: 'networkidle', timeout: timeoutMs }).catch(() => {});
+    await page.waitForTimeout(500);
+  }
+  return takeScreenshots(page, { timeoutMs, log });
+}
+
+// Live I/O for the solver: browser, network, LLM and transcription.
+// run-store.js wraps this for recording and swaps it out for offline replay.
+// settings.provider / settings.strategy come from the caller's user-registry entry.
+// Every call takes an optional trailing logger so lines carry the current task/attempt ids.
+// options.budget (time-budget.js) shortens each call's timeout to what the task has left;
+// submissions may use the reserve, and voting drops to a single model when time is tight.
+// interact() runs page actions (page-actions.js) on a quiz page, capped per step;
+// screenshot() captures it for vision, and callLLM's options.images go to a vision-capable model.
+// download() fetches with the page's browser session; options.headers go only to options.quizUrl's origin.
+function createLiveIO(page, options = {}) {
+  const { signal, settings = {}, log: baseLog = logger, budget = null } = options;
+  const { provider = 'openai', strategy = 'single' } = settings;
+  const step = (capMs, opts) => budget ? budget.step(capMs, opts) : { timeoutMs: capMs, signal };
+  return {
+    loadPage: (url) => loadPageSnapshot(page, url, step(PER_PAGE_TIMEOUT_MS).timeoutMs),
+    interact: (url, actions, log = baseLog) => interactWithPage(page, url, actions, {
+      timeoutMs: step(PER_PAGE_TIMEOUT_MS).timeoutMs, log, signal, budget
+    }),
+    download: (url, log = baseLog, { quizUrl = null, headers = {} } = {}) => downloadFile(page, url, { ...step(PER_PAGE_TIMEOUT_MS), log, quizUrl, headers }),
+    screenshot: (url, log = baseLog) => screenshotPage(page, url, { timeoutMs: step(PER_PAGE_TIMEOUT_MS).timeoutMs, log }),
+    // Only the job signal goes along: a provider that times out is a failure to fall back from, not a cancel
+    callLLM: (systemPrompt, userPrompt, log = baseLog, { images = [] } = {}) => strategy === 'voting' && !budget?.isTight()
+      ? callLLMWithVoting(systemPrompt, userPrompt, { timeoutMs: step(60_000).timeoutMs, signal, log, images })
+      : callLLM(systemPrompt, userPrompt, { timeoutMs: step(60_000).timeoutMs, signal, preferredModel: provider, log, images }),
+    transcribe: (buffer, fileName, log = baseLog) => transcribeAudio(buffer, fileName, { ...step(120_000), log }),
+    submit: (submitUrl, payload, log = baseLog) => postAnswer(submitUrl, payload, { ...step(PER_PAGE_TIMEOUT_MS, { final: true }), log })
+  };
+}
+
+// Discover files among the page's links
+function discoverFiles(links) {
   const files = {
     csv: [],
     pdf: [],
     audio: [],
+    image: [],
     other: []
   };
 
@@ -88,6 +204,7 @@ async function discoverFiles(page, baseUrl) {
     if (url.includes('.csv')) files.csv.push(link.href);
     else if (url.includes('.pdf')) files.pdf.push(link.href);
     else if (url.match(/\.(mp3|wav|opus|ogg|m4a|flac)/)) files.audio.push(link.href);
+    else if (IMAGE_FILE_PATTERN.test(url)) files.image.push(link.href);
     else if (url.match(/\.(json|txt|xml)/)) files.other.push(link.href);
   }
 
@@ -95,154 +212,288 @@ async function discoverFiles(page, baseUrl) {
 }
 
 // Main intelligent solver
-async function solveSinglePage(page, url, payload, attemptNumber = 1) {
-  console.log(`\n${'─'.repeat(70)}`);
-  console.log(`🎯 Attempt ${attemptNumber} for this task`);
-  console.log('─'.repeat(70));
-
-  await page.goto(url, { waitUntil: 'networkidle', timeout: PER_PAGE_TIMEOUT_MS }).catch(() => {});
-  await page.waitForTimeout(500);
-
-  const bodyText = await page.evaluate(() => document.body.innerText || '');
-  const html = await page.content();
+// run.job (optional) receives structured progress events for each step
+// run.signal (optional AbortSignal) cancels in-flight downloads, LLM calls and transcription
+// run.io (optional) replaces the live browser/network I/O, e.g. for replaying a saved run
+// run.log (optional) is a logger carrying the job/task/attempt correlation ids
+// run.previousAttempts (optional) are this task's rejected attempts; they shape the retry
+// run.budget (optional, time-budget.js) collects candidate answers and skips optional work when time is tight
+async function solveSinglePage(page, url, payload, attemptNumber = 1, run = {}) {
+  const { job = null, signal, log = logger, io = createLiveIO(page, { signal, log }), previousAttempts = [], budget = null } = run;
+
+  log.info(`\n${'─'.repeat(70)}`);
+  log.info(`🎯 Attempt ${attemptNumber} for this task`);
+  log.info('─'.repeat(70));
+
+  const { bodyText, links, images = [], controls = [], responses = [] } = await io.loadPage(url);
   
-  console.log('📄 Page content (first 600 chars):\n', bodyText.slice(0, 600));
+  log.info('📄 Page content (first 600 chars):\n', bodyText.slice(0, 600));
+  emitJobEvent(job, 'page_loaded', { url, attempt: attemptNumber, textLength: bodyText.length, preview: bodyText.slice(0, 300) });
+
+  // On a retry, change one thing and tell the model what was rejected
+  const strategy = planRetry(previousAttempts);
+  const retryNotes = describeAttempts(previousAttempts);
+  if (strategy) {
+    log.info(`🔁 Retry strategy: ${strategy.name} (${strategy.description})`);
+    emitJobEvent(job, 'retry_strategy', { attempt: attemptNumber, ...strategy });
+  }
 
   // Step 1: Intelligent Analysis with LLM
   const systemPrompt = `You are an expert at analyzing data science tasks. Be precise and thorough.`;
 
-  const analysisPrompt = `Analyze this data science task carefully:
-
-URL: ${url}
-
-PAGE CONTENT:
-${bodyText.slice(0, 4000)}
-
-Your job is to:
-1. Identify what type of task this is (scraping, data analysis, computation, extraction, etc.)
-2. Find ALL files that need to be downloaded (CSV, PDF, audio, JSON, etc.) - provide FULL URLs
-3. Determine if any pages need to be scraped with JavaScript rendering
-4. Identify any conditions, filters, or operations (e.g., "sum numbers below 30064", "extract secret code")
-5. Find the submit URL
-
-Respond in this EXACT format:
-TASK_TYPE: [scraping/analysis/computation/extraction/visualization]
-DESCRIPTION: [what needs to be done in one sentence]
-FILES: [comma-separated full URLs, or "none"]
-SCRAPE_URL: [full URL to scrape, or "none"]
-OPERATION: [sum/filter/extract/count/average/etc.]
-CONDITIONS: [any filters, cutoffs, or special requirements]
-SUBMIT: [submit URL]
-
-Be thorough - don't miss any file URLs or conditions!`;
-
-  console.log('\n🤖 Step 1: Analyzing task with LLM...');
-  const analysisResponse = await callLLM(systemPrompt, analysisPrompt);
-  console.log('📋 Analysis:', analysisResponse.slice(0, 400));
-
-  // Parse analysis
-  const taskType = analysisResponse.match(/TASK_TYPE:\s*(.+)/i)?.[1]?.trim() || 'unknown';
-  const description = analysisResponse.match(/DESCRIPTION:\s*(.+)/i)?.[1]?.trim() || '';
-  const filesStr = analysisResponse.match(/FILES:\s*(.+)/i)?.[1]?.trim() || 'none';
-  const scrapeUrl = analysisResponse.match(/SCRAPE_URL:\s*(.+)/i)?.[1]?.trim() || 'none';
-  const operation = analysisResponse.match(/OPERATION:\s*(.+)/i)?.[1]?.trim() || '';
-  const conditions = analysisResponse.match(/CONDITIONS:\s*(.+)/i)?.[1]?.trim() || '';
-  const submitUrl = analysisResponse.match(/SUBMIT:\s*(.+)/i)?.[1]?.trim() || null;
+  log.info('\n🤖 Step 1: Analyzing task with LLM...');
+  const tight = budget?.isTight() || false;
+  if (tight) log.warn(`⏱️  Time is tight (${Math.round(budget.remaining() / 1000)}s left) - skipping optional steps`);
+  const analysis = await analyzeTask(url, bodyText, { io, systemPrompt, signal, retryNotes, controls, responses, log, repairAttempts: tight ? 0 : undefined });
+
+  // Relative URLs in the analysis are relative to the quiz page
+  const resolve = (u) => u ? new URL(u, url).toString() : null;
+  analysis.files = analysis.files.map(f => ({ ...f, url: resolve(f.url) }));
+  analysis.scrapeUrl = resolve(analysis.scrapeUrl);
+  analysis.submitUrl = resolve(analysis.submitUrl);
+
+  // Flat strings for prompts and handlers that match on text
+  const { taskType, description, scrapeUrl, submitUrl } = analysis;
+  const operation = analysis.operations.join(', ');
+  const conditions = describeConditions(analysis);
+
+  // The page's own "answer": template beats the model's guess
+  const answerType = detectAnswerType(bodyText, analysis);
+
+  log.info('  Type:', taskType, '| answer:', answerType || 'unknown');
+  log.info('  Operation:', operation);
+  log.info('  Conditions:', conditions);
+  emitJobEvent(job, 'analysis_parsed', analysis);
+
+  // Step 1b: Data behind buttons, tabs or forms - run the analysis' page actions
+  let interaction = null;
+  if (analysis.actions.length > 0 && io.interact) {
+    log.info(`\n🖱️  Running ${analysis.actions.length} page action(s)`);
+    try {
+      interaction = await io.interact(url, analysis.actions, log);
+      emitJobEvent(job, 'page_actions', {
+        url, steps: interaction.steps.map(({ text, ...step }) => step), reads: interaction.reads.length, stoppedBy: interaction.stoppedBy
+      });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      log.warn('  ⚠️  Page actions failed:', e.message);
+      emitJobEvent(job, 'page_actions_failed', { url, error: e.message });
+    }
+  }
+  const pageLinks = interaction ? [...links, ...interaction.links] : links;
+  const pageImages = interaction ? [...images, ...(interaction.images || [])] : images;
 
-  console.log('  Type:', taskType);
-  console.log('  Operation:', operation);
-  console.log('  Conditions:', conditions);
+  // Step 1c: Canvas, images or layout carry the data - screenshot the page for a vision model
+  let screenshots = [];
+  if (analysis.visual && io.screenshot) {
+    log.info('\n📸 Visual task, taking screenshots');
+    try {
+      screenshots = await io.screenshot(url, log);
+      emitJobEvent(job, 'screenshots_taken', { url, shots: screenshots.map(({ label, mimeType, data }) => ({ label, mimeType, bytes: data.length })) });
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      log.warn('  ⚠️  Screenshots failed:', e.message);
+      emitJobEvent(job, 'screenshots_failed', { url, error: e.message });
+    }
+  }
 
   // Step 2: Discover files on page
-  const discoveredFiles = await discoverFiles(page, url);
-  console.log('\n📦 Discovered files:', {
+  const discoveredFiles = discoverFiles(pageLinks);
+  log.info('\n📦 Discovered files:', {
     csv: discoveredFiles.csv.length,
     pdf: discoveredFiles.pdf.length,
-    audio: discoveredFiles.audio.length
+    audio: discoveredFiles.audio.length,
+    image: discoveredFiles.image.length
   });
-
-  // Step 3: Scrape if needed
-  let scrapedText = '';
-  if (scrapeUrl && scrapeUrl !== 'none' && !scrapeUrl.includes('none')) {
+  emitJobEvent(job, 'files_discovered', discoveredFiles);
+
+  // Step 3: Scrape if needed - the scrape page plus its pagination or the links the analysis names.
+  // What the page actions revealed counts as scraped content, the elements they read first.
+  let scrapedText = interaction
+    ? [...interaction.reads.map(r => r.text), interaction.bodyText].join('\n\n')
+    : '';
+  let crawl = null;
+  if (scrapeUrl) {
     try {
-      const fullUrl = scrapeUrl.startsWith('http') ? scrapeUrl : new URL(scrapeUrl, url).toString();
-      console.log('\n🌐 Scraping:', fullUrl);
-      scrapedText = await scrapePageWithBrowser(page, fullUrl);
-      console.log('  ✓ Scraped:', scrapedText.slice(0, 150));
+      log.info('\n🌐 Scraping:', scrapeUrl, analysis.crawl ? `(following ${analysis.crawl.follow || 'pagination'})` : '');
+      crawl = await crawlSite(io, scrapeUrl, {
+        origin: url, follow: analysis.crawl?.follow, maxPages: analysis.crawl?.maxPages, log, signal, budget
+      });
+      scrapedText = [scrapedText, crawl.text].filter(Boolean).join('\n\n');
+      log.info(`  ✓ Scraped ${crawl.pages.length} page(s):`, scrapedText.slice(0, 150));
+      emitJobEvent(job, 'page_scraped', {
+        url: scrapeUrl, textLength: scrapedText.length, pages: crawl.pages.map(p => p.url),
+        tables: crawl.tables.length, stoppedBy: crawl.stoppedBy
+      });
     } catch (e) {
-      console.warn('  ⚠️  Scrape failed:', e.message);
+      if (signal?.aborted) throw e;
+      log.warn('  ⚠️  Scrape failed:', e.message);
+      emitJobEvent(job, 'page_scrape_failed', { url: scrapeUrl, error: e.message });
     }
   }
 
   // Step 4: Download and process files
   const downloadedFiles = {};
+  const fileReport = []; // what happened to each file, returned to dry-run callers
   
-  // Combine LLM-identified and discovered files
-  let allFileUrls = [];
-  if (filesStr !== 'none') {
-    allFileUrls = filesStr.split(',').map(f => f.trim()).filter(f => f && f.startsWith('http'));
+  // What the pages fetched themselves (on load, during page actions and while crawling) is
+  // already in hand: those responses are files as they are, not downloaded again
+  const captured = responsesAsFiles([...responses, ...(interaction?.responses || []), ...(crawl?.responses || [])]);
+  if (captured.length > 0) log.info('\n📡 Captured responses:', captured.length);
+  for (const response of captured) {
+    const { url: responseUrl, key, status, contentType, format, bytes, truncated } = response;
+    log.info(`  ✓ ${key} (${format}, ${bytes} bytes${truncated ? ', truncated' : ''})`);
+    downloadedFiles[key] = response.body;
+    fileReport.push({ url: key, captured: true, status, contentType, bytes, truncated });
+    emitJobEvent(job, 'response_captured', { url: responseUrl, key, status, contentType, format, bytes, truncated });
   }
-  allFileUrls = [...new Set([...allFileUrls, ...discoveredFiles.csv, ...discoveredFiles.pdf])];
+  const capturedUrls = new Set(captured.map(r => r.url));
+
+  // Combine LLM-identified and discovered files (images are read by OCR below)
+  const isImageFile = (f) => f.format === 'image' || IMAGE_FILE_PATTERN.test(f.url);
+  const crawledFiles = (crawl?.fileLinks || []).filter(f => /\.(csv|pdf)(\?|$)/i.test(f));
+  const allFileUrls = [...new Set([...analysis.files.filter(f => !isImageFile(f)).map(f => f.url), ...discoveredFiles.csv, ...discoveredFiles.pdf, ...crawledFiles])]
+    .filter(fileUrl => !capturedUrls.has(fileUrl));
+  const scannedPdfs = [];
   
-  console.log('\n📥 Downloading files:', allFileUrls.length);
+  log.info('\n📥 Downloading files:', allFileUrls.length);
 
   for (const fileUrl of allFileUrls) {
     try {
-      console.log(`  Downloading: ${fileUrl.split('/').pop()}`);
-      const buffer = await downloadFile(fileUrl);
+      log.info(`  Downloading: ${fileUrl.split('/').pop()}`);
+      const buffer = await io.download(fileUrl, log, { quizUrl: url, headers: analysis.headers });
       
       let content = '';
       const fileName = fileUrl.toLowerCase();
       
       if (fileName.endsWith('.pdf')) {
-        content = await extractPdfText(buffer);
-        console.log(`    ✓ PDF extracted (${content.length} chars)`);
+        const pdf = await extractPdfText(buffer);
+        content = pdf.text;
+        log.info(`    ✓ PDF extracted (${content.length} chars)`);
+        if (pdf.imageOnlyPages > 0) {
+          log.info(`    ${pdf.imageOnlyPages} page(s) have no text layer, will OCR`);
+          scannedPdfs.push({ url: fileUrl, buffer });
+        }
       } else if (fileName.endsWith('.csv')) {
         content = buffer.toString('utf8');
-        console.log(`    ✓ CSV loaded (${content.length} chars)`);
+        log.info(`    ✓ CSV loaded (${content.length} chars)`);
         
         // Analyze CSV structure
         const csvInfo = analyzeCSV(content);
-        console.log(`    Columns: ${csvInfo.columnCount}, Rows: ${csvInfo.rowCount}`);
+        log.info(`    Columns: ${csvInfo.columnCount}, Rows: ${csvInfo.rowCount}`);
       } else {
         content = buffer.toString('utf8');
-        console.log(`    ✓ File loaded (${content.length} chars)`);
+        log.info(`    ✓ File loaded (${content.length} chars)`);
       }
       
       downloadedFiles[fileUrl] = content;
+      fileReport.push({ url: fileUrl, bytes: buffer.length, textLength: content.length });
+      emitJobEvent(job, 'file_downloaded', { url: fileUrl, bytes: buffer.length, textLength: content.length });
     } catch (e) {
-      console.warn(`    ⚠️  Failed: ${e.message}`);
+      if (signal?.aborted) throw e;
+      log.warn(`    ⚠️  Failed: ${e.message}`);
+      fileReport.push({ url: fileUrl, error: e.message });
+      emitJobEvent(job, 'file_download_failed', { url: fileUrl, error: e.message });
+    }
+  }
+
+  // Step 4b: OCR - scanned PDF pages, image links and images on the page, read locally.
+  // An image's text becomes a file of its own; a scanned PDF's is added to the PDF's text.
+  const ocr = [];
+  const imageUrls = [...new Set([
+    ...analysis.files.filter(isImageFile).map(f => f.url), ...discoveredFiles.image,
+    ...pageImages.map(img => img.src).filter(isOcrReadable)
+  ])];
+  if (OCR_ENABLED && (scannedPdfs.length > 0 || imageUrls.length > 0)) {
+    if (budget?.isTight()) {
+      log.warn('⏱️  Time is tight - skipping OCR');
+    } else {
+      log.info(`\n🔤 OCR: ${scannedPdfs.length} scanned PDF(s), ${imageUrls.length} image(s)`);
+      // Scans first, they are the task's own documents; at most OCR_MAX_IMAGES in all
+      const inputs = scannedPdfs.flatMap(({ url: pdfUrl, buffer }) => pdfImages(buffer, { log })
+        .map(image => ({ source: `${pdfUrl} (${image.label})`, pdfUrl, data: image.data })));
+      for (const [i, imageUrl] of imageUrls.entries()) {
+        if (inputs.length >= OCR_MAX_IMAGES) break;
+        const inline = decodeDataUri(imageUrl);
+        const key = inline ? new URL(`/ocr/image-${i + 1}.${inline.mimeType.split('/')[1]}`, url).toString() : imageUrl;
+        try {
+          inputs.push({ source: key, key, data: inline ? inline.data : await io.download(imageUrl, log, { quizUrl: url, headers: analysis.headers }) });
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          log.warn(`  ⚠️  Image download failed: ${e.message}`);
+          fileReport.push({ url: key, error: e.message });
+          emitJobEvent(job, 'file_download_failed', { url: key, error: e.message });
+        }
+      }
+
+      try {
+        const results = await recognizeImages(inputs.slice(0, OCR_MAX_IMAGES), { log, signal, budget });
+        for (const [i, result] of results.entries()) {
+          const { source, key, pdfUrl } = inputs[i];
+          if (result.error) {
+            fileReport.push({ url: source, ocr: true, error: result.error });
+            emitJobEvent(job, 'image_ocr_failed', { url: source, error: result.error });
+            continue;
+          }
+          if (pdfUrl) downloadedFiles[pdfUrl] = [downloadedFiles[pdfUrl], result.text].filter(Boolean).join('\n\n');
+          else downloadedFiles[key] = result.text;
+          ocr.push({ url: pdfUrl || key, ...result });
+          fileReport.push({ url: source, ocr: true, confidence: result.confidence, lines: result.lines.length, textLength: result.text.length });
+          emitJobEvent(job, 'image_ocr', { url: source, confidence: result.confidence, lines: result.lines.length, preview: result.text.slice(0, 200) });
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        log.warn('  ⚠️  OCR failed:', e.message);
+        emitJobEvent(job, 'image_ocr_failed', { error: e.message });
+      }
     }
   }
 
+  // Tables found while crawling (merged across pages) go through the CSV step like a
+  // downloaded CSV - unless the task came with real CSV files, which stay the data source
+  const hasCsvFile = Object.keys(downloadedFiles).some(f => /\.csv(\?|$)/i.test(f));
+  if (!hasCsvFile) {
+    (crawl?.tables || []).forEach((table, i) => {
+      const key = new URL(`/crawled/table-${i + 1}.csv`, scrapeUrl).toString();
+      downloadedFiles[key] = tableToCSV(table);
+      fileReport.push({ url: key, sources: table.sources, rowCount: table.rows.length });
+      emitJobEvent(job, 'table_extracted', { url: key, sources: table.sources, columns: table.headers, rowCount: table.rows.length });
+    });
+  }
+
   // Step 5: Transcribe audio and get actual instructions!
   let audioInstructions = null;
   let audioTranscript = '';
   
   for (const [fileUrl, content] of Object.entries(downloadedFiles)) {
     if (fileUrl.match(/\.(opus|mp3|wav|ogg|m4a)/i)) {
-      console.log(`\n🎵 Audio file detected: ${fileUrl.split('/').pop()}`);
+      log.info(`\n🎵 Audio file detected: ${fileUrl.split('/').pop()}`);
       
       // Actually transcribe the audio!
       const buffer = Buffer.from(content, 'binary');
-      audioTranscript = await transcribeAudio(buffer, fileUrl.split('/').pop());
+      audioTranscript = await io.transcribe(buffer, fileUrl.split('/').pop(), log);
       
       if (audioTranscript) {
-        audioInstructions = parseAudioInstructions(audioTranscript);
-        console.log(`\n✅ Audio transcribed successfully!`);
-        console.log(`   Full transcript: "${audioTranscript}"`);
+        audioInstructions = parseAudioInstructions(audioTranscript, { log });
+        log.info(`\n✅ Audio transcribed successfully!`);
+        log.info(`   Full transcript: "${audioTranscript}"`);
+        emitJobEvent(job, 'audio_transcribed', { url: fileUrl, transcript: audioTranscript, instructions: audioInstructions });
       } else {
-        console.log(`   ⚠️  Transcription failed - will rely on LLM analysis`);
+        log.info(`   ⚠️  Transcription failed - will rely on LLM analysis`);
+        emitJobEvent(job, 'audio_transcription_failed', { url: fileUrl });
       }
     }
   }
   
   // Step 6: Process data with audio instructions
   let processedData = {};
+  let appliedFilter = null;
+  let appliedTargetColumn = null;
+  let csvColumns = 0;
   
   for (const [fileUrl, content] of Object.entries(downloadedFiles)) {
     if (fileUrl.toLowerCase().endsWith('.csv')) {
-      console.log(`\n🔧 Processing CSV: ${fileUrl.split('/').pop()}`);
+      log.info(`\n🔧 Processing CSV: ${fileUrl.split('/').pop()}`);
       
       let filterCondition = null;
       let targetColumn = null;
@@ -250,96 +501,65 @@ Be thorough - don't miss any file URLs or conditions!`;
       // Use audio instructions if available
       if (audioInstructions && audioInstructions.filter) {
         filterCondition = audioInstructions.filter;
-        console.log(`   Using audio instruction: ${filterCondition.operator} ${filterCondition.value}`);
+        log.info(`   Using audio instruction: ${filterCondition.operator} ${filterCondition.value}`);
       } else {
-        // Fallback to page conditions
-        const cutoffMatch = conditions.match(/\d+/);
-        if (cutoffMatch) {
-          // Default to >= if audio said "greater than or equal"
-          filterCondition = { operator: '>=', value: parseInt(cutoffMatch[0]) };
-          console.log(`   Using page condition: >= ${cutoffMatch[0]}`);
+        // Fallback to the first numeric page condition
+        const pageCondition = analysis.conditions.find(c => typeof c.value === 'number');
+        if (pageCondition) {
+          filterCondition = { operator: pageCondition.operator, value: pageCondition.value };
+          log.info(`   Using page condition: ${pageCondition.operator} ${pageCondition.value}`);
         }
       }
       
       // Use target column from audio if specified
       if (audioInstructions && audioInstructions.target === 'first_column') {
         targetColumn = 'col0';
-        console.log(`   Target: first column only`);
+        log.info(`   Target: first column only`);
+      }
+
+      if (strategy?.filterOperator && filterCondition) {
+        filterCondition = { ...filterCondition, operator: strategy.filterOperator };
+        log.info(`   Retry: filter operator changed to ${strategy.filterOperator}`);
+      }
+      if (strategy && 'targetColumn' in strategy) {
+        const header = content.split('\n')[0].split(',')[0].trim().replace(/^﻿?"?|"$/g, '');
+        targetColumn = strategy.targetColumn === 'first' ? (analyzeCSV(content)?.isHeaderless ? 'col0' : header) : null;
+        log.info(`   Retry: target column ${targetColumn || 'all'}`);
       }
       
       const csvResult = await processCSV(content, { 
         filter: filterCondition,
         targetColumn: targetColumn
-      });
+      }, { log });
       processedData[fileUrl] = csvResult;
+      appliedFilter ??= filterCondition;
+      appliedTargetColumn ??= targetColumn;
+      csvColumns = Math.max(csvColumns, csvResult.columns.length);
+      // Something to submit if the handlers run out of time
+      budget?.offer(csvResult.summary.sum, { source: 'csv', answerType, submitUrl });
+      const reported = fileReport.find(f => f.url === fileUrl);
+      if (reported) {
+        reported.csv = { rowCount: csvResult.rowCount, columns: csvResult.columns, filter: filterCondition, targetColumn, sum: csvResult.summary.sum };
+      }
       
-      console.log(`   📊 CSV Result: Sum = ${csvResult.summary.sum}`);
+      log.info(`   📊 CSV Result: Sum = ${csvResult.summary.sum}`);
+      emitJobEvent(job, 'csv_processed', { url: fileUrl, filter: filterCondition, targetColumn, rowCount: csvResult.rowCount, sum: csvResult.summary.sum });
     }
   }
 
-  // Step 6: Ask LLM to compute answer
-  const dataContext = Object.entries(downloadedFiles).map(([url, content]) => {
-    const fileName = url.split('/').pop();
-    if (fileName.endsWith('.csv')) {
-      const data = processedData[url];
-      return `CSV File: ${fileName}
-Rows: ${data?.rowCount || 'unknown'}
-Filtered Numbers (sample): ${data?.summary?.firstFew?.join(', ') || 'none'}
-Sum of filtered numbers: ${data?.summary?.sum || 0}`;
-    }
-    return `File: ${fileName}\nContent: ${content.slice(0, 800)}`;
-  }).join('\n\n---\n\n');
-
-  const solvePrompt = `Solve this ${taskType} task:
-
-TASK: ${description}
-OPERATION: ${operation}
-CONDITIONS: ${conditions}
-
-${scrapedText ? `SCRAPED PAGE CONTENT:\n${scrapedText.slice(0, 1000)}\n\n` : ''}
-
-${dataContext ? `DATA AVAILABLE:\n${dataContext}\n\n` : ''}
-
-CRITICAL INSTRUCTIONS:
-1. If you see "Secret code is X" → answer is X
-2. If task says "sum numbers below/less than Y" → sum only numbers < Y (not >=)
-3. For CSV with cutoff, the sum is already computed above - use that value
-4. Return ONLY the final answer value (number or short text)
-5. NO explanations, NO markdown, just the answer
-
-What is the answer?`;
-
-  console.log('\n🧠 Step 2: Computing answer with LLM...');
-  const answerResponse = await callLLM(systemPrompt, solvePrompt);
-  console.log('💡 LLM Answer:', answerResponse.slice(0, 200));
-
-  // Extract clean answer
-  let answer = answerResponse.trim();
-  
-  // Check if we have processed CSV data with sum
-  const csvData = Object.values(processedData).find(d => d.summary?.sum !== undefined);
-  if (csvData && conditions.toLowerCase().includes('cutoff')) {
-    // Use computed sum from CSV processing
-    console.log('  ℹ️  Using computed CSV sum instead of LLM answer');
-    answer = csvData.summary.sum;
-  } else {
-    // Clean LLM response
-    const lines = answer.split('\n').filter(l => l.trim());
-    answer = lines[lines.length - 1]?.trim() || answer;
-    answer = answer.replace(/^(Answer:|Final Answer:|Result:)\s*/i, '').trim();
-    answer = answer.replace(/[`'"]/g, '').trim();
-    
-    // Try to parse as number
-    if (/^\d+$/.test(answer)) {
-      answer = parseInt(answer, 10);
-    } else if (/^\d+\.\d+$/.test(answer)) {
-      answer = parseFloat(answer);
-    }
-  }
+  // Step 7: Hand the gathered context to the best task handler
+  const { answer, handler } = await dispatchTask({
+    url, bodyText, links: pageLinks, attempt: attemptNumber,
+    analysis, taskType, description, operation, conditions, submitUrl,
+    scrapedText, crawl, interaction, screenshots, ocr, discoveredFiles, files: downloadedFiles, processedData,
+    audioTranscript, audioInstructions, answerType,
+    previousAttempts, retryNotes, excludeHandlers: strategy?.excludeHandlers || [],
+    systemPrompt, io, log, signal, job, budget
+  });
 
   // Determine submit URL
   let finalSubmitUrl = submitUrl;
-  if (!finalSubmitUrl || finalSubmitUrl === 'null' || finalSubmitUrl === 'none' || !finalSubmitUrl.startsWith('http')) {
+  if (!finalSubmitUrl) {
     const match = bodyText.match(/(https?:\/\/[^\s]+\/submit[^\s]*)/i) ||
                   bodyText.match(/POST\s+(?:to\s+)?([^\s]+\/submit[^\s]*)/i);
     if (match) {
@@ -349,55 +569,167 @@ What is the answer?`;
     }
   }
 
-  console.log('\n✅ Final Answer:', answer);
-  console.log('📮 Submit URL:', finalSubmitUrl);
-
-  return { submitUrl: finalSubmitUrl, answer };
+  log.info('\n✅ Final Answer:', answer, `(${handler})`);
+  log.info('📮 Submit URL:', finalSubmitUrl);
+  emitJobEvent(job, 'answer_computed', { answer, handler, submitUrl: finalSubmitUrl, attempt: attemptNumber });
+
+  return {
+    submitUrl: finalSubmitUrl,
+    answer,
+    answerType,
+    handler,
+    strategy,
+    filter: appliedFilter,
+    targetColumn: appliedTargetColumn,
+    csvColumns,
+    analysis,
+    files: fileReport,
+    audioTranscript: audioTranscript || null
+  };
 }
 
 // Main quiz solver with retry logic
-export async function solveQuiz(initialPayload) {
-  const start = Date.now();
+// options.job (from jobs.js) receives currentUrl and taskHistory updates as the run progresses
+// options.signal (AbortSignal, defaults to the job's) stops the loop and closes the page when aborted
+// options.io replaces the live browser/network I/O (replay); no browser is borrowed and nothing is recorded
+// options.settings ({ provider, strategy, timeBudgetMs }) are per-user overrides from user-registry.js;
+// timeBudgetMs becomes a time-budget.js deadline that every task, step and submission is held to
+// options.log is the base logger; every line of the run carries the job id (plus task/attempt below)
+// options.clock (time-budget.js) replaces the wall clock; replays pass a fake one
+export async function solveQuiz(initialPayload, options = {}) {
+  const { job = null, signal = job?.controller.signal, io: replayIO = null, settings = {}, clock = systemClock } = options;
+  const log = (options.log || logger).child(job ? { jobId: job.id } : {});
+  const timeoutMs = settings.timeBudgetMs || TIMEOUT_MS;
+  const start = clock.now();
+  const budget = createBudget(timeoutMs, { signal, clock });
   let currentUrl = initialPayload.url;
   
   if (!currentUrl) {
-    console.error('❌ No URL provided');
-    return;
+    log.error('❌ No URL provided');
+    throw new Error('No URL provided');
   }
 
-  console.log('\n' + '═'.repeat(70));
-  console.log('🚀 UNIVERSAL LLM-POWERED QUIZ SOLVER');
-  console.log('   Adaptive • Intelligent • Robust');
-  console.log('═'.repeat(70));
+  log.info('\n' + '═'.repeat(70));
+  log.info('🚀 UNIVERSAL LLM-POWERED QUIZ SOLVER');
+  log.info('   Adaptive • Intelligent • Robust');
+  log.info('═'.repeat(70));
+
+  // Borrow a page from the shared pool instead of launching a browser per run
+  const lease = replayIO ? null : await acquirePage();
+  const page = lease?.page || null;
+
+  // Record everything the run sees so it can be inspected and replayed later
+  const recorder = !replayIO && isRunHistoryEnabled()
+    ? createRunRecorder({ jobId: job?.id, email: initialPayload.email, url: currentUrl })
+    : null;
+  if (job && recorder) job.runId = recorder.id;
+  // CASSETTE_RECORD_DIR also writes the run as a cassette for offline replays (cassette.js)
+  const cassetteDir = replayIO ? null : cassetteRecordDir();
+  const cassette = cassetteDir
+    ? createCassette(path.join(cassetteDir, recorder?.id || job?.id || crypto.randomUUID()), { url: currentUrl, email: initialPayload.email })
+    : null;
+  const io = replayIO || recordCassetteIO(recordIO(createLiveIO(page, { signal, settings, log, budget }), recorder), cassette);
+
+  // Closing the page makes any pending Playwright call fail fast on cancel
+  const onAbort = () => {
+    log.info('🛑 Solve cancelled - closing page');
+    page?.close().catch(() => {});
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let taskCount = 0;
+  const taskHistory = job ? job.taskHistory : [];
+
+  // Time is (nearly) up and the attempts failed: post the task's best candidate answer,
+  // unless the server already rejected it. Returns { correct } or null when nothing was posted.
+  const submitBestEffort = async (attempts, attemptLog, attempt, lastSubmitUrl) => {
+    const best = budget.best();
+    if (!best || attempts.some(a => JSON.stringify(a.answer) === JSON.stringify(best.answer))) return null;
+    const typed = serializeAnswer(best.answer, best.answerType);
+    if (!typed.ok) return null;
+
+    const submitPayload = { email: initialPayload.email, secret: initialPayload.secret, url: currentUrl, answer: typed.value };
+    const submitUrl = best.submitUrl || lastSubmitUrl || new URL('/submit', currentUrl).toString();
+    const submitStart = clock.now();
+    let submitResp;
+    try {
+      checkSubmitPayload(submitPayload, best.answerType);
+      attemptLog.warn(`⏱️  Out of time - submitting best answer so far (${best.source}):`, typed.value);
+      submitResp = await io.submit(submitUrl, submitPayload, attemptLog);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      attemptLog.error('❌ Best-effort submission failed:', err.message);
+      return null;
+    }
 
-  const browser = await chromium.launch({ 
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-    headless: true
-  });
-  const page = await browser.newPage();
+    const correct = submitResp?.correct === true;
+    tasksSubmitted.inc({ result: correct ? 'correct' : 'incorrect' });
+    emitJobEvent(job, 'best_effort_submitted', {
+      task: taskCount, attempt, answer: typed.value, source: best.source,
+      correct, reason: submitResp?.reason || null, nextUrl: submitResp?.url || null
+    });
+    taskHistory.push({
+      task: taskCount, url: currentUrl, answer: typed.value, correct, reason: submitResp?.reason, handler: best.source,
+      bestEffort: true, attempt, durationMs: clock.now() - submitStart
+    });
+
+    currentUrl = submitResp?.url || null;
+    if (currentUrl) initialPayload.url = currentUrl;
+    return { correct };
+  };
 
-  try {
-    let taskCount = 0;
-    const taskHistory = [];
+  const finish = async (state, error = null) => {
+    signal?.removeEventListener('abort', onAbort);
+    await lease?.release();
+    if (recorder) {
+      await saveRun(recorder, { state, error, taskHistory, events: job?.events || [] })
+        .catch(e => log.warn('⚠️  Could not save run history:', e.message));
+    }
+    if (cassette) {
+      await saveCassette(cassette, { taskHistory })
+        .catch(e => log.warn('⚠️  Could not save cassette:', e.message));
+    }
+  };
 
-    while (currentUrl && Date.now() - start < TIMEOUT_MS && taskCount < 20) {
+  try {
+    while (currentUrl && !signal?.aborted && !budget.expired() && taskCount < 20) {
       taskCount += 1;
-      const remainingTime = Math.round((TIMEOUT_MS - (Date.now() - start)) / 1000);
+      const taskLog = log.child({ task: taskCount });
+      if (job) job.currentUrl = currentUrl;
+      const remainingTime = Math.round(budget.remaining() / 1000);
       
-      console.log(`\n${'═'.repeat(70)}`);
-      console.log(`📍 TASK ${taskCount} | ⏱️  ${remainingTime}s remaining`);
-      console.log(`🔗 ${currentUrl}`);
-      console.log('═'.repeat(70));
+      taskLog.info(`\n${'═'.repeat(70)}`);
+      taskLog.info(`📍 TASK ${taskCount} | ⏱️  ${remainingTime}s remaining`);
+      taskLog.info(`🔗 ${currentUrl}`);
+      taskLog.info('═'.repeat(70));
+      emitJobEvent(job, 'task_started', { task: taskCount, url: currentUrl, remainingSeconds: remainingTime });
+      budget.startTask();
 
       let submitSuccess = false;
       let lastAnswer = null;
       let lastSubmitUrl = null;
 
-      // Try up to MAX_RETRIES_PER_TASK times for this task (but stop if getting same wrong answer)
-      let previousAnswers = [];
+      // Try up to MAX_RETRIES_PER_TASK times for this task; each retry sees the earlier
+      // attempts and server reasons and changes strategy (see retry-strategy.js)
+      const attempts = [];
       for (let attempt = 1; attempt <= MAX_RETRIES_PER_TASK && !submitSuccess; attempt++) {
+        const attemptLog = taskLog.child({ attempt });
+        const attemptStart = clock.now();
+        let attemptRecord = null;
+        if (attempt > 1 && budget.expired()) {
+          attemptLog.warn('⏱️  No time left for another attempt');
+          break;
+        }
         try {
-          const { submitUrl, answer } = await solveSinglePage(page, currentUrl, initialPayload, attempt);
+          signal?.throwIfAborted();
+          const endPageTimer = pageDuration.startTimer();
+          const solved = await solveSinglePage(page, currentUrl, initialPayload, attempt, { job, signal, io, log: attemptLog, previousAttempts: attempts, budget })
+            .finally(() => endPageTimer());
+          const { submitUrl, answer, answerType, handler, strategy } = solved;
+          attemptRecord = {
+            attempt, answer, handler, strategy,
+            filter: solved.filter, targetColumn: solved.targetColumn, csvColumns: solved.csvColumns
+          };
           lastAnswer = answer;
           lastSubmitUrl = submitUrl;
 
@@ -407,84 +739,125 @@ export async function solveQuiz(initialPayload) {
             url: currentUrl,
             answer
           };
+          checkSubmitPayload(submitPayload, answerType);
 
-          console.log(`\n📤 Submitting attempt ${attempt}:`, { ...submitPayload, secret: '***', answer });
+          attemptLog.info(`\n📤 Submitting attempt ${attempt}:`, { ...submitPayload, secret: '***', answer });
 
           let submitResp = null;
           try {
-            submitResp = await postAnswer(submitUrl, submitPayload);
+            submitResp = await io.submit(submitUrl, submitPayload, attemptLog);
           } catch (postErr) {
-            console.error('❌ Submission error:', postErr.message);
+            if (signal?.aborted) throw postErr;
+            attemptLog.error('❌ Submission error:', postErr.message);
             
             // Try fallback URL
             try {
               const fallbackUrl = new URL('/submit', currentUrl).toString();
-              console.log('🔄 Trying fallback:', fallbackUrl);
-              submitResp = await postAnswer(fallbackUrl, submitPayload);
+              attemptLog.info('🔄 Trying fallback:', fallbackUrl);
+              submitResp = await io.submit(fallbackUrl, submitPayload, attemptLog);
             } catch (fallbackErr) {
-              console.error('❌ Fallback failed');
-              if (attempt === MAX_RETRIES_PER_TASK) throw fallbackErr;
-              continue;
+              if (signal?.aborted) throw fallbackErr;
+              attemptLog.error('❌ Fallback failed');
+              throw new Error(`submission failed: ${fallbackErr.message}`);
             }
           }
 
+          tasksSubmitted.inc({ result: submitResp?.correct === true ? 'correct' : 'incorrect' });
+          emitJobEvent(job, 'submission_result', {
+            task: taskCount, attempt, answer, handler,
+            correct: submitResp?.correct === true, reason: submitResp?.reason || null, nextUrl: submitResp?.url || null
+          });
+
           // Check response
           if (submitResp?.correct === true) {
-            console.log('✅ CORRECT!');
+            attemptLog.info('✅ CORRECT!');
             submitSuccess = true;
-            taskHistory.push({ url: currentUrl, answer, correct: true });
+            const fixedBy = strategy ? strategy.description : null;
+            if (strategy) {
+              attemptLog.info(`🔧 Fixed on retry by ${strategy.name}: ${strategy.description}`);
+              emitJobEvent(job, 'retry_fixed', { task: taskCount, attempt, strategy: strategy.name, description: strategy.description });
+            }
+            taskHistory.push({
+              task: taskCount, url: currentUrl, answer, correct: true, handler,
+              strategy: strategy?.name || null, fixedBy,
+              attempt, durationMs: clock.now() - attemptStart
+            });
             
             if (submitResp.url) {
               currentUrl = submitResp.url;
               initialPayload.url = currentUrl;
             } else {
-              console.log('\n' + '═'.repeat(70));
-              console.log('🎉 QUIZ COMPLETED SUCCESSFULLY!');
-              console.log('═'.repeat(70));
+              attemptLog.info('\n' + '═'.repeat(70));
+              attemptLog.info('🎉 QUIZ COMPLETED SUCCESSFULLY!');
+              attemptLog.info('═'.repeat(70));
               currentUrl = null;
             }
             break;
           } else {
-            console.warn(`⚠️  Attempt ${attempt} incorrect:`, submitResp?.reason || 'Unknown reason');
-            taskHistory.push({ url: currentUrl, answer, correct: false, reason: submitResp?.reason });
-            
-            // Check if we're getting the same wrong answer repeatedly
-            if (previousAnswers.includes(JSON.stringify(answer))) {
-              console.log('⚠️  Same answer as before - this approach is not working');
+            attemptLog.warn(`⚠️  Attempt ${attempt} incorrect:`, submitResp?.reason || 'Unknown reason');
+            taskHistory.push({
+              task: taskCount, url: currentUrl, answer, correct: false, reason: submitResp?.reason, handler,
+              strategy: strategy?.name || null,
+              attempt, durationMs: clock.now() - attemptStart
+            });
+
+            const repeated = attempts.some(a => JSON.stringify(a.answer) === JSON.stringify(answer));
+            attempts.push({ ...attemptRecord, reason: submitResp?.reason || null });
+
+            // Same wrong answer again and no strategy left to try: this approach is not working
+            const next = planRetry(attempts);
+            const exhausted = attempts.some(a => a.strategy?.name === next.name);
+            if (repeated && exhausted) {
+              attemptLog.info('⚠️  Same answer as before - this approach is not working');
               
               // If server gives next URL, move on instead of wasting time
               if (submitResp?.url) {
-                console.log('⏭️  Moving to next task (avoiding infinite loop)');
+                attemptLog.info('⏭️  Moving to next task (avoiding infinite loop)');
                 currentUrl = submitResp.url;
                 initialPayload.url = currentUrl;
                 break;
               } else {
-                console.log('❌ No next URL provided and approach not working - stopping');
+                attemptLog.info('❌ No next URL provided and approach not working - stopping');
                 currentUrl = null;
                 break;
               }
             }
             
-            previousAnswers.push(JSON.stringify(answer));
-            
+
             // If server gives us next URL even on wrong answer, we can choose to continue
             if (submitResp?.url && attempt === MAX_RETRIES_PER_TASK) {
-              console.log('⏭️  Moving to next task (max retries reached)');
+              attemptLog.info('⏭️  Moving to next task (max retries reached)');
               currentUrl = submitResp.url;
               initialPayload.url = currentUrl;
               break;
             }
             
-            // Wait before retry
-            if (attempt < MAX_RETRIES_PER_TASK) {
-              console.log(`   Retrying in 2s...`);
-              await new Promise(r => setTimeout(r, 2000));
+            // Wait before retry, unless every second counts
+            if (attempt < MAX_RETRIES_PER_TASK && !budget.isTight()) {
+              attemptLog.info(`   Retrying in 2s...`);
+              await clock.sleep(2000);
             }
           }
         } catch (error) {
-          console.error(`❌ Attempt ${attempt} failed:`, error.message);
+          if (signal?.aborted) throw error;
+          attemptLog.error(`❌ Attempt ${attempt} failed:`, error.message);
+          emitJobEvent(job, 'attempt_failed', { task: taskCount, attempt, error: error.message });
+          // Failed before an answer: planRetry on the attempts so far is the strategy this attempt used
+          attempts.push({ ...(attemptRecord || { attempt, answer: null, strategy: planRetry(attempts) }), error: error.message });
+          taskHistory.push({
+            task: taskCount, url: currentUrl, answer: attemptRecord?.answer ?? null, correct: false, error: error.message,
+            handler: attemptRecord?.handler, strategy: attemptRecord?.strategy?.name || null,
+            attempt, durationMs: clock.now() - attemptStart
+          });
+          if (attempt === MAX_RETRIES_PER_TASK || budget.isTight()) {
+            const bestEffort = await submitBestEffort(attempts, attemptLog, attempt, lastSubmitUrl);
+            if (bestEffort) {
+              submitSuccess = bestEffort.correct;
+              break;
+            }
+          }
           if (attempt === MAX_RETRIES_PER_TASK) {
-            console.error('💥 Max retries reached for this task');
+            attemptLog.error('💥 Max retries reached for this task');
             currentUrl = null;
             break;
           }
@@ -495,21 +868,104 @@ export async function solveQuiz(initialPayload) {
         break;
       }
 
-      await page.waitForTimeout(500);
+      if (page) await page.waitForTimeout(500);
     }
 
-    await browser.close();
-    
-    const totalTime = ((Date.now() - start) / 1000).toFixed(1);
-    console.log(`\n${'═'.repeat(70)}`);
-    console.log(`📊 SUMMARY`);
-    console.log(`   Total tasks: ${taskCount}`);
-    console.log(`   Successful: ${taskHistory.filter(t => t.correct).length}`);
-    console.log(`   Time: ${totalTime}s`);
-    console.log('═'.repeat(70));
+    await finish(signal?.aborted ? 'cancelled' : 'done');
     
+    const totalTime = ((clock.now() - start) / 1000).toFixed(1);
+    log.info(`\n${'═'.repeat(70)}`);
+    log.info(`📊 SUMMARY`);
+    log.info(`   Total tasks: ${taskCount}`);
+    log.info(`   Successful: ${taskHistory.filter(t => t.correct).length}`);
+    log.info(`   Time: ${totalTime}s`);
+    log.info('═'.repeat(70));
+    emitJobEvent(job, 'summary', { taskCount, successful: taskHistory.filter(t => t.correct).length, totalTime: Number(totalTime) });
+
+    return { runId: recorder?.id || null, taskCount, taskHistory, totalTime: Number(totalTime) };
   } catch (err) {
-    try { await browser.close(); } catch (e) {}
-    console.error('💥 Fatal error:', err);
+    await finish(signal?.aborted ? 'cancelled' : 'failed', err.message);
+    if (signal?.aborted) {
+      log.info('🛑 Solve cancelled');
+      throw err;
+    }
+    log.error('💥 Fatal error:', err);
+    throw err;
   }
-}
\ No newline at end of file
+}
+
+// Dry run: solve a single quiz page once and report what would be submitted.
+// The live I/O is used for everything except submission - nothing is posted.
+// options.io replaces the live I/O as for solveQuiz; no browser is borrowed then.
+export async function solveOnce(payload, options = {}) {
+  const { signal, settings = {}, io: replayIO = null } = options;
+  if (!payload.url) throw new Error('No URL provided');
+  const log = (options.log || logger).child({ dryRun: true });
+
+  log.info(`\n🧪 Dry run for ${payload.url}`);
+  const lease = replayIO ? null : await acquirePage();
+  const page = lease?.page || null;
+  const onAbort = () => page?.close().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const budget = createBudget(settings.timeBudgetMs || TIMEOUT_MS, { signal });
+    budget.startTask();
+    const io = replayIO || createLiveIO(page, { signal, settings, log, budget });
+    const submit = async () => { throw new Error('Dry run: submission disabled'); };
+    const start = Date.now();
+    const result = await solveSinglePage(page, payload.url, payload, 1, { signal, log, io: { ...io, submit }, budget });
+    return { url: payload.url, ...result, durationMs: Date.now() - start };
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    await lease?.release();
+  }
+}
+
+// Re-run the solver against a saved run (see run-store.js) without touching the network.
+// options.liveLLM sends prompts to the real providers instead of reusing recorded responses.
+export async function replayRun(run, options = {}) {
+  const { liveLLM = false } = options;
+  const log = (options.log || logger).child({ replayOf: run.id });
+
+  log.info(`\n⏪ Replaying run ${run.id} (${liveLLM ? 'live' : 'recorded'} LLM)`);
+  const io = createReplayIO(run, {
+    liveLLM: liveLLM
+      ? (systemPrompt, userPrompt, callLog = log, { images = [] } = {}) => callLLM(systemPrompt, userPrompt, { log: callLog, images })
+      : null
+  });
+
+  // Saved runs never contain the secret; replayed submissions stay local anyway
+  const result = await solveQuiz({ email: run.email, secret: 'replay', url: run.url }, { io, log, clock: createFakeClock() });
+
+  return {
+    replayOf: run.id,
+    liveLLM,
+    recorded: run.taskHistory,
+    replayed: result.taskHistory,
+    totalTime: result.totalTime
+  };
+}
+
+// Re-run the solver from a cassette directory (see cassette.js), fully offline, and
+// compare the outcome with the recorded one. ok is false when anything differs.
+export async function replayCassette(dir, options = {}) {
+  const cassette = await loadCassette(dir);
+  const log = (options.log || logger).child({ cassette: path.basename(cassette.dir) });
+
+  log.info(`\n📼 Replaying cassette ${cassette.dir}`);
+  // Time moves only by the recorded durations, so budget decisions replay as recorded
+  const clock = createFakeClock();
+  const io = createCassetteIO(cassette, { clock });
+  const result = await solveQuiz({ email: cassette.email || 'cassette@example.com', secret: 'cassette', url: cassette.url }, { io, log, clock });
+  const differences = compareTaskHistory(cassette.taskHistory, result.taskHistory);
+
+  return {
+    cassette: cassette.dir,
+    ok: differences.length === 0,
+    differences,
+    recorded: cassette.taskHistory,
+    replayed: result.taskHistory,
+    totalTime: result.totalTime
+  };
+}
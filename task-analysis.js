@@ -0,0 +1,351 @@
+// task-analysis.js - Structured analysis of a quiz page
+// The model answers with JSON that is checked against ANALYSIS_SCHEMA (hand-rolled, no
+// validator dependency). Invalid output is sent back through callLLM with the list of
+// problems, up to ANALYSIS_REPAIR_ATTEMPTS times (default 2). Runs recorded before the
+// JSON format still parse through the old "TASK_TYPE: ..." line format as a last resort.
+import { ANSWER_TYPES } from './answer-format.js';
+import { PAGE_ACTIONS, describeControls } from './page-actions.js';
+import { describeResponses } from './network-capture.js';
+import { logger } from './logger.js';
+
+const REPAIR_ATTEMPTS = Math.max(0, parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS || '2', 10));
+
+export const TASK_TYPES = ['scraping', 'analysis', 'computation', 'extraction', 'visualization', 'other'];
+export const FILE_ROLES = ['data', 'instructions', 'reference', 'other'];
+export const FILE_FORMATS = ['csv', 'pdf', 'audio', 'json', 'text', 'html', 'image', 'other'];
+export const OPERATIONS = ['sum', 'count', 'average', 'max', 'min', 'filter', 'extract', 'sort', 'join', 'visualize', 'other'];
+export const OPERATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+// Shown to the model verbatim, so keep it readable
+export const ANALYSIS_SCHEMA = {
+  taskType: `one of ${TASK_TYPES.join('|')}`,
+  description: 'string - what needs to be done, one sentence',
+  files: [{ url: 'string - full URL', role: FILE_ROLES.join('|'), format: FILE_FORMATS.join('|') }],
+  scrapeUrl: 'string (full URL of a page to render and read) or null',
+  crawl: '{ "follow": "text or /regex/ of links to follow from scrapeUrl (pagination, linked pages)", "maxPages": number } or null if one page is enough',
+  visual: 'true if the data is drawn on a canvas, shown as an image or chart, or only readable from the layout, else false',
+  actions: [{ action: PAGE_ACTIONS.join('|'), selector: 'CSS selector from INTERACTIVE ELEMENTS', value: 'text to type or option to select, else null' }],
+  headers: '{ "Header-Name": "value" } the page says to send when fetching its files or API (an API key or token), or {}',
+  operations: [OPERATIONS.join('|')],
+  conditions: [{ field: 'string (column/field name) or null', operator: OPERATORS.join('|'), value: 'number or string' }],
+  notes: 'string - any other special requirement, or ""',
+  submitUrl: 'string (full URL) or null',
+  answerType: ANSWER_TYPES.join('|')
+};
+
+// page: what else the snapshot saw - controls (page-actions.js) and responses (network-capture.js)
+export function buildAnalysisPrompt(url, bodyText, retryNotes = '', page = {}) {
+  const { controls = [], responses = [] } = page;
+  return `Analyze this data science task carefully:
+
+URL: ${url}
+
+PAGE CONTENT:
+${bodyText.slice(0, 4000)}
+${controls.length > 0 ? `\nINTERACTIVE ELEMENTS:\n${describeControls(controls)}\n` : ''}${responses.length > 0 ? `\nNETWORK RESPONSES (fetched by the page itself, already captured and used as files):\n${describeResponses(responses.slice(0, 15))}\n` : ''}
+Your job is to:
+1. Identify what type of task this is (scraping, data analysis, computation, extraction, etc.)
+2. Find ALL files that need to be downloaded (CSV, PDF, audio, JSON, etc.) - provide FULL URLs
+   - if the page says to send a header with those requests (an API key, a token), put it in headers
+3. Determine if any pages need to be scraped with JavaScript rendering, and whether the data spans several pages (pagination, linked pages) that must be crawled
+   - if the data is drawn on a canvas, shown as an image or chart or only makes sense from the layout, set visual so the page is looked at
+   - if the data only appears after using this page's controls (a button, tab, dropdown or form), list the steps as actions; "read" returns an element's text
+4. Identify any conditions, filters, or operations (e.g., "sum numbers below 30064" is operations ["sum"] with condition { "field": null, "operator": "<", "value": 30064 })
+5. Find the submit URL and what kind of value the answer is
+
+Respond with ONLY a JSON object (no markdown, no commentary) matching this schema:
+${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}
+
+Use [] for no files, operations, conditions or actions. Be thorough - don't miss any file URLs or conditions!${retryNotes ? `\n\n${retryNotes}` : ''}`;
+}
+
+function buildRepairPrompt(response, errors) {
+  return `Your previous answer was not valid JSON for the required schema.
+
+PROBLEMS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+PREVIOUS ANSWER:
+${String(response).slice(0, 3000)}
+
+Reply with ONLY the corrected JSON object matching this schema:
+${JSON.stringify(ANALYSIS_SCHEMA, null, 2)}`;
+}
+
+// Pull the first JSON object out of a reply that may be wrapped in markdown or prose
+export function extractJSON(text) {
+  if (typeof text !== 'string') return null;
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(candidate.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function isUrlLike(value) {
+  return typeof value === 'string' && /^(https?:\/\/|\/)/i.test(value.trim());
+}
+
+function optionalCrawl(value, errors) {
+  if (value === null || value === undefined || value === '' || value === 'none') return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('crawl must be an object or null');
+    return null;
+  }
+  const follow = typeof value.follow === 'string' && value.follow.trim() ? value.follow.trim() : null;
+  const maxPages = Number.isInteger(value.maxPages) && value.maxPages > 0 ? value.maxPages : null;
+  if (value.maxPages !== undefined && value.maxPages !== null && maxPages === null) errors.push('crawl.maxPages must be a positive integer');
+  return { follow, maxPages };
+}
+
+/**
+ * Page actions (see page-actions.js) from the model, normalized; problems go to errors
+ */
+export function normalizeActions(value, errors = []) {
+  if (value === null || value === undefined || value === '') return [];
+  if (!Array.isArray(value)) {
+    errors.push('actions must be an array');
+    return [];
+  }
+  const actions = [];
+  value.forEach((step, i) => {
+    const action = typeof step?.action === 'string' ? step.action.trim().toLowerCase() : null;
+    if (!PAGE_ACTIONS.includes(action)) {
+      errors.push(`actions[${i}].action must be one of ${PAGE_ACTIONS.join(', ')}`);
+      return;
+    }
+    const selector = typeof step.selector === 'string' && step.selector.trim() ? step.selector.trim() : null;
+    if (!selector && action !== 'scroll') {
+      errors.push(`actions[${i}].selector must be a CSS selector`);
+      return;
+    }
+    const hasValue = typeof step.value === 'string' || typeof step.value === 'number';
+    if ((action === 'type' || action === 'select') && !hasValue) {
+      errors.push(`actions[${i}].value must be the ${action === 'type' ? 'text to type' : 'option to select'}`);
+      return;
+    }
+    actions.push({ action, selector, value: hasValue ? String(step.value) : null });
+  });
+  return actions;
+}
+
+// Headers the page asks for, as name -> string; ones the HTTP client sets itself are refused
+const HEADER_NAME = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+const RESERVED_HEADERS = ['host', 'content-length', 'connection', 'transfer-encoding'];
+
+function optionalHeaders(value, errors) {
+  if (value === null || value === undefined || value === '') return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('headers must be an object of header name to value');
+    return {};
+  }
+  const headers = {};
+  for (const [name, headerValue] of Object.entries(value)) {
+    if (!HEADER_NAME.test(name)) errors.push(`headers["${name}"] is not a valid header name`);
+    else if (RESERVED_HEADERS.includes(name.toLowerCase())) errors.push(`headers["${name}"] cannot be set`);
+    else if (typeof headerValue !== 'string' && typeof headerValue !== 'number') errors.push(`headers["${name}"] must be a string`);
+    else headers[name] = String(headerValue);
+  }
+  return headers;
+}
+
+function optionalBoolean(value, name, errors) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  errors.push(`${name} must be true or false`);
+  return false;
+}
+
+function optionalUrl(value, name, errors) {
+  if (value === null || value === undefined || value === '' || value === 'none') return null;
+  if (!isUrlLike(value)) {
+    errors.push(`${name} must be a URL or null`);
+    return null;
+  }
+  return value.trim();
+}
+
+/**
+ * Check a parsed analysis against the schema.
+ * Returns { valid, errors, value } where value is normalized (lowercased enums, defaults filled in).
+ */
+export function validateAnalysis(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['answer must be a JSON object'], value: null };
+  }
+
+  const lower = (v) => typeof v === 'string' ? v.trim().toLowerCase() : v;
+
+  const taskType = lower(data.taskType);
+  if (!TASK_TYPES.includes(taskType)) errors.push(`taskType must be one of ${TASK_TYPES.join(', ')}`);
+
+  if (typeof data.description !== 'string') errors.push('description must be a string');
+
+  const files = [];
+  if (!Array.isArray(data.files)) {
+    errors.push('files must be an array');
+  } else {
+    data.files.forEach((file, i) => {
+      if (!file || !isUrlLike(file.url)) {
+        errors.push(`files[${i}].url must be a URL`);
+        return;
+      }
+      const role = lower(file.role);
+      const format = lower(file.format);
+      if (!FILE_ROLES.includes(role)) errors.push(`files[${i}].role must be one of ${FILE_ROLES.join(', ')}`);
+      if (!FILE_FORMATS.includes(format)) errors.push(`files[${i}].format must be one of ${FILE_FORMATS.join(', ')}`);
+      files.push({ url: file.url.trim(), role, format });
+    });
+  }
+
+  const operations = [];
+  if (!Array.isArray(data.operations)) {
+    errors.push('operations must be an array');
+  } else {
+    data.operations.map(lower).forEach((op, i) => {
+      if (OPERATIONS.includes(op)) operations.push(op);
+      else errors.push(`operations[${i}] must be one of ${OPERATIONS.join(', ')}`);
+    });
+  }
+
+  const conditions = [];
+  if (!Array.isArray(data.conditions)) {
+    errors.push('conditions must be an array');
+  } else {
+    data.conditions.forEach((cond, i) => {
+      if (!cond || !OPERATORS.includes(cond.operator)) {
+        errors.push(`conditions[${i}].operator must be one of ${OPERATORS.join(' ')}`);
+        return;
+      }
+      const numeric = typeof cond.value === 'string' && cond.value.trim() !== '' && !isNaN(Number(cond.value))
+        ? Number(cond.value)
+        : cond.value;
+      if (typeof numeric !== 'number' && typeof numeric !== 'string') {
+        errors.push(`conditions[${i}].value must be a number or string`);
+        return;
+      }
+      conditions.push({ field: typeof cond.field === 'string' && cond.field ? cond.field : null, operator: cond.operator, value: numeric });
+    });
+  }
+
+  const answerType = lower(data.answerType);
+  if (!ANSWER_TYPES.includes(answerType)) errors.push(`answerType must be one of ${ANSWER_TYPES.join(', ')}`);
+
+  const value = {
+    taskType: TASK_TYPES.includes(taskType) ? taskType : 'other',
+    description: typeof data.description === 'string' ? data.description : '',
+    files,
+    scrapeUrl: optionalUrl(data.scrapeUrl, 'scrapeUrl', errors),
+    crawl: optionalCrawl(data.crawl, errors),
+    visual: optionalBoolean(data.visual, 'visual', errors),
+    actions: normalizeActions(data.actions, errors),
+    headers: optionalHeaders(data.headers, errors),
+    operations,
+    conditions,
+    notes: typeof data.notes === 'string' ? data.notes : '',
+    submitUrl: optionalUrl(data.submitUrl, 'submitUrl', errors),
+    answerType: ANSWER_TYPES.includes(answerType) ? answerType : null
+  };
+
+  return { valid: errors.length === 0, errors, value };
+}
+
+function formatFromUrl(url) {
+  const lower = url.toLowerCase();
+  if (lower.includes('.csv')) return 'csv';
+  if (lower.includes('.pdf')) return 'pdf';
+  if (/\.(mp3|wav|opus|ogg|m4a|flac)/.test(lower)) return 'audio';
+  if (lower.includes('.json')) return 'json';
+  if (/\.(png|jpe?g|gif|webp)/.test(lower)) return 'image';
+  if (lower.includes('.txt')) return 'text';
+  return 'other';
+}
+
+// The pre-JSON "TASK_TYPE: ... SUBMIT: ..." format, mapped onto the schema
+function parseAnalysisLines(response) {
+  const field = (name) => response.match(new RegExp(`${name}:\\s*(.+)`, 'i'))?.[1]?.trim() || '';
+  const filesStr = field('FILES');
+  const conditionText = field('CONDITIONS');
+  const cutoff = conditionText.match(/\d+/);
+  const taskType = field('TASK_TYPE').toLowerCase();
+  const operation = field('OPERATION').toLowerCase();
+
+  return {
+    taskType: TASK_TYPES.includes(taskType) ? taskType : 'other',
+    description: field('DESCRIPTION'),
+    files: filesStr && filesStr !== 'none'
+      ? filesStr.split(',').map(f => f.trim()).filter(f => f.startsWith('http')).map(url => ({ url, role: 'data', format: formatFromUrl(url) }))
+      : [],
+    scrapeUrl: optionalUrl(field('SCRAPE_URL'), 'scrapeUrl', []),
+    crawl: null,
+    visual: false,
+    actions: [],
+    headers: {},
+    operations: OPERATIONS.filter(op => operation.includes(op)),
+    conditions: cutoff ? [{ field: null, operator: '>=', value: parseInt(cutoff[0], 10) }] : [],
+    notes: conditionText,
+    submitUrl: optionalUrl(field('SUBMIT'), 'submitUrl', []),
+    answerType: null
+  };
+}
+
+/**
+ * Human-readable one-liner for conditions, used in prompts and logs
+ */
+export function describeConditions(analysis) {
+  const parts = analysis.conditions.map(c => `${c.field ? `${c.field} ` : ''}${c.operator} ${c.value}`);
+  if (analysis.notes) parts.push(analysis.notes);
+  return parts.join('; ');
+}
+
+/**
+ * Ask the model for the page analysis and return it validated.
+ * options.io supplies callLLM (live or replayed); options.log is the attempt logger;
+ * options.retryNotes (from describeAttempts) tells the model what was already rejected;
+ * options.controls (page-actions.js collectControls) are the selectors it may use in actions;
+ * options.responses (network-capture.js) are the XHR/fetch responses the page made.
+ */
+export async function analyzeTask(url, bodyText, options = {}) {
+  const { io, systemPrompt, signal, retryNotes = '', controls = [], responses = [], log = logger, repairAttempts = REPAIR_ATTEMPTS } = options;
+
+  const firstResponse = await io.callLLM(systemPrompt, buildAnalysisPrompt(url, bodyText, retryNotes, { controls, responses }), log);
+  log.info('📋 Analysis:', firstResponse.slice(0, 400));
+
+  let response = firstResponse;
+  let result = validateAnalysis(extractJSON(response));
+
+  for (let repair = 1; !result.valid && repair <= repairAttempts; repair++) {
+    log.warn(`  ⚠️  Analysis invalid (${result.errors.length} problem(s)), asking for a repair ${repair}/${repairAttempts}`);
+    result.errors.slice(0, 5).forEach(e => log.warn(`     - ${e}`));
+    try {
+      response = await io.callLLM(systemPrompt, buildRepairPrompt(response, result.errors), log);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      log.warn('  ⚠️  Repair request failed:', err.message);
+      break;
+    }
+    result = validateAnalysis(extractJSON(response));
+  }
+
+  if (result.valid) return { ...result.value, repaired: response !== firstResponse };
+
+  // Out of repairs: a JSON object with a few bad fields is still better than nothing
+  if (result.value) {
+    log.warn('  ⚠️  Using analysis with invalid fields dropped:', result.errors.slice(0, 3).join('; '));
+    return { ...result.value, repaired: response !== firstResponse };
+  }
+
+  if (/TASK_TYPE:/i.test(firstResponse)) {
+    log.warn('  ⚠️  Falling back to line-format analysis');
+    return { ...parseAnalysisLines(firstResponse), repaired: false };
+  }
+
+  throw new Error(`Task analysis invalid: ${result.errors.slice(0, 3).join('; ')}`);
+}
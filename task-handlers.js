@@ -0,0 +1,604 @@
+// task-handlers.js - Pluggable strategies for computing a quiz page's answer
+// A handler is { name, canHandle(context) -> score 0..1, solve(context) -> { answer } | null }.
+// solveSinglePage gathers the context (page text, analysis, files, CSV results, audio
+// instructions) and dispatchTask() tries handlers from the highest score down until one
+// returns an answer. Extra handlers can be registered with registerHandler() or loaded at
+// startup from TASK_HANDLER_MODULES (comma-separated module paths).
+//
+// Context fields: url, bodyText, links, attempt, analysis (structured, see task-analysis.js),
+// taskType, description, operation, conditions, submitUrl (flat copies of the analysis),
+// scrapedText, crawl (crawler.js result for the scrape pages, or null), interaction (page
+// actions that ran on the quiz page with their steps, reads and the page after them, or null),
+// screenshots ([{ label, mimeType, data }] of visual pages, see screenshots.js), ocr (text
+// read from images and scanned PDF pages, with line and word positions, see ocr.js), discoveredFiles,
+// files (url -> text, OCR text included), processedData (url -> CSV result), audioTranscript, audioInstructions,
+// answerType (expected type, or null), previousAttempts,
+// retryNotes (prompt block about rejected attempts), excludeHandlers, systemPrompt, io, log, signal, job,
+// budget (time-budget.js: candidate answers, and isTight() to skip optional work)
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { extractPatterns, sumNumbersWithCondition } from './data-processor.js';
+import { parseAudioInstructions } from './audio-transcriber.js';
+import { runSandboxed } from './code-sandbox.js';
+import { emitJobEvent } from './jobs.js';
+import { serializeAnswer } from './answer-format.js';
+import { renderChartDataUri, CHART_TYPES } from './charts.js';
+import { extractJSON } from './task-analysis.js';
+import { logger } from './logger.js';
+
+const handlers = [];
+
+/**
+ * Add a handler. A handler registered under an existing name replaces it.
+ */
+export function registerHandler(handler) {
+  if (!handler || typeof handler.name !== 'string' || typeof handler.canHandle !== 'function' || typeof handler.solve !== 'function') {
+    throw new Error('A task handler needs a name, canHandle(context) and solve(context)');
+  }
+  const idx = handlers.findIndex(h => h.name === handler.name);
+  if (idx !== -1) handlers.splice(idx, 1, handler);
+  else handlers.push(handler);
+  return handler;
+}
+
+export function unregisterHandler(name) {
+  const idx = handlers.findIndex(h => h.name === name);
+  if (idx !== -1) handlers.splice(idx, 1);
+}
+
+export function listHandlers() {
+  return handlers.map(h => h.name);
+}
+
+/**
+ * Handlers that want this context, best score first
+ */
+export function rankHandlers(context) {
+  const log = context.log || logger;
+  const ranked = [];
+  const excluded = context.excludeHandlers || [];
+  for (const handler of handlers) {
+    if (excluded.includes(handler.name)) continue;
+    let score = 0;
+    try {
+      score = Number(handler.canHandle(context)) || 0;
+    } catch (err) {
+      log.warn(`  ⚠️  Handler ${handler.name} canHandle failed:`, err.message);
+    }
+    if (score > 0) ranked.push({ handler, score });
+  }
+  // Stable sort keeps registration order for equal scores
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Run the best handler for the context, falling through to the next one when a
+ * handler returns nothing, throws, or answers with something that cannot be
+ * serialized as context.answerType. Returns { answer, handler, score, ...extra }.
+ */
+export async function dispatchTask(context) {
+  const log = context.log || logger;
+  const ranked = rankHandlers(context);
+  log.info('\n🧩 Handlers:', ranked.map(r => `${r.handler.name}(${r.score})`).join(', ') || 'none');
+
+  for (const { handler, score } of ranked) {
+    context.signal?.throwIfAborted();
+    if (context.budget?.expired()) throw new Error('Out of time before a task handler produced an answer');
+    try {
+      const result = await handler.solve(context);
+      if (result && result.answer !== undefined && result.answer !== null && result.answer !== '') {
+        const typed = serializeAnswer(result.answer, context.answerType);
+        if (typed.ok) {
+          log.info(`  ✓ ${handler.name} produced the answer`);
+          context.budget?.offer(typed.value, { source: handler.name, answerType: context.answerType, submitUrl: context.submitUrl });
+          return { ...result, answer: typed.value, handler: handler.name, score };
+        }
+        log.warn(`  ⚠️  ${handler.name} answer rejected (${context.answerType}): ${typed.error}`);
+      } else {
+        log.info(`  ↪ ${handler.name} had no answer, trying next`);
+      }
+    } catch (err) {
+      if (context.signal?.aborted) throw err;
+      log.warn(`  ⚠️  Handler ${handler.name} failed:`, err.message);
+    }
+  }
+
+  throw new Error('No task handler produced an answer');
+}
+
+/**
+ * Import handler modules named in TASK_HANDLER_MODULES. A module may call
+ * registerHandler() itself or export a handler (or array of handlers) as default.
+ */
+export async function loadHandlerModules(list = process.env.TASK_HANDLER_MODULES) {
+  const paths = (list || '').split(',').map(p => p.trim()).filter(Boolean);
+  for (const modulePath of paths) {
+    try {
+      const mod = await import(pathToFileURL(path.resolve(modulePath)).href);
+      const exported = mod.default ? [].concat(mod.default) : [];
+      exported.forEach(registerHandler);
+      logger.info(`🧩 Loaded task handlers from ${modulePath}`);
+    } catch (err) {
+      logger.error(`❌ Could not load task handlers from ${modulePath}:`, err.message);
+    }
+  }
+  return listHandlers();
+}
+
+// ---------------------------------------------------------------------------
+// Built-in handlers
+// ---------------------------------------------------------------------------
+
+const OPERATIONS = ['sum', 'count', 'average', 'max', 'min'];
+
+function csvResults(context) {
+  return Object.values(context.processedData || {}).filter(d => d?.summary?.sum !== undefined);
+}
+
+function filesMatching(context, pattern) {
+  return Object.entries(context.files || {}).filter(([url]) => pattern.test(url));
+}
+
+function normalizeOperation(text) {
+  const op = (text || '').toLowerCase();
+  if (/average|mean/.test(op)) return 'average';
+  if (/count|number of/.test(op)) return 'count';
+  if (/max|highest|largest/.test(op)) return 'max';
+  if (/min|lowest|smallest/.test(op)) return 'min';
+  if (/sum|total|add/.test(op)) return 'sum';
+  return null;
+}
+
+// Aggregate named by the structured analysis, else guessed from the operation text
+function operationOf(context) {
+  return context.analysis?.operations?.find(op => OPERATIONS.includes(op)) || normalizeOperation(context.operation);
+}
+
+// First numeric condition from the analysis as "< 30064", for sumNumbersWithCondition
+function conditionOf(context) {
+  const cond = context.analysis?.conditions?.find(c => typeof c.value === 'number');
+  return cond ? `${cond.operator} ${cond.value}` : null;
+}
+
+function aggregate(summary, operation) {
+  switch (operation) {
+    case 'count': return summary.filteredNumbers;
+    case 'average': return summary.mean;
+    case 'max': return summary.max;
+    case 'min': return summary.min;
+    default: return summary.sum;
+  }
+}
+
+function aggregateNumbers(numbers, operation) {
+  if (numbers.length === 0) return null;
+  const sum = numbers.reduce((a, b) => a + b, 0);
+  return aggregate({
+    sum,
+    filteredNumbers: numbers.length,
+    mean: sum / numbers.length,
+    max: Math.max(...numbers),
+    min: Math.min(...numbers)
+  }, operation);
+}
+
+// Turn a natural-language filter ("numbers below 30064") into "< 30064" for sumNumbersWithCondition
+function filterFromText(text, log) {
+  const { filter } = parseAudioInstructions(text, { log }) || {};
+  return filter ? `${filter.operator} ${filter.value}` : null;
+}
+
+const CODE_EXECUTION_ENABLED = process.env.CODE_EXECUTION !== 'off';
+const CODE_FIX_ATTEMPTS = Math.max(0, parseInt(process.env.CODE_FIX_ATTEMPTS || '2', 10));
+const CODE_SYSTEM_PROMPT = 'You write small, correct JavaScript functions for data tasks. Reply with code only.';
+
+function fileKey(url) {
+  return url.split('/').pop().split('?')[0] || url;
+}
+
+// Everything already parsed for this page, in plain JSON for the sandbox
+function buildCodeData(context) {
+  const data = {
+    page: context.bodyText || '',
+    scraped: context.scrapedText || '',
+    pages: (context.crawl?.pages || []).map(p => ({ url: p.url, text: p.text })),
+    ocr: (context.ocr || []).map(({ url, text, lines }) => ({ url, text, lines })),
+    audio: context.audioTranscript || '',
+    csv: {},
+    json: {},
+    text: {}
+  };
+  for (const [url, content] of Object.entries(context.files || {})) {
+    const key = fileKey(url);
+    if (/\.csv/i.test(url)) {
+      data.csv[key] = context.processedData?.[url]?.rows || [];
+    } else if (/\.json|\/api\//i.test(url)) {
+      try { data.json[key] = JSON.parse(content); } catch { data.text[key] = content; }
+    } else if (!/\.(opus|mp3|wav|ogg|m4a|flac)/i.test(url)) {
+      data.text[key] = content;
+    }
+  }
+  return data;
+}
+
+function describeCodeData(data) {
+  const lines = [
+    `data.page: string (${data.page.length} chars, the quiz page text)`,
+    `data.scraped: string (${data.scraped.length} chars)`,
+    `data.pages: array of ${data.pages.length} crawled pages { url, text }`,
+    `data.ocr: array of ${data.ocr.length} OCR results { url, text, lines: [{ text, bbox: { x0, y0, x1, y1 }, words: [{ text, bbox }] }] }`,
+    `data.audio: string (audio transcript, ${data.audio.length} chars)`
+  ];
+  for (const [key, rows] of Object.entries(data.csv)) {
+    lines.push(`data.csv[${JSON.stringify(key)}]: array of ${rows.length} row objects, columns ${JSON.stringify(Object.keys(rows[0] || {}))}, first rows ${JSON.stringify(rows.slice(0, 3))}`);
+  }
+  for (const [key, value] of Object.entries(data.json)) {
+    lines.push(`data.json[${JSON.stringify(key)}]: ${JSON.stringify(value).slice(0, 500)}`);
+  }
+  for (const [key, text] of Object.entries(data.text)) {
+    lines.push(`data.text[${JSON.stringify(key)}]: string (${text.length} chars) starting ${JSON.stringify(text.slice(0, 300))}`);
+  }
+  return lines.join('\n');
+}
+
+function buildCodePrompt(context, data) {
+  return `Write a JavaScript function that computes the answer to this task.
+
+TASK: ${context.description}
+OPERATION: ${context.operation}
+CONDITIONS: ${context.conditions}
+EXPECTED ANSWER TYPE: ${context.analysis?.answerType || 'unknown'}
+
+The function receives \`data\` with this shape:
+${describeCodeData(data)}
+
+Rules:
+- Define \`function solve(data) { ... }\` that returns the final answer (number, string, boolean or plain object)
+- Synchronous plain JavaScript only: no require/import, fetch, timers, eval or I/O
+- CSV values may be strings; convert with Number() before doing arithmetic
+- Reply with ONLY the code${context.retryNotes ? `\n\n${context.retryNotes}` : ''}`;
+}
+
+function extractCode(reply) {
+  const fenced = reply.match(/```(?:javascript|js)?\s*([\s\S]*?)```/i);
+  return (fenced ? fenced[1] : reply).trim();
+}
+
+// Tables available for charting: parsed CSV rows and JSON arrays of objects
+function chartDatasets(context) {
+  const data = buildCodeData(context);
+  const datasets = {};
+  for (const [name, rows] of Object.entries(data.csv)) {
+    if (rows.length > 0) datasets[name] = rows;
+  }
+  for (const [name, value] of Object.entries(data.json)) {
+    const rows = Array.isArray(value) ? value : Object.values(value || {}).find(Array.isArray);
+    if (rows?.length > 0 && rows.every(r => r && typeof r === 'object')) datasets[name] = rows;
+  }
+  return datasets;
+}
+
+const MAX_CHART_CATEGORIES = 50;
+
+// Turn the model's column choice into labels/values (or points), falling back to
+// the first column against the first numeric column
+function buildChartSpec(choice, datasets) {
+  const name = datasets[choice.dataset] ? choice.dataset : Object.keys(datasets)[0];
+  const rows = datasets[name];
+  if (!rows?.length) return null;
+
+  const columns = Object.keys(rows[0]);
+  const isNumeric = (col) => rows.every(r => r[col] === '' || r[col] === undefined || Number.isFinite(Number(r[col])));
+  const x = columns.includes(choice.x) ? choice.x : columns[0];
+  const y = columns.includes(choice.y) ? choice.y : (choice.y === null ? null : columns.find(c => c !== x && isNumeric(c)) ?? null);
+  const type = CHART_TYPES.includes(choice.type) ? choice.type : 'bar';
+  const title = typeof choice.title === 'string' ? choice.title : '';
+
+  if (type === 'scatter') {
+    if (!y) return null;
+    return { type, title, xLabel: x, yLabel: y, points: rows.map(r => ({ x: Number(r[x]), y: Number(r[y]) })) };
+  }
+
+  const aggregate = y ? (choice.aggregate || 'sum') : 'count';
+  const groups = new Map();
+  for (const row of rows) {
+    const key = String(row[x]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(y ? Number(row[y]) : 1);
+  }
+  let entries = [...groups.entries()].map(([label, nums]) => {
+    const sum = nums.reduce((a, b) => a + b, 0);
+    const value = {
+      count: nums.length,
+      mean: sum / nums.length,
+      max: Math.max(...nums),
+      min: Math.min(...nums),
+      none: nums[nums.length - 1]
+    }[aggregate] ?? sum;
+    return { label, value };
+  });
+  if (entries.length > MAX_CHART_CATEGORIES) {
+    entries = entries.sort((a, b) => b.value - a.value).slice(0, MAX_CHART_CATEGORIES);
+  }
+
+  return { type, title, xLabel: x, yLabel: y ? `${aggregate} of ${y}` : 'count', labels: entries.map(e => e.label), values: entries.map(e => e.value) };
+}
+
+// Clean an LLM reply down to the answer text; dispatchTask types it afterwards
+export function cleanLLMAnswer(response) {
+  const text = response.trim();
+  // JSON replies are kept whole so objects and arrays survive
+  if (/^```|^[{[]/.test(text)) return text;
+
+  const lines = text.split('\n').filter(l => l.trim());
+  let answer = lines[lines.length - 1]?.trim() || text;
+  answer = answer.replace(/^(Answer:|Final Answer:|Result:)\s*/i, '').trim();
+  return answer.replace(/^[`'"]+|[`'"]+$/g, '').trim();
+}
+
+// "Secret code is X" on a scraped page
+registerHandler({
+  name: 'secret-code',
+  canHandle(context) {
+    if (!context.scrapedText) return 0;
+    const ask = `${context.description} ${context.operation}`;
+    return /secret|code|extract/i.test(ask) ? 0.85 : 0.3;
+  },
+  solve(context) {
+    const [match] = extractPatterns(context.scrapedText).secretCodes;
+    if (!match) return null;
+    const answer = match.replace(/^(?:secret|code|answer|key)\s*(?:is|:|=)\s*/i, '');
+    return /^\d+$/.test(answer) ? { answer: parseInt(answer, 10) } : { answer };
+  }
+});
+
+// Audio tells us what to do with the CSV
+registerHandler({
+  name: 'audio-csv',
+  canHandle(context) {
+    const instructions = context.audioInstructions;
+    if (!instructions || csvResults(context).length === 0) return 0;
+    return instructions.filter || instructions.operation ? 0.9 : 0;
+  },
+  solve(context) {
+    const [csv] = csvResults(context);
+    const operation = context.audioInstructions.operation || operationOf(context) || 'sum';
+    return { answer: aggregate(csv.summary, operation), operation };
+  }
+});
+
+// Aggregate over a CSV already filtered by the page's cutoff
+registerHandler({
+  name: 'csv-aggregate',
+  canHandle(context) {
+    if (csvResults(context).length === 0) return 0;
+    if (conditionOf(context) || /cutoff/i.test(context.conditions)) return 0.8;
+    return operationOf(context) ? 0.5 : 0;
+  },
+  solve(context) {
+    const [csv] = csvResults(context);
+    const operation = operationOf(context) || 'sum';
+    return { answer: aggregate(csv.summary, operation), operation };
+  }
+});
+
+// Numbers inside a PDF or an OCR'd image, filtered by the page's conditions
+const DOCUMENT_FILES = /\.(pdf|png|jpe?g|webp|bmp)/i;
+
+registerHandler({
+  name: 'pdf-numbers',
+  canHandle(context) {
+    if (filesMatching(context, DOCUMENT_FILES).length === 0) return 0;
+    return operationOf(context) ? 0.6 : 0;
+  },
+  solve(context) {
+    const log = context.log || logger;
+    const numbers = filesMatching(context, DOCUMENT_FILES).flatMap(([, text]) => extractPatterns(text).numbers);
+    if (numbers.length === 0) return null;
+
+    const operation = operationOf(context);
+    const condition = conditionOf(context) || filterFromText(`${context.conditions} ${context.description}`, log);
+    if (operation === 'sum') {
+      return { answer: sumNumbersWithCondition(numbers, condition, { log }), operation, condition };
+    }
+    return { answer: aggregateNumbers(numbers, operation), operation };
+  }
+});
+
+// JSON from an API endpoint: aggregate its numbers, or pick an "answer" field
+registerHandler({
+  name: 'api-json',
+  canHandle(context) {
+    return filesMatching(context, /\.json|\/api\//i).length > 0 ? 0.4 : 0;
+  },
+  solve(context) {
+    const operation = operationOf(context);
+    for (const [, text] of filesMatching(context, /\.json|\/api\//i)) {
+      let data;
+      try { data = JSON.parse(text); } catch { continue; }
+
+      if (data && typeof data === 'object' && !Array.isArray(data) && data.answer !== undefined) {
+        return { answer: data.answer };
+      }
+      if (!operation) continue;
+
+      const items = Array.isArray(data) ? data : Object.values(data || {}).find(Array.isArray) || [];
+      const numbers = items.flatMap(item => {
+        if (typeof item === 'number') return [item];
+        if (item && typeof item === 'object') {
+          const value = Object.values(item).find(v => typeof v === 'number');
+          return value === undefined ? [] : [value];
+        }
+        return [];
+      });
+      const answer = aggregateNumbers(numbers, operation);
+      if (answer !== null) return { answer, operation };
+    }
+    return null;
+  }
+});
+
+// Visualization: the model picks chart type and columns, the chart is rendered locally
+registerHandler({
+  name: 'chart',
+  canHandle(context) {
+    const wantsChart = context.taskType === 'visualization' || context.analysis?.operations?.includes('visualize');
+    if (!wantsChart) return 0;
+    return Object.keys(chartDatasets(context)).length > 0 ? 0.95 : 0;
+  },
+  async solve(context) {
+    const { io, job } = context;
+    const log = context.log || logger;
+    const datasets = chartDatasets(context);
+
+    const described = Object.entries(datasets).map(([name, rows]) =>
+      `- ${JSON.stringify(name)}: ${rows.length} rows, columns ${JSON.stringify(Object.keys(rows[0] || {}))}, first rows ${JSON.stringify(rows.slice(0, 3))}`
+    ).join('\n');
+    const reply = await io.callLLM(CODE_SYSTEM_PROMPT, `Choose a chart for this task.
+
+TASK: ${context.description}
+CONDITIONS: ${context.conditions}
+
+DATASETS:
+${described}
+
+Reply with ONLY JSON: { "type": "${CHART_TYPES.join('|')}", "dataset": "<name>", "x": "<column>", "y": "<numeric column, or null to count rows>", "aggregate": "sum|mean|count|max|min|none", "title": "<short title>" }`, log);
+
+    const spec = buildChartSpec(extractJSON(reply) || {}, datasets);
+    if (!spec) return null;
+
+    const format = /\bsvg\b/i.test(context.bodyText || '') ? 'svg' : 'png';
+    const chart = renderChartDataUri(spec, { format });
+    log.info(`  📈 ${spec.type} chart, ${chart.width}x${chart.height} ${chart.mime}, ${chart.bytes} bytes`);
+    emitJobEvent(job, 'chart_rendered', { type: spec.type, title: spec.title, mime: chart.mime, bytes: chart.bytes });
+    return { answer: chart.dataUri, chart: { type: spec.type, title: spec.title, mime: chart.mime } };
+  }
+});
+
+// Data drawn on a canvas, in images or in the layout: a vision model reads the screenshots
+registerHandler({
+  name: 'vision',
+  canHandle(context) {
+    if (!context.screenshots?.length) return 0;
+    return context.analysis?.visual ? 0.7 : 0.2;
+  },
+  async solve(context) {
+    const { io, screenshots, description, operation, conditions } = context;
+    const log = context.log || logger;
+
+    const prompt = `The images are screenshots of a quiz page: ${screenshots.map((s, i) => `${i + 1}. ${s.label}`).join(', ')}.
+
+TASK: ${description}
+OPERATION: ${operation}
+CONDITIONS: ${conditions}
+
+PAGE TEXT:
+${(context.bodyText || '').slice(0, 1500)}
+
+Read the values the task needs from the images carefully (chart bars and labels, numbers drawn on a canvas, table cells), then compute the answer.
+Return ONLY the final answer value (number, short text, true/false, or JSON for objects) - no explanations, no markdown.
+${context.retryNotes ? `\n${context.retryNotes}\n` : ''}`;
+
+    log.info(`\n👁️  Asking a vision model about ${screenshots.length} screenshot(s)...`);
+    const response = await io.callLLM(context.systemPrompt, prompt, log, { images: screenshots });
+    log.info('💡 Vision answer:', response.slice(0, 200));
+    return { answer: cleanLLMAnswer(response) };
+  }
+});
+
+// Let the model write solve(data) and run it in the sandbox; errors go back for a fix
+registerHandler({
+  name: 'code',
+  canHandle(context) {
+    if (!CODE_EXECUTION_ENABLED) return 0;
+    const data = buildCodeData(context);
+    const hasData = Object.keys(data.csv).length + Object.keys(data.json).length + Object.keys(data.text).length > 0;
+    if (!hasData) return 0;
+    // Plain aggregates are better served by the deterministic handlers above
+    const ops = context.analysis?.operations || [];
+    const beyondAggregate = ops.some(op => ['sort', 'join', 'other'].includes(op)) || !operationOf(context);
+    return beyondAggregate ? 0.75 : 0.35;
+  },
+  async solve(context) {
+    const { io, job, signal } = context;
+    const log = context.log || logger;
+    const data = buildCodeData(context);
+
+    // Fix rounds are optional; with little time left the first program has to do
+    const fixAttempts = context.budget?.isTight() ? 0 : CODE_FIX_ATTEMPTS;
+    let prompt = buildCodePrompt(context, data);
+    for (let attempt = 1; attempt <= 1 + fixAttempts; attempt++) {
+      log.info(`\n🧪 Code execution ${attempt}/${1 + fixAttempts}...`);
+      const code = extractCode(await io.callLLM(CODE_SYSTEM_PROMPT, prompt, log));
+      const run = await runSandboxed(code, data, { signal });
+      const error = run.ok && (run.result === null || run.result === '') ? 'solve returned nothing' : run.error;
+
+      emitJobEvent(job, 'code_executed', { attempt, ok: !error, error: error || null, result: error ? null : run.result });
+      if (!error) {
+        log.info('  ✓ Code result:', JSON.stringify(run.result).slice(0, 200));
+        return { answer: run.result, code };
+      }
+
+      log.warn('  ⚠️  Code failed:', error);
+      prompt = `This function failed with: ${error}
+
+${code}
+
+The task and data are unchanged:
+${buildCodePrompt(context, data)}
+
+Reply with ONLY the corrected code.`;
+    }
+    return null;
+  }
+});
+
+// Fallback: give the LLM everything we gathered and take its answer
+registerHandler({
+  name: 'llm',
+  canHandle() {
+    return 0.1;
+  },
+  async solve(context) {
+    const { taskType, description, operation, conditions, scrapedText, files = {}, processedData = {}, io } = context;
+    const log = context.log || logger;
+
+    const dataContext = Object.entries(files).map(([url, content]) => {
+      const fileName = url.split('/').pop();
+      if (fileName.endsWith('.csv')) {
+        const data = processedData[url];
+        return `CSV File: ${fileName}
+Rows: ${data?.rowCount || 'unknown'}
+Filtered Numbers (sample): ${data?.summary?.firstFew?.join(', ') || 'none'}
+Sum of filtered numbers: ${data?.summary?.sum || 0}`;
+      }
+      return `File: ${fileName}\nContent: ${content.slice(0, 800)}`;
+    }).join('\n\n---\n\n');
+
+    const solvePrompt = `Solve this ${taskType} task:
+
+TASK: ${description}
+OPERATION: ${operation}
+CONDITIONS: ${conditions}
+EXPECTED ANSWER TYPE: ${context.answerType || 'unknown'}
+
+${scrapedText ? `SCRAPED PAGE CONTENT:\n${scrapedText.slice(0, 1000)}\n\n` : ''}
+
+${dataContext ? `DATA AVAILABLE:\n${dataContext}\n\n` : ''}
+
+CRITICAL INSTRUCTIONS:
+1. If you see "Secret code is X" → answer is X
+2. If task says "sum numbers below/less than Y" → sum only numbers < Y (not >=)
+3. For CSV with cutoff, the sum is already computed above - use that value
+4. Return ONLY the final answer value (number, short text, true/false, or JSON for objects)
+5. NO explanations, NO markdown, just the answer
+${context.retryNotes ? `\n${context.retryNotes}\n` : ''}
+What is the answer?`;
+
+    log.info('\n🧠 Step 2: Computing answer with LLM...');
+    const answerResponse = await io.callLLM(context.systemPrompt, solvePrompt, log);
+    log.info('💡 LLM Answer:', answerResponse.slice(0, 200));
+
+    return { answer: cleanLLMAnswer(answerResponse) };
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectAnswerType, serializeAnswer, inferAnswerValue, checkSubmitPayload } from '../answer-format.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+test('the answer type comes from the page template, then its wording, then the analysis', () => {
+  assert.equal(detectAnswerType('Post {"email": "...", "answer": 12345}'), 'number');
+  assert.equal(detectAnswerType('Post { "answer": "some text" }'), 'string');
+  assert.equal(detectAnswerType('Post { "answer": true }'), 'boolean');
+  assert.equal(detectAnswerType('Post { "answer": {"a": 1} }'), 'object');
+  assert.equal(detectAnswerType('Post { "answer": "data:image/png;base64,..." }'), 'file');
+  assert.equal(detectAnswerType('Send the chart as a PNG image, base64 encoded'), 'file');
+  assert.equal(detectAnswerType('The answer should be an integer'), 'number');
+  assert.equal(detectAnswerType('Post { "answer": ... }', { answerType: 'boolean' }), 'boolean');
+  assert.equal(detectAnswerType('Nothing to go on'), null);
+});
+
+test('raw answers are converted to the expected type', () => {
+  assert.deepEqual(serializeAnswer('$1,234.5', 'number'), { ok: true, value: 1234.5 });
+  assert.deepEqual(serializeAnswer(' yes ', 'boolean'), { ok: true, value: true });
+  assert.deepEqual(serializeAnswer('```json\n[1, 2]\n```', 'object'), { ok: true, value: [1, 2] });
+  assert.deepEqual(serializeAnswer({ a: 1 }, 'string'), { ok: true, value: '{"a":1}' });
+  assert.deepEqual(serializeAnswer(PNG, 'file'), { ok: true, value: `data:image/png;base64,${PNG.toString('base64')}` });
+  assert.deepEqual(serializeAnswer(PNG.toString('base64'), 'file'), { ok: true, value: `data:image/png;base64,${PNG.toString('base64')}` });
+});
+
+test('answers that do not fit the type say why', () => {
+  assert.deepEqual(serializeAnswer('lots', 'number'), { ok: false, error: '"lots" is not a number' });
+  assert.deepEqual(serializeAnswer(Infinity, 'number'), { ok: false, error: 'Infinity is not a finite number' });
+  assert.deepEqual(serializeAnswer('maybe', 'boolean'), { ok: false, error: '"maybe" is not a boolean' });
+  assert.equal(serializeAnswer('not json', 'object').ok, false);
+  assert.equal(serializeAnswer('a picture', 'file').ok, false);
+  assert.deepEqual(serializeAnswer(null, 'string'), { ok: false, error: 'no answer' });
+});
+
+test('without a type, numbers, booleans and JSON are recognized in text', () => {
+  assert.equal(inferAnswerValue(' 42 '), 42);
+  assert.equal(inferAnswerValue('FALSE'), false);
+  assert.deepEqual(inferAnswerValue('{"a": [1]}'), { a: [1] });
+  assert.equal(inferAnswerValue('Paris'), 'Paris');
+  assert.deepEqual(serializeAnswer('7', null), { ok: true, value: 7 });
+});
+
+test('a submit payload needs its fields, the right answer type and under 1MB', () => {
+  const payload = { email: 'student@example.com', secret: 's', url: 'https://quiz.example/q1', answer: 42 };
+  assert.doesNotThrow(() => checkSubmitPayload(payload, 'number'));
+  assert.throws(() => checkSubmitPayload({ ...payload, secret: '' }, 'number'), /secret missing/);
+  assert.throws(() => checkSubmitPayload(payload, 'string'), /answer is not a string/);
+  assert.throws(() => checkSubmitPayload({ ...payload, answer: 'x'.repeat(1024 * 1024) }), /payload is \d+ bytes \(limit 1048576\)/);
+});
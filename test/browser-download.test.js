@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { downloadWithPage } from '../browser-download.js';
+
+// Stand-in for a Playwright page: a session cookie for every URL and a fixed User-Agent
+const page = {
+  context: () => ({ cookies: async () => [{ name: 'session', value: 'abc' }] }),
+  evaluate: async () => 'TestBrowser/1.0'
+};
+
+// Two servers on different ports are two origins; each records the headers it was sent
+const quizSite = { requests: [] };
+const otherSite = { requests: [] };
+
+function listen(site, handler) {
+  site.server = http.createServer((req, res) => {
+    site.requests.push({ url: req.url, headers: req.headers });
+    handler(req, res);
+  });
+  return new Promise(resolve => site.server.listen(0, '127.0.0.1', () => {
+    site.origin = `http://127.0.0.1:${site.server.address().port}`;
+    resolve();
+  }));
+}
+
+before(async () => {
+  await listen(quizSite, (req, res) => {
+    if (req.url === '/away') {
+      res.writeHead(302, { Location: `${otherSite.origin}/file.csv` });
+      res.end();
+    } else if (req.url === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+      res.end();
+    } else if (req.url === '/missing') {
+      res.writeHead(404);
+      res.end('not here');
+    } else if (req.url === '/large') {
+      // Chunked, so only the bytes received tell the size
+      res.write('x'.repeat(600));
+      res.end('x'.repeat(600));
+    } else {
+      res.end('quiz-file');
+    }
+  });
+  await listen(otherSite, (req, res) => {
+    if (req.url === '/back') {
+      res.writeHead(301, { Location: `${quizSite.origin}/file.csv` });
+      res.end();
+    } else {
+      res.end('other-file');
+    }
+  });
+});
+
+after(() => {
+  quizSite.server.close();
+  otherSite.server.close();
+});
+
+test('a redirect to another origin does not carry the quiz headers', async () => {
+  otherSite.requests.length = 0;
+  const body = await downloadWithPage(page, `${quizSite.origin}/away`, {
+    quizUrl: `${quizSite.origin}/quiz`,
+    headers: { 'X-Api-Token': 'secret' }
+  });
+
+  assert.equal(body.toString(), 'other-file');
+  const hop = otherSite.requests.at(-1);
+  assert.equal(hop.headers['x-api-token'], undefined);
+  assert.equal(hop.headers.referer, `${quizSite.origin}/quiz`);
+});
+
+test('a redirect back to the quiz origin gets the headers again', async () => {
+  otherSite.requests.length = 0;
+  quizSite.requests.length = 0;
+  const body = await downloadWithPage(page, `${otherSite.origin}/back`, {
+    quizUrl: `${quizSite.origin}/quiz`,
+    headers: { 'X-Api-Token': 'secret' }
+  });
+
+  assert.equal(body.toString(), 'quiz-file');
+  assert.equal(otherSite.requests[0].headers['x-api-token'], undefined);
+  assert.equal(quizSite.requests[0].headers['x-api-token'], 'secret');
+});
+
+test('a redirect loop stops after a few hops', async () => {
+  await assert.rejects(
+    downloadWithPage(page, `${quizSite.origin}/loop`, { quizUrl: `${quizSite.origin}/quiz` }),
+    /Maximum number of redirects exceeded/
+  );
+});
+
+test('the browser session and the quiz headers go with a same-origin download', async () => {
+  quizSite.requests.length = 0;
+  const body = await downloadWithPage(page, `${quizSite.origin}/file.csv`, {
+    quizUrl: `${quizSite.origin}/quiz`,
+    headers: { 'X-Api-Token': 'secret' }
+  });
+
+  assert.equal(body.toString(), 'quiz-file');
+  const { headers } = quizSite.requests[0];
+  assert.deepEqual([headers.cookie, headers['user-agent'], headers.referer, headers['x-api-token']],
+    ['session=abc', 'TestBrowser/1.0', `${quizSite.origin}/quiz`, 'secret']);
+});
+
+test('a page without cookies or a User-Agent still downloads, without a Referer when there is no quiz URL', async () => {
+  quizSite.requests.length = 0;
+  const bare = {
+    context: () => ({ cookies: async () => { throw new Error('context closed'); } }),
+    evaluate: async () => { throw new Error('page closed'); }
+  };
+  assert.equal((await downloadWithPage(bare, `${quizSite.origin}/file.csv`)).toString(), 'quiz-file');
+  const { headers } = quizSite.requests[0];
+  assert.deepEqual([headers.cookie, headers.referer], [undefined, undefined]);
+  assert.notEqual(headers['user-agent'], 'TestBrowser/1.0');
+});
+
+test('non-2xx responses and bodies over maxBytes throw', async () => {
+  await assert.rejects(downloadWithPage(page, `${quizSite.origin}/missing`), /Request failed with status code 404/);
+  await assert.rejects(downloadWithPage(page, `${quizSite.origin}/large`, { maxBytes: 1000 }), /maxContentLength size of 1000 exceeded/);
+  await assert.rejects(downloadWithPage(page, `${quizSite.origin}/file.csv`, { maxBytes: 4 }), /maxContentLength size of 4 exceeded/);
+  assert.equal((await downloadWithPage(page, `${quizSite.origin}/large`, { maxBytes: 1200 })).length, 1200);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(downloadWithPage(page, `${quizSite.origin}/file.csv`, { signal: controller.signal }), { name: 'AbortError' });
+});
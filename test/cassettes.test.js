@@ -0,0 +1,24 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { replayCassette } from '../solver-llm.js';
+import { findCassettes } from '../cassette.js';
+import { loadHandlerModules } from '../task-handlers.js';
+
+const CASSETTE_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes');
+// Replay output on stdout can garble the test runner's own stream
+const quiet = { debug() {}, info() {}, warn() {}, error() {}, child: () => quiet };
+
+before(async () => {
+  await loadHandlerModules();
+});
+
+// Recorded from mock-quiz-server.js; each replay runs offline on a fake clock
+for (const dir of await findCassettes(CASSETTE_ROOT)) {
+  test(`cassette ${path.relative(CASSETTE_ROOT, dir)} replays as recorded`, async () => {
+    const result = await replayCassette(dir, { log: quiet });
+    assert.deepEqual(result.differences, []);
+    assert.ok(result.replayed.length > 0);
+  });
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { layoutChart, renderPNG, renderSVG, renderChartDataUri } from '../charts.js';
+import { dispatchTask, listHandlers } from '../task-handlers.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+const sales = { type: 'bar', title: 'Sales', labels: ['north', 'south', 'east'], values: [10, 30, 20] };
+
+// Width, height and RGB pixels of an 8-bit RGB PNG with a single IDAT chunk
+function decodePng(buffer) {
+  assert.deepEqual([...buffer.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const width = buffer.readUInt32BE(16);
+  const height = buffer.readUInt32BE(20);
+  assert.deepEqual([buffer[24], buffer[25]], [8, 2]);
+  const idat = buffer.indexOf('IDAT');
+  const raw = zlib.inflateSync(buffer.subarray(idat + 4, idat + 4 + buffer.readUInt32BE(idat - 4)));
+  const pixel = (x, y) => [...raw.subarray(y * (width * 3 + 1) + 1 + x * 3, y * (width * 3 + 1) + 4 + x * 3)];
+  return { width, height, raw, pixel };
+}
+
+function countColor(png, rgb) {
+  let n = 0;
+  for (let y = 0; y < png.height; y++) {
+    for (let x = 0; x < png.width; x++) {
+      if (png.pixel(x, y).every((v, i) => v === rgb[i])) n++;
+    }
+  }
+  return n;
+}
+
+test('a bar chart renders to a PNG of the requested size with its bars drawn', () => {
+  const png = decodePng(renderPNG(layoutChart(sales, 320, 200)));
+  assert.deepEqual([png.width, png.height], [320, 200]);
+  assert.deepEqual(png.pixel(0, 0), [255, 255, 255]);
+  // The first palette color (#4e79a7) fills the bars
+  assert.ok(countColor(png, [0x4e, 0x79, 0xa7]) > 500);
+});
+
+test('SVG output has one shape per bar, wedge or point', () => {
+  const bars = renderSVG(layoutChart(sales, 320, 200));
+  assert.match(bars, /^<svg[^>]* width="320" height="200"/);
+  assert.equal((bars.match(/fill="#4e79a7"/g) || []).length, 3);
+  assert.match(bars, />Sales</);
+
+  const pie = renderSVG(layoutChart({ ...sales, type: 'pie' }, 320, 200));
+  assert.equal((pie.match(/<path d="M /g) || []).length, 3);
+
+  const scatter = renderSVG(layoutChart({ type: 'scatter', points: [{ x: 1, y: 2 }, { x: 3, y: 4 }] }, 320, 200));
+  assert.equal((scatter.match(/<circle /g) || []).length, 2);
+});
+
+test('a chart shrinks until its data URI fits, or says it cannot', () => {
+  const full = renderChartDataUri(sales);
+  assert.deepEqual([full.width, full.height, full.mime], [640, 400, 'image/png']);
+  assert.ok(full.dataUri.startsWith('data:image/png;base64,'));
+
+  const small = renderChartDataUri(sales, { maxBytes: full.bytes - 1 });
+  assert.ok(small.width < 640 && small.bytes < full.bytes);
+
+  const svg = renderChartDataUri(sales, { format: 'svg' });
+  assert.match(Buffer.from(svg.dataUri.split(',')[1], 'base64').toString('utf8'), /^<svg/);
+
+  assert.throws(() => renderChartDataUri(sales, { maxBytes: 100 }), /Chart does not fit in 100 bytes/);
+});
+
+test('the chart handler draws the columns the model picks and answers with a data URI', async () => {
+  const rows = [{ region: 'north', sales: 10 }, { region: 'south', sales: 30 }, { region: 'north', sales: 5 }];
+  const context = {
+    taskType: 'visualization',
+    description: 'Chart total sales per region',
+    conditions: '',
+    bodyText: 'Post the chart as a PNG image, base64 encoded',
+    files: { 'https://quiz.example/api/sales.json': JSON.stringify(rows) },
+    answerType: 'file',
+    excludeHandlers: listHandlers().filter(name => name !== 'chart'),
+    io: { callLLM: async () => '{"type": "bar", "dataset": "sales.json", "x": "region", "y": "sales", "aggregate": "sum", "title": "Sales"}' },
+    log: quiet
+  };
+
+  const result = await dispatchTask(context);
+  assert.equal(result.handler, 'chart');
+  assert.deepEqual(result.chart, { type: 'bar', title: 'Sales', mime: 'image/png' });
+  const png = decodePng(Buffer.from(result.answer.split(',')[1], 'base64'));
+  assert.deepEqual([png.width, png.height], [640, 400]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSandboxed } from '../code-sandbox.js';
+
+test('returns what solve(data) returns', async () => {
+  const result = await runSandboxed('function solve(data) { return data.values.reduce((a, b) => a + b, 0); }', { values: [1, 2, 3] });
+  assert.deepEqual(result, { ok: true, result: 6 });
+});
+
+test('reports errors and a missing solve()', async () => {
+  assert.equal((await runSandboxed('function solve() { throw new Error("boom"); }', null)).error, 'boom');
+  assert.equal((await runSandboxed('const x = 1;', null)).error, 'Define a function named solve(data)');
+});
+
+test('reports results that are not JSON data instead of crashing', async () => {
+  const returns = {
+    function: 'function solve() { return () => 1; }',
+    symbol: 'function solve() { return Symbol("x"); }'
+  };
+  for (const [kind, code] of Object.entries(returns)) {
+    assert.deepEqual(await runSandboxed(code, null), { ok: false, error: `solve must return JSON data, not a ${kind}` });
+  }
+  assert.deepEqual(await runSandboxed('function solve() {}', null), { ok: true, result: null });
+});
+
+test('cannot reach the host environment', async () => {
+  const probes = {
+    process: 'function solve() { return typeof process; }',
+    require: 'function solve() { return typeof require; }',
+    fetch: 'function solve() { return typeof fetch; }',
+    setTimeout: 'function solve() { return typeof setTimeout; }'
+  };
+  for (const [name, code] of Object.entries(probes)) {
+    assert.deepEqual(await runSandboxed(code, null), { ok: true, result: 'undefined' }, name);
+  }
+
+  // The constructor chain leads to the context's own Function, which cannot compile strings
+  const escapes = [
+    'function solve() { return globalThis.constructor.constructor("return process")().pid; }',
+    'function solve(data) { return data.constructor.constructor("return process")().pid; }',
+    'function solve() { return eval("1 + 1"); }'
+  ];
+  for (const code of escapes) {
+    const result = await runSandboxed(code, {});
+    assert.equal(result.ok, false, code);
+    assert.match(result.error, /code generation from strings disallowed/i, code);
+  }
+});
+
+test('stops busy loops at the timeout', async () => {
+  const started = Date.now();
+  const result = await runSandboxed('function solve() { while (true) {} }', null, { timeoutMs: 200 });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /timed out/i);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('stops runaway allocations at the memory cap', async () => {
+  const code = 'function solve() { const hog = []; while (true) hog.push(new Array(100000).fill(Math.random())); }';
+  const result = await runSandboxed(code, null, { memoryMb: 16, timeoutMs: 20000 });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /out of memory/i);
+});
+
+test('rejects once the signal aborts', async () => {
+  const controller = new AbortController();
+  const run = runSandboxed('function solve() { while (true) {} }', null, { timeoutMs: 10000, signal: controller.signal });
+  setTimeout(() => controller.abort(new Error('stop')), 100);
+  await assert.rejects(run, /stop/);
+});
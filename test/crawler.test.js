@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTables, mergeTables, tableToCSV, linkMatcher, crawlSite } from '../crawler.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+const link = (href, text = '') => ({ href, text });
+
+// An io whose loadPage serves the given { url: snapshot } pages, keeping the URLs it loaded
+function siteIO(site) {
+  const loaded = [];
+  return {
+    loaded,
+    loadPage: async (url) => {
+      loaded.push(url);
+      if (!site[url]) throw new Error(`404 ${url}`);
+      return { html: '', bodyText: '', links: [], responses: [], ...site[url] };
+    }
+  };
+}
+
+const salesPage = (rows, links) => ({
+  html: `<table><thead><tr><th>Region</th><th>Amount</th></tr></thead><tbody>${rows.map(([r, a]) => `<tr><td>${r}</td><td>${a}</td></tr>`).join('')}</tbody></table>`,
+  bodyText: rows.map(row => row.join(' ')).join('\n'),
+  links
+});
+
+test('tables are read from HTML, with or without a header row', () => {
+  const tables = extractTables(`<table><tr><th>Name</th><th>Note</th></tr>
+<tr><td>A &amp; B</td><td>x<br>y</td></tr><tr><td>C</td><td>say "hi", then</td></tr></table>
+<table><tr><td>1</td><td>2</td></tr></table><table></table>`);
+  assert.deepEqual(tables, [
+    { headers: ['Name', 'Note'], rows: [['A & B', 'x y'], ['C', 'say "hi", then']] },
+    { headers: [], rows: [['1', '2']] }
+  ]);
+  assert.equal(tableToCSV(tables[0]), 'Name,Note\nA & B,x y\nC,"say ""hi"", then"\n');
+});
+
+test('tables that continue each other are merged in page order', () => {
+  const merged = mergeTables([
+    { url: 'https://quiz.example/t?page=1', headers: ['Region', 'Amount'], rows: [['north', '10']] },
+    { url: 'https://quiz.example/other', headers: [], rows: [['x', 'y', 'z']] },
+    { url: 'https://quiz.example/t?page=2', headers: ['Region', 'Amount'], rows: [['south', '20']] }
+  ]);
+  assert.deepEqual(merged, [
+    { headers: ['Region', 'Amount'], rows: [['north', '10'], ['south', '20']], sources: ['https://quiz.example/t?page=1', 'https://quiz.example/t?page=2'] },
+    { headers: [], rows: [['x', 'y', 'z']], sources: ['https://quiz.example/other'] }
+  ]);
+});
+
+test('a follow regex from the model matches links', () => {
+  const matches = linkMatcher('/\\/products\\/\\d+$/');
+  assert.equal(matches(link('https://quiz.example/products/12')), true);
+  assert.equal(matches(link('https://quiz.example/products/all')), false);
+});
+
+test('regexes that could backtrack badly are matched as text instead', () => {
+  const slow = 'a'.repeat(5000) + '!';
+  for (const pattern of ['/(a+)+$/', '/(a|a)*$/', '/(a)\\1*$/', '/a*a*a*a*a*$/', `/${'a'.repeat(101)}/`]) {
+    const matches = linkMatcher(pattern);
+    const started = Date.now();
+    assert.equal(matches(link(`https://quiz.example/${slow}`, slow)), false, pattern);
+    assert.ok(Date.now() - started < 100, pattern);
+  }
+  assert.equal(linkMatcher('/(a+)+$/')(link('https://quiz.example/x', 'see /(a+)+$/ here')), true);
+});
+
+test('an invalid regex is matched as text', () => {
+  assert.equal(linkMatcher('/[unclosed/')(link('https://quiz.example/[unclosed/x')), true);
+});
+
+test('a crawl follows pagination on the quiz origin and collects tables and file links', async () => {
+  const io = siteIO({
+    'https://quiz.example/sales': salesPage([['north', 10]], [
+      link('/sales?page=2', 'Next'), link('/about', 'About us'), link('https://elsewhere.example/sales?page=2', 'Next'),
+      link('/sales.csv', 'Download'), link('#top', 'Top')
+    ]),
+    'https://quiz.example/sales?page=2': salesPage([['south', 20]], [link('/sales', 'Previous'), link('/sales?page=3', '3')])
+  });
+
+  const result = await crawlSite(io, 'https://quiz.example/sales', { log: quiet });
+  // The missing third page is skipped, the about page is not pagination and other origins are never loaded
+  assert.deepEqual(io.loaded, ['https://quiz.example/sales', 'https://quiz.example/sales?page=2', 'https://quiz.example/sales?page=3']);
+  assert.equal(result.stoppedBy, 'done');
+  assert.deepEqual(result.tables[0].rows, [['north', '10'], ['south', '20']]);
+  assert.deepEqual(result.fileLinks, ['https://quiz.example/sales.csv']);
+  assert.equal(result.text, '--- https://quiz.example/sales ---\nnorth 10\n\n--- https://quiz.example/sales?page=2 ---\nsouth 20');
+});
+
+test('a crawl follows the model pattern within the page and depth limits', async () => {
+  const site = { 'https://quiz.example/': { bodyText: 'home', links: [link('/item/1'), link('/item/2'), link('/item/3')] } };
+  for (const n of [1, 2, 3]) site[`https://quiz.example/item/${n}`] = { bodyText: `item ${n}`, links: [link(`/item/${n}/detail`)] };
+
+  const limited = await crawlSite(siteIO(site), 'https://quiz.example/', { follow: '/item/', maxPages: 3, log: quiet });
+  assert.deepEqual([limited.pages.length, limited.stoppedBy], [3, 'max-pages']);
+
+  const shallow = siteIO(site);
+  await crawlSite(shallow, 'https://quiz.example/', { follow: '/item/', maxDepth: 1, log: quiet });
+  assert.deepEqual(shallow.loaded, ['https://quiz.example/', 'https://quiz.example/item/1', 'https://quiz.example/item/2', 'https://quiz.example/item/3']);
+
+  // The model cannot raise the limits, and only the start page failing is an error
+  const capped = await crawlSite(siteIO(site), 'https://quiz.example/', { follow: '/item/', maxPages: 1000, maxDepth: 1000, log: quiet });
+  assert.ok(capped.pages.length <= 10);
+  await assert.rejects(crawlSite(siteIO({}), 'https://quiz.example/', { log: quiet }), /404 https:\/\/quiz.example\//);
+});
+
+test('a crawl stops when the time budget runs low or the job is cancelled', async () => {
+  const site = {
+    'https://quiz.example/a': { bodyText: 'a', links: [link('/a?page=2', 'Next')] },
+    'https://quiz.example/a?page=2': { bodyText: 'b' }
+  };
+  const timed = await crawlSite(siteIO(site), 'https://quiz.example/a', { budget: { isTight: () => true }, log: quiet });
+  assert.deepEqual([timed.pages.length, timed.stoppedBy, timed.text], [1, 'time', 'a']);
+
+  const controller = new AbortController();
+  controller.abort(new Error('cancelled'));
+  await assert.rejects(crawlSite(siteIO(site), 'https://quiz.example/a', { signal: controller.signal, log: quiet }), /cancelled/);
+});
@@ -0,0 +1,61 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJob, runJob, emitJobEvent } from '../jobs.js';
+import { solveQuiz } from '../solver-llm.js';
+import { loadCassette, createCassetteIO } from '../cassette.js';
+import { createFakeClock } from '../time-budget.js';
+import { loadHandlerModules } from '../task-handlers.js';
+
+const CASSETTE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes', 'mock-quiz');
+const quiet = { debug() {}, info() {}, warn() {}, error() {}, child: () => quiet };
+
+before(async () => {
+  await loadHandlerModules();
+});
+
+test('events are numbered, kept and pushed to live subscribers', () => {
+  const job = createJob({ email: 'student@example.com', url: 'https://quiz.example/start' });
+  const live = [];
+  job.emitter.on('event', event => live.push(event));
+
+  emitJobEvent(job, 'page_loaded', { url: 'https://quiz.example/start' });
+  emitJobEvent(job, 'answer_computed', { answer: 42 });
+
+  assert.deepEqual(job.events.map(e => [e.seq, e.type]), [[1, 'page_loaded'], [2, 'answer_computed']]);
+  assert.deepEqual(live, job.events);
+  assert.deepEqual(job.events[1].data, { answer: 42 });
+  assert.doesNotThrow(() => emitJobEvent(null, 'page_loaded'));
+});
+
+test('a job keeps only its most recent events', () => {
+  const job = createJob({ email: 'student@example.com', url: 'https://quiz.example/start' });
+  for (let i = 0; i < 600; i++) emitJobEvent(job, 'tick', { i });
+  assert.equal(job.events.length, 500);
+  assert.equal(job.events[0].seq, 101);
+  assert.equal(job.events.at(-1).seq, 600);
+});
+
+test('a solve streams its progress, then state changes and end', async () => {
+  const cassette = await loadCassette(CASSETTE);
+  const clock = createFakeClock();
+  const job = createJob({ email: 'student@example.com', url: cassette.url });
+  let ended = false;
+  job.emitter.once('end', () => { ended = true; });
+
+  await runJob(job, () => solveQuiz(
+    { email: 'student@example.com', secret: 's', url: cassette.url },
+    { job, io: createCassetteIO(cassette, { clock }), clock, log: quiet }
+  ));
+
+  const types = job.events.map(e => e.type);
+  assert.equal(types[0], 'state');
+  assert.deepEqual(job.events.at(-1).data, { state: 'done', error: null });
+  assert.ok(ended);
+  for (const type of ['task_started', 'page_loaded', 'analysis_parsed', 'answer_computed', 'submission_result']) {
+    assert.ok(types.includes(type), type);
+  }
+  assert.ok(types.indexOf('page_loaded') < types.indexOf('submission_result'));
+  assert.equal(types.filter(t => t === 'submission_result').length, 10);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob } from '../jobs.js';
+import { enqueueJob, getQueuePosition, getQueueStats, isQueueFull, removeFromQueue } from '../job-queue.js';
+
+// A solve that runs until finish() is called
+function deferredSolve(order, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return { solve: async () => { order.push(name); await done; }, finish };
+}
+
+function newJob() {
+  return createJob({ email: 'student@example.com', url: 'https://quiz.example/start' });
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs run one at a time, first in first out', async () => {
+  const order = [];
+  const [a, b, c] = ['a', 'b', 'c'].map(name => ({ job: newJob(), ...deferredSolve(order, name) }));
+  for (const entry of [a, b, c]) assert.equal(enqueueJob(entry.job, entry.solve), true);
+
+  assert.deepEqual(order, ['a']);
+  assert.equal(a.job.state, 'running');
+  assert.equal(getQueuePosition(a.job), null);
+  assert.equal(getQueuePosition(c.job), 2);
+  assert.deepEqual(getQueueStats(), { concurrency: 1, limit: 10, running: 1, waiting: 2 });
+
+  a.finish();
+  await settle();
+  assert.deepEqual(order, ['a', 'b']);
+  assert.equal(a.job.state, 'done');
+  // c was told it moved up
+  assert.deepEqual(c.job.events.filter(e => e.type === 'queued').map(e => e.data.position), [2, 1]);
+
+  b.finish();
+  await settle();
+  c.finish();
+  await settle();
+  assert.deepEqual(order, ['a', 'b', 'c']);
+  assert.equal(getQueueStats().running, 0);
+});
+
+test('a full queue turns jobs away and a removed job never runs', async () => {
+  const order = [];
+  const running = { job: newJob(), ...deferredSolve(order, 'running') };
+  enqueueJob(running.job, running.solve);
+
+  const waiting = Array.from({ length: 10 }, (_, i) => ({ job: newJob(), ...deferredSolve(order, `w${i}`) }));
+  for (const entry of waiting) assert.equal(enqueueJob(entry.job, entry.solve), true);
+  assert.equal(isQueueFull(), true);
+  assert.equal(enqueueJob(newJob(), async () => {}), false);
+
+  assert.equal(removeFromQueue(waiting[0].job), true);
+  assert.equal(removeFromQueue(waiting[0].job), false);
+  assert.equal(isQueueFull(), false);
+  assert.equal(getQueuePosition(waiting[1].job), 1);
+
+  running.finish();
+  for (const entry of waiting) entry.finish();
+  while (getQueueStats().running > 0 || getQueueStats().waiting > 0) await settle();
+  assert.ok(!order.includes('w0'));
+  assert.equal(order.length, 10);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJob, getJob, runJob, cancelJob, toJobView, isJobFinished } from '../jobs.js';
+
+const payload = { email: 'student@example.com', secret: 'hunter2', url: 'https://quiz.example/start' };
+
+test('a new job is queued and can be looked up by id', () => {
+  const job = createJob(payload);
+  assert.equal(job.state, 'queued');
+  assert.equal(job.currentUrl, payload.url);
+  assert.equal(getJob(job.id), job);
+  assert.equal(getJob('no-such-job'), null);
+});
+
+test('runJob records running, then done', async () => {
+  const job = createJob(payload);
+  let stateWhileSolving = null;
+  await runJob(job, async () => {
+    stateWhileSolving = job.state;
+  });
+
+  assert.equal(stateWhileSolving, 'running');
+  assert.equal(job.state, 'done');
+  assert.ok(job.startedAt && job.finishedAt);
+  assert.equal(isJobFinished(job), true);
+});
+
+test('runJob records a solver error as failed and rethrows it', async () => {
+  const job = createJob(payload);
+  await assert.rejects(runJob(job, async () => { throw new Error('browser crashed'); }), /browser crashed/);
+  assert.equal(job.state, 'failed');
+  assert.equal(job.error, 'browser crashed');
+});
+
+test('the job view counts tasks and never shows the secret', async () => {
+  const job = createJob(payload);
+  await runJob(job, async () => {
+    job.taskHistory.push({ task: 1, correct: true }, { task: 2, correct: false });
+  });
+
+  const view = toJobView(job);
+  assert.equal(view.id, job.id);
+  assert.equal(view.state, 'done');
+  assert.deepEqual(view.tasks, { attempted: 2, correct: 1 });
+  assert.equal(view.taskHistory.length, 2);
+  assert.ok(!JSON.stringify(view).includes(payload.secret));
+});
+
+test('cancelling a queued job finishes it at once', () => {
+  const job = createJob(payload);
+  let ended = false;
+  job.emitter.once('end', () => { ended = true; });
+
+  assert.equal(cancelJob(job), true);
+  assert.equal(job.state, 'cancelled');
+  assert.equal(job.controller.signal.aborted, true);
+  assert.ok(ended);
+  assert.deepEqual(job.events.map(e => e.type), ['cancel_requested', 'state']);
+});
+
+test('cancelling a running job aborts its signal and it ends as cancelled', async () => {
+  const job = createJob(payload);
+  const running = runJob(job, () => new Promise((resolve, reject) => {
+    job.controller.signal.addEventListener('abort', () => reject(job.controller.signal.reason));
+  }));
+
+  assert.equal(cancelJob(job), true);
+  assert.equal(job.state, 'running');
+  await running;
+  assert.equal(job.state, 'cancelled');
+  assert.equal(job.error, null);
+});
+
+test('a finished job cannot be cancelled, and a cancelled one is not run', async () => {
+  const job = createJob(payload);
+  await runJob(job, async () => {});
+  assert.equal(cancelJob(job), false);
+  assert.equal(job.state, 'done');
+
+  const cancelled = createJob(payload);
+  cancelJob(cancelled);
+  let ran = false;
+  await runJob(cancelled, async () => { ran = true; });
+  assert.equal(ran, false);
+});
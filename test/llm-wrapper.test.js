@@ -0,0 +1,80 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { callLLM } from '../llm-wrapper.js';
+import { renderMetrics, resetMetrics } from '../metrics.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+let server;
+let received = [];
+
+function openaiFailures() {
+  const line = renderMetrics().split('\n').find(l => l.startsWith('llm_request_failures_total{provider="openai"}'));
+  return line ? Number(line.split(' ').pop()) : 0;
+}
+
+before(async () => {
+  // Answers requests that carry images and leaves plain-text ones hanging
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      if (!Array.isArray(request.messages[1].content)) return;
+      received.push(request);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '42' } }] }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.AIPIPE_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.AIPIPE_TOKEN = 'test-token';
+  delete process.env.GROQ_API_KEY;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+beforeEach(() => {
+  resetMetrics();
+  received = [];
+});
+
+test('a provider timeout counts as a failure, not a cancel', async () => {
+  const job = new AbortController();
+  await assert.rejects(
+    callLLM('sys', 'user', { retries: 0, timeoutMs: 200, signal: job.signal, log: quiet }),
+    /All LLM attempts failed/
+  );
+  assert.equal(openaiFailures(), 1);
+});
+
+test('cancelling the job rethrows and counts no failure', async () => {
+  const job = new AbortController();
+  setTimeout(() => job.abort(), 100);
+  await assert.rejects(
+    callLLM('sys', 'user', { retries: 0, timeoutMs: 5000, signal: job.signal, log: quiet }),
+    error => !/All LLM attempts failed/.test(error.message)
+  );
+  assert.equal(openaiFailures(), 0);
+});
+
+test('images go with the user prompt as data URI content parts', async () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const answer = await callLLM('sys', 'Read the chart', {
+    retries: 0, log: quiet,
+    images: [{ label: 'canvas #chart', mimeType: 'image/png', data: png }, 'data:image/jpeg;base64,/9j/']
+  });
+
+  assert.equal(answer, '42');
+  assert.deepEqual(received[0].messages[1], {
+    role: 'user',
+    content: [
+      { type: 'text', text: 'Read the chart' },
+      { type: 'image_url', image_url: { url: `data:image/png;base64,${png.toString('base64')}`, detail: 'high' } },
+      { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/', detail: 'high' } }
+    ]
+  });
+});
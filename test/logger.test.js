@@ -0,0 +1,57 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { logger } from '../logger.js';
+
+// JSON lines written to stdout/stderr while fn runs (fn must be synchronous)
+function capture(fn) {
+  const lines = [];
+  const originals = { out: process.stdout.write, err: process.stderr.write };
+  process.stdout.write = (chunk) => { lines.push({ stream: 'stdout', ...JSON.parse(chunk) }); return true; };
+  process.stderr.write = (chunk) => { lines.push({ stream: 'stderr', ...JSON.parse(chunk) }); return true; };
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.out;
+    process.stderr.write = originals.err;
+  }
+  return lines;
+}
+
+afterEach(() => {
+  delete process.env.LOG_FORMAT;
+  delete process.env.LOG_LEVEL;
+});
+
+test('JSON lines carry the level, message and the child logger ids', () => {
+  process.env.LOG_FORMAT = 'json';
+  const [line] = capture(() => logger.child({ jobId: 'job-1' }).child({ task: 2, attempt: 1 }).info('Submitting', { answer: 42 }));
+
+  assert.equal(line.stream, 'stdout');
+  assert.equal(line.level, 'info');
+  assert.equal(line.msg, 'Submitting { answer: 42 }');
+  assert.deepEqual([line.jobId, line.task, line.attempt], ['job-1', 2, 1]);
+  assert.ok(!Number.isNaN(Date.parse(line.time)));
+});
+
+test('errors go to stderr with their message and stack', () => {
+  process.env.LOG_FORMAT = 'json';
+  const [line] = capture(() => logger.error('💥 Fatal error:', new Error('boom')));
+
+  assert.equal(line.stream, 'stderr');
+  assert.equal(line.msg, '💥 Fatal error:');
+  assert.equal(line.err.message, 'boom');
+  assert.match(line.err.stack, /boom/);
+});
+
+test('LOG_LEVEL drops lower levels, and banner lines are left out of JSON', () => {
+  process.env.LOG_FORMAT = 'json';
+  process.env.LOG_LEVEL = 'warn';
+  const lines = capture(() => {
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('═'.repeat(70));
+    logger.warn('warn');
+  });
+
+  assert.deepEqual(lines.map(l => l.msg), ['warn']);
+});
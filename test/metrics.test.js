@@ -0,0 +1,41 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { replayCassette } from '../solver-llm.js';
+import { createJob, runJob } from '../jobs.js';
+import { loadHandlerModules } from '../task-handlers.js';
+import { renderMetrics, resetMetrics } from '../metrics.js';
+
+const CASSETTE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes', 'mock-quiz');
+// Replay output on stdout can garble the test runner's own stream
+const quiet = { debug() {}, info() {}, warn() {}, error() {}, child: () => quiet };
+
+// Sample lines (no comments) of the /metrics text for one metric name
+function samples(text, name) {
+  return text.split('\n').filter(line => line.startsWith(name));
+}
+
+before(async () => {
+  await loadHandlerModules();
+});
+
+test('/metrics counts a replayed mock-quiz job', async () => {
+  resetMetrics();
+  const job = createJob({ email: 'student@example.com', url: 'http://127.0.0.1:3900/demo' });
+  await runJob(job, () => replayCassette(CASSETTE, { log: quiet }));
+
+  const text = renderMetrics();
+  assert.deepEqual(samples(text, 'solver_jobs_started_total'), ['solver_jobs_started_total 1']);
+  assert.deepEqual(samples(text, 'solver_jobs_finished_total'), ['solver_jobs_finished_total{state="done"} 1']);
+  assert.deepEqual(samples(text, 'solver_tasks_submitted_total'), ['solver_tasks_submitted_total{result="correct"} 10']);
+  assert.ok(samples(text, 'solver_page_duration_seconds_count').includes('solver_page_duration_seconds_count 10'));
+  assert.match(text, /# TYPE solver_page_duration_seconds histogram/);
+});
+
+test('resetMetrics() clears every series but keeps the metric headers', () => {
+  resetMetrics();
+  const text = renderMetrics();
+  assert.deepEqual(text.split('\n').filter(line => line && !line.startsWith('#')), []);
+  assert.match(text, /# TYPE solver_tasks_submitted_total counter/);
+});
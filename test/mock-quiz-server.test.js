@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockQuizServer } from '../mock-quiz-server.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+let mock;
+
+before(async () => {
+  mock = await startMockQuizServer({ port: 0, windowMs: 300, secret: 'mock-secret', log: quiet });
+});
+
+after(() => mock.close());
+
+async function submit(body) {
+  const response = await fetch(`${mock.url}/submit`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const payload = (email, extra = {}) => ({ email, secret: 'mock-secret', url: `${mock.url}/demo?email=${email}`, answer: 'hello', ...extra });
+
+test('/submit needs every field, the configured secret and a known quiz url', async () => {
+  assert.deepEqual(await submit({ email: 'a@example.com', secret: 'mock-secret', answer: 1 }),
+    { status: 400, body: { error: 'email, secret, url and answer are required' } });
+  assert.deepEqual(await submit(payload('a@example.com', { secret: 'wrong' })),
+    { status: 403, body: { error: 'Invalid secret' } });
+  assert.deepEqual(await submit(payload('a@example.com', { url: `${mock.url}/nowhere` })),
+    { status: 400, body: { error: `Unknown quiz url: ${mock.url}/nowhere` } });
+});
+
+test('a correct answer links to the next stage for the same email', async () => {
+  const email = 'chain@example.com';
+  assert.deepEqual((await submit(payload(email))).body,
+    { correct: true, reason: null, url: `${mock.url}/demo-scrape?email=${encodeURIComponent(email)}` });
+
+  const empty = await submit(payload(email, { answer: '' }));
+  assert.deepEqual([empty.body.correct, empty.body.reason], [false, 'Answer must not be empty']);
+});
+
+test('answers after the per-email window are refused', async () => {
+  const email = 'late@example.com';
+  await fetch(`${mock.url}/demo?email=${email}`).then(response => response.text());
+  await new Promise(resolve => setTimeout(resolve, 400));
+
+  assert.deepEqual((await submit(payload(email))).body, { correct: false, reason: 'Time limit of 0s exceeded', url: null });
+  // The window is per email: a fresh one starts on its own first request
+  assert.equal((await submit(payload('early@example.com'))).body.correct, true);
+});
+
+test('the token-gated CSV needs its header', async () => {
+  assert.equal((await fetch(`${mock.url}/demo-token-data.csv`)).status, 403);
+  const response = await fetch(`${mock.url}/demo-token-data.csv`, { headers: { 'X-Quiz-Token': 'mock-token-7f3a' } });
+  assert.match(await response.text(), /^quarter,amount\nQ1,4200\n/);
+});
+
+test('the scripted model answers analysis prompts with the stage analysis', async () => {
+  const response = await fetch(`${mock.url}/openai/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages: [{ role: 'user', content: `Analyze this data science task.\nURL: ${mock.url}/demo-scrape?email=s%40example.com` }] })
+  });
+  const analysis = JSON.parse((await response.json()).choices[0].message.content);
+  assert.equal(analysis.taskType, 'scraping');
+  assert.equal(analysis.scrapeUrl, `${mock.url}/demo-scrape-data?email=s%40example.com`);
+  assert.equal(analysis.submitUrl, `${mock.url}/submit`);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { startCapture, responsesAsFiles, describeResponses } from '../network-capture.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A Playwright response as startCapture reads it
+function fakeResponse({ url, type = 'fetch', method = 'GET', status = 200, contentType = 'application/json', body = '' }) {
+  return {
+    url: () => url,
+    status: () => status,
+    headers: () => ({ 'content-type': contentType }),
+    request: () => ({ resourceType: () => type, method: () => method }),
+    body: async () => Buffer.from(body)
+  };
+}
+
+const entry = (extra) => ({ method: 'GET', status: 200, contentType: 'application/json', format: 'json', bytes: 2, body: '[]', truncated: false, ...extra });
+
+test('XHR and fetch responses are kept until stop, with text bodies cut at the byte limit', async () => {
+  const page = new EventEmitter();
+  const capture = startCapture(page, { maxBytes: 10, maxResponses: 3, log: quiet });
+
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/app.js', type: 'script', contentType: 'text/javascript' }));
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/api/orders', body: '[{"id": 1}, {"id": 2}]' }));
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/logo', type: 'xhr', contentType: 'image/png', body: 'PNG' }));
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/data.csv', method: 'POST', contentType: 'text/plain', body: 'a\n1\n' }));
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/api/extra', body: '{}' }));
+
+  const responses = await capture.stop();
+  page.emit('response', fakeResponse({ url: 'https://quiz.example/api/late', body: '{}' }));
+
+  assert.deepEqual(responses.map(r => [r.url, r.method, r.format, r.body, r.truncated]), [
+    ['https://quiz.example/api/orders', 'GET', 'json', '[{"id": 1}', true],
+    ['https://quiz.example/logo', 'GET', 'text', null, false],
+    ['https://quiz.example/data.csv', 'POST', 'csv', 'a\n1\n', false]
+  ]);
+  assert.equal(responses[0].bytes, 22);
+  assert.equal(page.listenerCount('response'), 0);
+});
+
+test('successful text responses become files, named by format when the URL does not show it', () => {
+  const files = responsesAsFiles([
+    entry({ url: 'https://quiz.example/api/orders' }),
+    entry({ url: 'https://quiz.example/api/orders', body: '[1]' }),
+    entry({ url: 'https://quiz.example/data.csv?v=2', format: 'csv', contentType: 'text/csv' }),
+    entry({ url: 'https://quiz.example/notes', format: 'text', contentType: 'text/plain' }),
+    entry({ url: 'https://quiz.example/api/missing', status: 404 }),
+    entry({ url: 'https://quiz.example/logo', body: null })
+  ]);
+  assert.deepEqual(files.map(f => [f.key, f.body]), [
+    ['https://quiz.example/api/orders#.json', '[]'],
+    ['https://quiz.example/data.csv?v=2', '[]'],
+    ['https://quiz.example/notes', '[]']
+  ]);
+});
+
+test('responses are described one per line with a body preview', () => {
+  assert.equal(describeResponses([
+    entry({ url: 'https://quiz.example/api/orders', body: '[\n  1,\n  2\n]', bytes: 12 }),
+    entry({ url: 'https://quiz.example/logo', method: 'POST', status: 204, contentType: '', bytes: null, body: null })
+  ]), '- GET https://quiz.example/api/orders (200, application/json, 12 bytes) [ 1, 2 ]\n'
+    + '- POST https://quiz.example/logo (204, no content type, ? bytes)');
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { recognizeImages, pdfImages, decodeDataUri, isOcrReadable } from '../ocr.js';
+import { encodePng } from '../png.js';
+import { startMockQuizServer } from '../mock-quiz-server.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A blank gray PNG: no text to read, so the time it takes grows only with its size
+function blankPng(width = 60, height = 60) {
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width, 255)]);
+  return encodePng(width, height, 8, 0, Buffer.concat(Array(height).fill(row)));
+}
+
+// A PDF body with one stream object per { dict, stream } (no xref; pdfImages scans objects)
+function pdfWith(objects) {
+  const parts = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  objects.forEach(({ dict, stream }, i) => {
+    parts.push(Buffer.from(`${i + 1} 0 obj\n<< ${dict} /Length ${stream.length} >>\nstream\n`, 'latin1'), stream, Buffer.from('\nendstream\nendobj\n', 'latin1'));
+  });
+  return Buffer.concat(parts);
+}
+
+test('images and data: URIs tesseract cannot read are told apart', () => {
+  assert.equal(isOcrReadable('https://quiz.example/scan.png?v=1'), true);
+  assert.equal(isOcrReadable('data:image/jpeg;base64,/9j/'), true);
+  assert.equal(isOcrReadable('https://quiz.example/logo.svg'), false);
+  assert.equal(isOcrReadable('data:image/gif;base64,R0lG'), false);
+  assert.equal(isOcrReadable(''), false);
+
+  assert.deepEqual(decodeDataUri('data:image/png;base64,iVBORw=='), { mimeType: 'image/png', data: Buffer.from('iVBORw==', 'base64') });
+  assert.deepEqual(decodeDataUri('data:,a%20b'), { mimeType: 'text/plain', data: Buffer.from('a b') });
+  assert.equal(decodeDataUri('https://quiz.example/a.png'), null);
+});
+
+test('PDF page images come out as JPEG or PNG, skipping small and unsupported ones', () => {
+  const gray = zlib.deflateSync(Buffer.alloc(50 * 50, 128));
+  const pdf = pdfWith([
+    { dict: '/Type /Page', stream: Buffer.from('BT (text) Tj ET') },
+    { dict: '/Subtype /Image /Width 50 /Height 50 /Filter /DCTDecode', stream: Buffer.from([0xff, 0xd8, 0xff, 0xd9]) },
+    { dict: '/Subtype /Image /Width 50 /Height 50 /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode', stream: gray },
+    { dict: '/Subtype /Image /Width 10 /Height 10 /Filter /DCTDecode', stream: Buffer.from([0xff, 0xd8]) },
+    { dict: '/Subtype /Image /Width 50 /Height 50 /ColorSpace /DeviceCMYK /BitsPerComponent 8 /Filter /FlateDecode', stream: gray },
+    { dict: '/Subtype /Image /Width 50 /Height 50 /Filter /JBIG2Decode', stream: Buffer.from('jbig2') }
+  ]);
+
+  const images = pdfImages(pdf, { log: quiet });
+  assert.deepEqual(images.map(i => [i.label, i.mimeType]), [
+    ['pdf image 2 (50x50)', 'image/jpeg'],
+    ['pdf image 3 (50x50)', 'image/png']
+  ]);
+  assert.deepEqual([...images[0].data], [0xff, 0xd8, 0xff, 0xd9]);
+  assert.deepEqual([images[1].data.readUInt32BE(16), images[1].data.readUInt32BE(20)], [50, 50]);
+});
+
+test('the numbers on a scanned PDF are read', async () => {
+  const mock = await startMockQuizServer({ port: 0, log: quiet });
+  try {
+    const pdf = Buffer.from(await (await fetch(`${mock.url}/demo-scan-data.pdf`)).arrayBuffer());
+    const images = pdfImages(pdf, { log: quiet });
+    assert.ok(images.length > 0);
+
+    const [result] = await recognizeImages(images.slice(0, 1).map(i => ({ source: i.label, data: i.data })), { log: quiet });
+    for (const amount of ['1250', '2475', '910']) assert.match(result.text.replace(/[,\s]/g, ''), new RegExp(amount));
+    assert.ok(result.lines.length > 0 && result.lines[0].words[0].bbox);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('a timeout keeps the images read so far and marks the one that timed out', async () => {
+  // The second (large) image gets 1ms, so it times out and the third is never tried
+  const timeouts = [30_000, 1, 30_000];
+  const budget = { isTight: () => false, stepTimeout: () => timeouts.shift() };
+  const images = [
+    { source: 'a.png', data: blankPng() },
+    { source: 'b.png', data: blankPng(1500, 1500) },
+    { source: 'c.png', data: blankPng() }
+  ];
+
+  const results = await recognizeImages(images, { log: quiet, budget });
+
+  assert.equal(results.length, 2);
+  assert.equal(results[0].source, 'a.png');
+  assert.equal(results[0].error, undefined);
+  assert.deepEqual(results[1], { source: 'b.png', error: 'OCR timed out after 1ms' });
+});
+
+test('an abort still throws', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(
+    recognizeImages([{ source: 'a.png', data: blankPng() }], { log: quiet, signal: controller.signal }),
+    { name: 'AbortError' }
+  );
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeControls, describeAction, runPageActions } from '../page-actions.js';
+import { normalizeActions } from '../task-analysis.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+// The parts of a Playwright page that actions use, recording each call; clicking a
+// selector listed in navigations moves the page to that URL
+function fakePage({ texts = {}, missing = [], navigations = {} } = {}) {
+  const calls = [];
+  let url = 'https://quiz.example/q1';
+  const find = (selector) => {
+    if (missing.includes(selector)) throw new Error(`Timeout waiting for ${selector}\nCall log: ...`);
+  };
+  return {
+    calls,
+    url: () => url,
+    click: async (selector) => { find(selector); calls.push(['click', selector]); url = navigations[selector] || url; },
+    fill: async (selector, value) => { find(selector); calls.push(['fill', selector, value]); },
+    selectOption: async (selector, value) => { find(selector); calls.push(['select', selector, value]); },
+    waitForSelector: async (selector) => { find(selector); calls.push(['wait', selector]); },
+    waitForLoadState: async () => {},
+    waitForTimeout: async () => {},
+    evaluate: async () => { calls.push(['scroll']); },
+    locator: (selector) => ({
+      first: () => ({
+        innerText: async () => { find(selector); return texts[selector] ?? ''; },
+        scrollIntoViewIfNeeded: async () => { find(selector); calls.push(['scroll', selector]); }
+      })
+    })
+  };
+}
+
+test('actions from the model are normalized, and bad steps reported and dropped', () => {
+  const errors = [];
+  const actions = normalizeActions([
+    { action: ' Click ', selector: ' #reveal ' },
+    { action: 'type', selector: '#q', value: 42 },
+    { action: 'scroll' },
+    { action: 'eval', selector: 'body' },
+    { action: 'click' },
+    { action: 'select', selector: '#vault' }
+  ], errors);
+  assert.deepEqual(actions, [
+    { action: 'click', selector: '#reveal', value: null },
+    { action: 'type', selector: '#q', value: '42' },
+    { action: 'scroll', selector: null, value: null }
+  ]);
+  assert.deepEqual(errors, [
+    'actions[3].action must be one of click, type, select, wait, scroll, read',
+    'actions[4].selector must be a CSS selector',
+    'actions[5].value must be the option to select'
+  ]);
+  assert.deepEqual(normalizeActions(null), []);
+  const notArray = [];
+  assert.deepEqual(normalizeActions('click #reveal', notArray), []);
+  assert.deepEqual(notArray, ['actions must be an array']);
+});
+
+test('controls and actions are described one per line for prompts', () => {
+  assert.equal(describeControls([
+    { selector: '#vault', tag: 'select', type: null, label: 'Vault', options: ['alpha (Alpha)', 'beta (Beta)'] },
+    { selector: '#reveal', tag: 'button', type: 'submit', label: '', options: null }
+  ]), '- #vault (select) "Vault" options: alpha (Alpha), beta (Beta)\n- #reveal (button/submit)');
+  assert.equal(describeAction({ action: 'type', selector: '#q', value: 'cats' }), 'type "cats" into #q');
+  assert.equal(describeAction({ action: 'select', selector: '#vault', value: 'gamma' }), 'select "gamma" in #vault');
+  assert.equal(describeAction({ action: 'scroll', selector: null }), 'scroll down');
+  assert.equal(describeAction({ action: 'click', selector: '#reveal' }), 'click #reveal');
+});
+
+test('actions run in order and what they read is returned', async () => {
+  const page = fakePage({ texts: { '#result': 'Secret code is 4242' } });
+  const result = await runPageActions(page, normalizeActions([
+    { action: 'select', selector: '#vault', value: 'gamma' },
+    { action: 'click', selector: '#reveal' },
+    { action: 'wait', selector: '#result' },
+    { action: 'scroll' },
+    { action: 'read', selector: '#result' }
+  ]), { origin: 'https://quiz.example/', log: quiet });
+
+  assert.equal(result.stoppedBy, 'done');
+  assert.deepEqual(page.calls, [['select', '#vault', 'gamma'], ['click', '#reveal'], ['wait', '#result'], ['scroll']]);
+  assert.ok(result.steps.every(step => step.ok));
+  assert.deepEqual(result.reads, [{ selector: '#result', text: 'Secret code is 4242' }]);
+});
+
+test('actions stop at the first failure, off the quiz origin, past the step limit or when time is tight', async () => {
+  const click = (selector) => ({ action: 'click', selector, value: null });
+
+  const failed = await runPageActions(fakePage({ missing: ['#gone'] }), [click('#a'), click('#gone'), click('#b')], { log: quiet });
+  assert.equal(failed.stoppedBy, 'error');
+  assert.deepEqual(failed.steps.map(step => [step.selector, step.ok, step.error]),
+    [['#a', true, undefined], ['#gone', false, 'Timeout waiting for #gone']]);
+
+  const page = fakePage({ navigations: { '#away': 'https://elsewhere.example/' } });
+  const left = await runPageActions(page, [click('#away'), click('#b')], { origin: 'https://quiz.example/q1', log: quiet });
+  assert.deepEqual([left.stoppedBy, left.steps.length], ['left-origin', 1]);
+
+  const limited = await runPageActions(fakePage(), [click('#a'), click('#b'), click('#c')], { maxSteps: 2, log: quiet });
+  assert.deepEqual([limited.stoppedBy, limited.steps.length], ['max-steps', 2]);
+
+  const timed = await runPageActions(fakePage(), [click('#a')], { budget: { isTight: () => true }, log: quiet });
+  assert.deepEqual([timed.stoppedBy, timed.steps], ['time', []]);
+});
@@ -0,0 +1,113 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyTaskRequest, verifyJobRequest, verifyAdminRequest, signTaskBody, safeEqual } from '../request-auth.js';
+
+const alice = { email: 'alice@example.com', secret: 'alice-secret', signingKey: 'alice-key', settings: {} };
+
+// Just enough of an express request for request-auth.js
+function fakeRequest({ body = {}, headers = {}, method = 'POST', url = '/task' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const raw = JSON.stringify(body);
+  return { body, rawBody: Buffer.from(raw), method, originalUrl: url, get: (name) => lower[name.toLowerCase()] };
+}
+
+function signedRequest(key, body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID(), signedBody } = {}) {
+  const raw = signedBody ?? JSON.stringify(body);
+  return fakeRequest({
+    body,
+    headers: { 'X-Timestamp': String(timestamp), 'X-Nonce': nonce, 'X-Signature': signTaskBody(key, timestamp, nonce, raw) }
+  });
+}
+
+beforeEach(() => {
+  process.env.TASK_SIGNING_KEY = 'global-key';
+  delete process.env.ALLOW_SECRET_AUTH;
+  delete process.env.ADMIN_KEY;
+});
+
+test('safeEqual compares strings only', () => {
+  assert.equal(safeEqual('abc', 'abc'), true);
+  assert.equal(safeEqual('abc', 'abd'), false);
+  assert.equal(safeEqual('abc', undefined), false);
+});
+
+test('accepts a request signed with the global key for an unregistered email', () => {
+  const auth = verifyTaskRequest(signedRequest('global-key', { email: 'bob@example.com' }), 'server-secret');
+  assert.deepEqual(auth, { ok: true, mode: 'signature' });
+});
+
+test('rejects a signature over a different body', () => {
+  const req = signedRequest('global-key', { email: 'bob@example.com', url: 'https://a' }, { signedBody: '{"email":"bob@example.com"}' });
+  assert.equal(verifyTaskRequest(req, 'server-secret').error, 'Invalid signature');
+});
+
+test('rejects timestamps outside the replay window', () => {
+  const stale = Math.floor(Date.now() / 1000) - 301;
+  const auth = verifyTaskRequest(signedRequest('global-key', { email: 'bob@example.com' }, { timestamp: stale }), 'server-secret');
+  assert.equal(auth.ok, false);
+  assert.equal(auth.error, 'Request timestamp outside allowed window');
+});
+
+test('accepts a nonce only once', () => {
+  const nonce = crypto.randomUUID();
+  const body = { email: 'bob@example.com' };
+  assert.equal(verifyTaskRequest(signedRequest('global-key', body, { nonce }), 'server-secret').ok, true);
+  assert.equal(verifyTaskRequest(signedRequest('global-key', body, { nonce }), 'server-secret').error, 'Nonce already used');
+});
+
+test('requires all three signature headers', () => {
+  const req = fakeRequest({ body: {}, headers: { 'X-Signature': 'sha256=00' } });
+  assert.equal(verifyTaskRequest(req, 'server-secret').status, 401);
+});
+
+test('a signed request needs a secret to submit with', () => {
+  const body = { email: 'bob@example.com' };
+  assert.deepEqual(verifyTaskRequest(signedRequest('global-key', body), undefined),
+    { ok: false, status: 403, error: 'No secret configured for this email' });
+  assert.equal(verifyTaskRequest(signedRequest('global-key', { ...body, secret: 'own' }), undefined).ok, true);
+});
+
+test('registered users sign with their own key only', () => {
+  const body = { email: alice.email };
+  assert.equal(verifyTaskRequest(signedRequest('alice-key', body), 'server-secret', alice).ok, true);
+  assert.equal(verifyTaskRequest(signedRequest('global-key', body), 'server-secret', alice).error, 'Invalid signature');
+  assert.equal(verifyTaskRequest(signedRequest('global-key', body), 'server-secret', { ...alice, signingKey: null }).error, 'No signing key for this email');
+});
+
+test('secret mode checks the email\'s own secret', () => {
+  assert.deepEqual(verifyTaskRequest(fakeRequest({ body: { secret: 'server-secret' } }), 'server-secret'), { ok: true, mode: 'secret' });
+  assert.equal(verifyTaskRequest(fakeRequest({ body: { secret: 'server-secret' } }), 'server-secret', alice).status, 403);
+  assert.equal(verifyTaskRequest(fakeRequest({ body: { secret: 'alice-secret' } }), 'server-secret', alice).ok, true);
+  assert.equal(verifyTaskRequest(fakeRequest({ body: {} }), undefined).status, 403);
+});
+
+test('ALLOW_SECRET_AUTH=false requires signatures', () => {
+  process.env.ALLOW_SECRET_AUTH = 'false';
+  const auth = verifyTaskRequest(fakeRequest({ body: { secret: 'server-secret' } }), 'server-secret');
+  assert.deepEqual(auth, { ok: false, status: 401, error: 'Signed request required' });
+});
+
+test('job requests take X-Secret or a signature over method and path', () => {
+  const url = '/jobs/123/events';
+  assert.equal(verifyJobRequest(fakeRequest({ method: 'GET', url, headers: { 'X-Secret': 'alice-secret' } }), 'server-secret', alice).ok, true);
+  assert.equal(verifyJobRequest(fakeRequest({ method: 'GET', url, headers: { 'X-Secret': 'server-secret' } }), 'server-secret', alice).ok, false);
+
+  const sign = (method, signedUrl) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const nonce = crypto.randomUUID();
+    return { 'X-Timestamp': String(timestamp), 'X-Nonce': nonce, 'X-Signature': signTaskBody('alice-key', timestamp, nonce, `${method} ${signedUrl}`) };
+  };
+  assert.equal(verifyJobRequest(fakeRequest({ method: 'GET', url, headers: sign('GET', url) }), 'server-secret', alice).ok, true);
+  assert.equal(verifyJobRequest(fakeRequest({ method: 'DELETE', url: '/jobs/123', headers: sign('GET', '/jobs/123') }), 'server-secret', alice).error, 'Invalid signature');
+});
+
+test('admin routes need ADMIN_KEY as a bearer token', () => {
+  const withAuth = (value) => fakeRequest({ method: 'GET', url: '/runs', headers: value ? { Authorization: value } : {} });
+  assert.equal(verifyAdminRequest(withAuth('Bearer anything')).status, 403);
+
+  process.env.ADMIN_KEY = 'admin-key';
+  assert.equal(verifyAdminRequest(withAuth(null)).status, 401);
+  assert.equal(verifyAdminRequest(withAuth('Bearer wrong')).status, 401);
+  assert.deepEqual(verifyAdminRequest(withAuth('Bearer admin-key')), { ok: true });
+});
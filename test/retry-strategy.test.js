@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeAttempts, planRetry } from '../retry-strategy.js';
+
+const rejected = {
+  attempt: 1, answer: 1200, handler: 'csv-aggregate', reason: 'Sum is too high',
+  filter: { operator: '>=', value: 500 }, targetColumn: null, csvColumns: 3, strategy: null
+};
+
+test('the first attempt has nothing to describe or change', () => {
+  assert.equal(describeAttempts([]), '');
+  assert.equal(planRetry([]), null);
+});
+
+test('earlier attempts are listed with how they were made and why they failed', () => {
+  const text = describeAttempts([rejected, { attempt: 2, answer: null, error: 'No task handler produced an answer' }]);
+  assert.equal(text, `PREVIOUS ATTEMPTS (none were accepted):
+- Attempt 1: answer 1200 (csv-aggregate, filter >= 500) → rejected: "Sum is too high"
+- Attempt 2: answer null → failed: No task handler produced an answer
+Do not repeat a rejected answer. Use the reasons above to find what was misread.`);
+});
+
+test('retries change one untried thing at a time', () => {
+  const attempts = [rejected];
+
+  const flip = planRetry(attempts);
+  assert.deepEqual(flip, {
+    name: 'flip-operator', description: 'CSV filter >= 500 → > 500', filterOperator: '>', excludeHandlers: []
+  });
+
+  attempts.push({ ...rejected, attempt: 2, filter: { operator: '>', value: 500 }, strategy: flip });
+  const code = planRetry(attempts);
+  assert.equal(code.name, 'switch-to-code');
+  assert.deepEqual(code.excludeHandlers, ['csv-aggregate']);
+
+  attempts.push({ ...rejected, attempt: 3, handler: 'code', filter: null, strategy: code });
+  const column = planRetry(attempts);
+  assert.deepEqual([column.name, column.targetColumn], ['switch-column', 'first']);
+
+  attempts.push({ ...rejected, attempt: 4, handler: 'code', filter: null, targetColumn: 'first', strategy: column });
+  const last = planRetry(attempts);
+  assert.equal(last.name, 'reconsider');
+  assert.deepEqual(last.excludeHandlers, ['csv-aggregate']);
+});
+
+test('an attempt the model answered goes straight to re-reading the task', () => {
+  assert.deepEqual(planRetry([{ attempt: 1, answer: 'Paris', handler: 'llm', reason: 'Wrong city' }]), {
+    name: 'reconsider', description: 're-read the task with the rejection reasons', excludeHandlers: []
+  });
+});
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CASSETTE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes', 'mock-quiz');
+const quiet = { debug() {}, info() {}, warn() {}, error() {}, child: () => quiet };
+
+// run-store.js reads DATA_DIR when it loads
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-store-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+const { createRunRecorder, recordIO, saveRun, listRuns, getRun, createReplayIO } = await import('../run-store.js');
+const { solveQuiz, replayRun } = await import('../solver-llm.js');
+const { loadCassette, createCassetteIO } = await import('../cassette.js');
+const { createFakeClock } = await import('../time-budget.js');
+const { loadHandlerModules } = await import('../task-handlers.js');
+
+let saved;
+
+before(async () => {
+  await loadHandlerModules();
+
+  // Record a solve of the mock quiz (served from its cassette) as a live run would be
+  const cassette = await loadCassette(CASSETTE);
+  const clock = createFakeClock();
+  const recorder = createRunRecorder({ jobId: 'job-1', email: 'student@example.com', url: cassette.url });
+  const io = recordIO(createCassetteIO(cassette, { clock }), recorder);
+  const result = await solveQuiz({ email: 'student@example.com', secret: 'hunter2', url: cassette.url }, { io, clock, log: quiet });
+  saved = await saveRun(recorder, { state: 'done', taskHistory: result.taskHistory });
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('a saved run is listed and read back, without the secret', async () => {
+  const [summary] = await listRuns();
+  assert.equal(summary.id, saved.id);
+  assert.equal(summary.state, 'done');
+  assert.deepEqual([summary.attempts, summary.correct], [10, 10]);
+
+  const run = await getRun(saved.id);
+  assert.equal(run.pages.length > 0, true);
+  assert.equal(run.submissions.length, 10);
+  assert.equal(await getRun('no-such-run'), null);
+
+  const raw = await fs.readFile(path.join(dataDir, 'runs.jsonl'), 'utf8');
+  assert.ok(!raw.includes('hunter2'));
+});
+
+test('listRuns returns the newest runs first, up to the limit', async () => {
+  const second = await saveRun(createRunRecorder({ url: 'https://quiz.example/other' }), { state: 'failed', error: 'boom' });
+  assert.deepEqual((await listRuns()).map(r => r.id), [second.id, saved.id]);
+  assert.deepEqual((await listRuns({ limit: 1 })).map(r => r.id), [second.id]);
+});
+
+test('a replay of the run reaches the same answers offline', async () => {
+  const run = await getRun(saved.id);
+  const result = await replayRun(run, { log: quiet });
+  assert.deepEqual(result.replayed.map(t => [t.answer, t.correct]), run.taskHistory.map(t => [t.answer, t.correct]));
+});
+
+test('replayed submissions of unseen answers are never reported correct', async () => {
+  const run = await getRun(saved.id);
+  const io = createReplayIO(run);
+  const response = await io.submit('https://ignored.example/submit', { url: run.url, answer: 'not what was sent' });
+  assert.equal(response.correct, false);
+  assert.equal(response.unverified, true);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { takeScreenshots } from '../screenshots.js';
+import { createCassette, recordCassetteIO, saveCassette, loadCassette, createCassetteIO } from '../cassette.js';
+import { dispatchTask, listHandlers } from '../task-handlers.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+// A Playwright page whose canvas/img/svg elements have the given boxes and labels
+function fakePage(elements, { height = 6000 } = {}) {
+  const clips = [];
+  return {
+    clips,
+    evaluate: async () => ({ width: 1280, height }),
+    screenshot: async (options) => {
+      clips.push(options.clip);
+      return Buffer.from(`page ${options.type}`);
+    },
+    locator: () => ({
+      all: async () => elements.map(({ label, box, fails }) => ({
+        boundingBox: async () => box,
+        evaluate: async () => label,
+        screenshot: async () => {
+          if (fails) throw new Error('Element is not attached to the DOM');
+          return Buffer.from(label);
+        }
+      }))
+    })
+  };
+}
+
+test('the full page is shot first, cut in height, then each large enough element', async () => {
+  const page = fakePage([
+    { label: 'img logo.png', box: { width: 32, height: 32 } },
+    { label: 'canvas #chart', box: { width: 400, height: 300 } },
+    { label: 'svg', box: null },
+    { label: 'img detached.png', box: { width: 100, height: 100 }, fails: true },
+    { label: 'img photo.jpg', box: { width: 200, height: 100 } },
+    { label: 'svg #map', box: { width: 300, height: 300 } }
+  ]);
+
+  const shots = await takeScreenshots(page, { maxElements: 2, log: quiet });
+  assert.deepEqual(shots.map(s => [s.label, s.mimeType, s.data.toString()]), [
+    ['full page', 'image/jpeg', 'page jpeg'],
+    ['canvas #chart', 'image/png', 'canvas #chart'],
+    ['img photo.jpg', 'image/png', 'img photo.jpg']
+  ]);
+  assert.deepEqual(page.clips, [{ x: 0, y: 0, width: 1280, height: 4000 }]);
+});
+
+test('the vision handler sends the screenshots with the task and cleans the answer', async () => {
+  const screenshots = [{ label: 'full page', mimeType: 'image/jpeg', data: Buffer.from('jpeg') }];
+  const calls = [];
+  const context = {
+    description: 'Total units sold across the week',
+    operation: 'sum',
+    conditions: '',
+    bodyText: 'The chart below shows units sold per day.',
+    analysis: { visual: true },
+    screenshots,
+    answerType: 'number',
+    excludeHandlers: listHandlers().filter(name => name !== 'vision'),
+    io: {
+      callLLM: async (systemPrompt, userPrompt, log, options) => {
+        calls.push({ userPrompt, options });
+        return 'Mon 42, Tue 57, ...\nAnswer: 243';
+      }
+    },
+    log: quiet
+  };
+
+  const result = await dispatchTask(context);
+  assert.deepEqual([result.handler, result.answer, result.score], ['vision', 243, 0.7]);
+  assert.equal(calls[0].options.images, screenshots);
+  assert.match(calls[0].userPrompt, /screenshots of a quiz page: 1\. full page/);
+  assert.match(calls[0].userPrompt, /TASK: Total units sold across the week/);
+
+  // Without screenshots the handler stays out of the way
+  await assert.rejects(dispatchTask({ ...context, screenshots: [] }), /No task handler produced an answer/);
+});
+
+test('cassettes keep screenshots and tell LLM calls apart by the images sent', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-'));
+  try {
+    const url = 'https://quiz.example/canvas';
+    const shots = [{ label: 'canvas #chart', mimeType: 'image/png', data: Buffer.from('bars') }];
+    const cassette = createCassette(dir, { url });
+    const io = recordCassetteIO({
+      screenshot: async () => shots,
+      callLLM: async (systemPrompt, userPrompt, log, options = {}) => (options.images?.length ? 'with images' : 'text only')
+    }, cassette);
+    await io.screenshot(url);
+    await io.callLLM('sys', 'Read the chart', quiet, { images: shots });
+    await io.callLLM('sys', 'Read the chart', quiet);
+    await saveCassette(cassette);
+
+    const replay = createCassetteIO(await loadCassette(dir));
+    const [shot] = await replay.screenshot(url);
+    assert.deepEqual([shot.label, shot.mimeType, shot.data.toString()], ['canvas #chart', 'image/png', 'bars']);
+    assert.equal(await replay.callLLM('sys', 'Read the chart', quiet, { images: shots }), 'with images');
+    assert.equal(await replay.callLLM('sys', 'Read the chart', quiet), 'text only');
+    await assert.rejects(
+      replay.callLLM('sys', 'Read the chart', quiet, { images: [{ ...shots[0], data: Buffer.from('other') }] }),
+      /Cassette miss/
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,85 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { solveQuiz, solveOnce } from '../solver-llm.js';
+import { createJob, runJob, cancelJob } from '../jobs.js';
+import { loadCassette, createCassetteIO } from '../cassette.js';
+import { createFakeClock } from '../time-budget.js';
+import { loadHandlerModules } from '../task-handlers.js';
+
+const CASSETTE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'cassettes', 'mock-quiz');
+const quiet = { debug() {}, info() {}, warn() {}, error() {}, child: () => quiet };
+
+before(async () => {
+  await loadHandlerModules();
+});
+
+test('a submission that fails at both URLs is recorded once per attempt', async () => {
+  const cassette = await loadCassette(CASSETTE);
+  const clock = createFakeClock();
+  const cassetteIO = createCassetteIO(cassette, { clock });
+  const prompts = [];
+  const io = {
+    ...cassetteIO,
+    callLLM: (systemPrompt, userPrompt, ...rest) => {
+      prompts.push(userPrompt);
+      return cassetteIO.callLLM(systemPrompt, userPrompt, ...rest);
+    },
+    submit: async () => { throw new Error('connect ECONNREFUSED'); }
+  };
+
+  const result = await solveQuiz({ email: 'student@example.com', secret: 's', url: cassette.url }, { io, clock, log: quiet });
+
+  // Attempt 1 solves the page and cannot submit; the retries miss the cassette
+  assert.deepEqual(result.taskHistory.map(t => t.attempt), [1, 2, 3]);
+  const [first] = result.taskHistory;
+  assert.equal(first.correct, false);
+  assert.match(first.error, /^submission failed: connect ECONNREFUSED/);
+  assert.notEqual(first.answer, null);
+
+  // The retry prompts describe attempt 1 exactly once
+  const retryPrompt = prompts.findLast(p => p.includes('- Attempt 1:'));
+  assert.equal(retryPrompt.split('- Attempt 1:').length - 1, 1);
+});
+
+test('cancelling a job stops the solve and keeps the history so far', async () => {
+  const cassette = await loadCassette(CASSETTE);
+  const clock = createFakeClock();
+  const cassetteIO = createCassetteIO(cassette, { clock });
+  const job = createJob({ email: 'student@example.com', url: cassette.url });
+  let submissions = 0;
+  const io = {
+    ...cassetteIO,
+    submit: async (...args) => {
+      const response = await cassetteIO.submit(...args);
+      if (++submissions === 3) cancelJob(job);
+      return response;
+    }
+  };
+
+  await runJob(job, () => solveQuiz({ email: 'student@example.com', secret: 's', url: cassette.url }, { job, io, clock, log: quiet }));
+
+  assert.equal(job.state, 'cancelled');
+  assert.equal(submissions, 3);
+  assert.equal(job.taskHistory.length, 3);
+});
+
+test('a dry run answers the first page without submitting', async () => {
+  const cassette = await loadCassette(CASSETTE);
+  const cassetteIO = createCassetteIO(cassette, { clock: createFakeClock() });
+  let submissions = 0;
+  const io = { ...cassetteIO, submit: async (...args) => { submissions++; return cassetteIO.submit(...args); } };
+
+  const result = await solveOnce({ email: 'student@example.com', secret: 's', url: cassette.url }, { io, log: quiet });
+
+  assert.equal(submissions, 0);
+  assert.equal(result.url, cassette.url);
+  assert.deepEqual(result.answer, cassette.taskHistory[0].answer);
+  assert.equal(result.handler, cassette.taskHistory[0].handler);
+  assert.match(result.submitUrl, /\/submit$/);
+});
+
+test('a dry run needs a URL', async () => {
+  await assert.rejects(solveOnce({ email: 'student@example.com' }, { io: {}, log: quiet }), /No URL provided/);
+});
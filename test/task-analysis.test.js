@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractJSON, validateAnalysis, analyzeTask, describeConditions } from '../task-analysis.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+const valid = {
+  taskType: 'Computation',
+  description: 'Sum the values below the cutoff',
+  files: [{ url: 'https://quiz.example/data.csv', role: 'data', format: 'CSV' }],
+  scrapeUrl: null,
+  operations: ['SUM'],
+  conditions: [{ field: 'value', operator: '<', value: '30064' }],
+  notes: '',
+  submitUrl: 'https://quiz.example/submit',
+  answerType: 'number'
+};
+
+// An io whose callLLM answers with the given replies in turn, keeping the prompts
+function scriptedIO(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    callLLM: async (systemPrompt, userPrompt) => {
+      prompts.push(userPrompt);
+      if (replies.length === 0) throw new Error('no more replies');
+      return replies.shift();
+    }
+  };
+}
+
+test('extractJSON finds the object in fenced or chatty replies', () => {
+  assert.deepEqual(extractJSON('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJSON('Here you go: {"a": {"b": 2}} - done'), { a: { b: 2 } });
+  assert.equal(extractJSON('no json here'), null);
+  assert.equal(extractJSON('{"a": }'), null);
+  assert.equal(extractJSON(null), null);
+});
+
+test('a valid analysis is normalized', () => {
+  const { valid: ok, errors, value } = validateAnalysis(valid);
+  assert.equal(ok, true, errors.join('; '));
+  assert.equal(value.taskType, 'computation');
+  assert.deepEqual(value.files, [{ url: 'https://quiz.example/data.csv', role: 'data', format: 'csv' }]);
+  assert.deepEqual(value.operations, ['sum']);
+  assert.deepEqual(value.conditions, [{ field: 'value', operator: '<', value: 30064 }]);
+  assert.deepEqual([value.crawl, value.visual, value.actions, value.headers], [null, false, [], {}]);
+  assert.equal(describeConditions(value), 'value < 30064');
+});
+
+test('each invalid field is reported and dropped', () => {
+  const { valid: ok, errors, value } = validateAnalysis({
+    ...valid,
+    taskType: 'guessing',
+    files: [{ url: 'data.csv', role: 'data', format: 'csv' }],
+    conditions: [{ field: null, operator: '≈', value: 3 }],
+    headers: { Host: 'evil.example' },
+    answerType: 'integer'
+  });
+  assert.equal(ok, false);
+  assert.deepEqual(errors, [
+    'taskType must be one of scraping, analysis, computation, extraction, visualization, other',
+    'files[0].url must be a URL',
+    'conditions[0].operator must be one of < <= > >= == !=',
+    'answerType must be one of number, string, boolean, object, file',
+    'headers["Host"] cannot be set'
+  ]);
+  assert.deepEqual([value.taskType, value.files, value.conditions, value.headers, value.answerType], ['other', [], [], {}, null]);
+  assert.deepEqual(validateAnalysis([1, 2]).errors, ['answer must be a JSON object']);
+});
+
+test('an invalid analysis is sent back with its problems until it is repaired', async () => {
+  const io = scriptedIO([JSON.stringify({ ...valid, answerType: 'integer' }), `Fixed:\n${JSON.stringify(valid)}`]);
+  const analysis = await analyzeTask('https://quiz.example/q1', 'page text', { io, log: quiet });
+
+  assert.equal(analysis.repaired, true);
+  assert.equal(analysis.answerType, 'number');
+  assert.equal(io.prompts.length, 2);
+  assert.match(io.prompts[1], /PROBLEMS:\n- answerType must be one of/);
+});
+
+test('out of repairs, the fields that passed are used', async () => {
+  const invalid = JSON.stringify({ ...valid, answerType: 'integer' });
+  const io = scriptedIO([invalid, invalid, invalid]);
+  const analysis = await analyzeTask('https://quiz.example/q1', 'page text', { io, log: quiet, repairAttempts: 2 });
+  assert.equal(io.prompts.length, 3);
+  assert.equal(analysis.answerType, null);
+  assert.equal(analysis.submitUrl, 'https://quiz.example/submit');
+});
+
+test('old line-format replies still parse, and anything else fails', async () => {
+  const lines = 'TASK_TYPE: computation\nFILES: https://quiz.example/data.csv\nOPERATION: sum\nCONDITIONS: values >= 500\nSUBMIT: https://quiz.example/submit';
+  const analysis = await analyzeTask('https://quiz.example/q1', 'page text', { io: scriptedIO([lines]), log: quiet, repairAttempts: 0 });
+  assert.equal(analysis.taskType, 'computation');
+  assert.deepEqual(analysis.files, [{ url: 'https://quiz.example/data.csv', role: 'data', format: 'csv' }]);
+  assert.deepEqual(analysis.conditions, [{ field: null, operator: '>=', value: 500 }]);
+
+  await assert.rejects(
+    analyzeTask('https://quiz.example/q1', 'page text', { io: scriptedIO(['I cannot help with that']), log: quiet, repairAttempts: 0 }),
+    /Task analysis invalid: answer must be a JSON object/
+  );
+});
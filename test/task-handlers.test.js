@@ -0,0 +1,89 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { registerHandler, unregisterHandler, listHandlers, rankHandlers, dispatchTask, loadHandlerModules } from '../task-handlers.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+const BUILT_IN = listHandlers();
+const added = [];
+
+// Register a handler for one test; the built-ins are kept out of the way via excludeHandlers
+function add(name, canHandle, solve) {
+  added.push(name);
+  return registerHandler({ name, canHandle, solve });
+}
+
+function context(extra = {}) {
+  return { log: quiet, excludeHandlers: BUILT_IN, answerType: null, ...extra };
+}
+
+afterEach(() => {
+  added.splice(0).forEach(unregisterHandler);
+});
+
+test('the built-in handlers are registered, and a handler needs the full shape', () => {
+  for (const name of ['secret-code', 'csv-aggregate', 'pdf-numbers', 'api-json', 'code', 'llm']) {
+    assert.ok(BUILT_IN.includes(name), name);
+  }
+  assert.throws(() => registerHandler({ name: 'half', canHandle: () => 1 }), /needs a name, canHandle\(context\) and solve\(context\)/);
+});
+
+test('handlers rank by score; zero scores, failures and exclusions drop out', () => {
+  add('low', () => 0.2, async () => null);
+  add('high', () => 0.9, async () => null);
+  add('never', () => 0, async () => null);
+  add('broken', () => { throw new Error('bad'); }, async () => null);
+  add('excluded', () => 1, async () => null);
+
+  const ranked = rankHandlers(context({ excludeHandlers: [...BUILT_IN, 'excluded'] }));
+  assert.deepEqual(ranked.map(r => [r.handler.name, r.score]), [['high', 0.9], ['low', 0.2]]);
+});
+
+test('dispatch falls through empty, failing and mistyped answers to the next handler', async () => {
+  const tried = [];
+  add('empty', () => 0.9, async () => { tried.push('empty'); return null; });
+  add('throws', () => 0.8, async () => { tried.push('throws'); throw new Error('no data'); });
+  add('mistyped', () => 0.7, async () => { tried.push('mistyped'); return { answer: 'lots' }; });
+  add('works', () => 0.6, async () => { tried.push('works'); return { answer: '1,234', note: 'kept' }; });
+  add('unused', () => 0.5, async () => { tried.push('unused'); return { answer: 1 }; });
+
+  const result = await dispatchTask(context({ answerType: 'number' }));
+  assert.deepEqual(tried, ['empty', 'throws', 'mistyped', 'works']);
+  assert.deepEqual(result, { answer: 1234, note: 'kept', handler: 'works', score: 0.6 });
+});
+
+test('a handler registered under an existing name replaces it', async () => {
+  add('twin', () => 1, async () => ({ answer: 'first' }));
+  add('twin', () => 1, async () => ({ answer: 'second' }));
+  assert.equal(listHandlers().filter(name => name === 'twin').length, 1);
+  assert.equal((await dispatchTask(context())).answer, 'second');
+});
+
+test('dispatch fails when no handler answers', async () => {
+  add('empty', () => 1, async () => null);
+  await assert.rejects(dispatchTask(context()), /No task handler produced an answer/);
+});
+
+test('handler modules are loaded from a list of paths', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'handlers-'));
+  const file = path.join(dir, 'extra-handlers.mjs');
+  await fs.writeFile(file, `export default [
+    { name: 'extra-a', canHandle: () => 1, solve: async () => ({ answer: 'a' }) },
+    { name: 'extra-b', canHandle: () => 0, solve: async () => null }
+  ];\n`);
+  added.push('extra-a', 'extra-b');
+
+  const previous = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'error';
+  try {
+    const names = await loadHandlerModules(file);
+    assert.deepEqual(names.slice(-2), ['extra-a', 'extra-b']);
+    assert.equal((await dispatchTask(context())).handler, 'extra-a');
+  } finally {
+    if (previous === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = previous;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBudget, createFakeClock } from '../time-budget.js';
+
+test('a fake clock only moves when told to', async () => {
+  const clock = createFakeClock(1000);
+  const started = Date.now();
+  await clock.sleep(60_000);
+  clock.advance(500);
+  assert.equal(clock.now(), 61_500);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(clock.timeout(1).aborted, false);
+});
+
+test('budget turns tight, then expired, as the clock moves', () => {
+  const clock = createFakeClock();
+  const budget = createBudget(60_000, { clock, reserveMs: 10_000 });
+  assert.equal(budget.isTight(), false);
+  assert.equal(budget.stepTimeout(60_000), 50_000);
+  assert.equal(budget.stepTimeout(60_000, { final: true }), 60_000);
+
+  clock.advance(25_000);
+  assert.equal(budget.isTight(), true);
+  assert.equal(budget.expired(), false);
+
+  clock.advance(25_000);
+  assert.equal(budget.expired(), true);
+  assert.equal(budget.stepTimeout(60_000), 1000);
+  assert.equal(budget.remaining(), 10_000);
+});
+
+test('each task gets at most its own share of the run', () => {
+  const clock = createFakeClock();
+  const budget = createBudget(300_000, { clock, reserveMs: 10_000 });
+  assert.equal(budget.startTask(90_000), 90_000);
+  clock.advance(30_000);
+  assert.equal(budget.taskRemaining(), 60_000);
+  assert.equal(budget.stepTimeout(120_000), 60_000);
+});
+
+test('best() keeps the latest offered answer for the task', () => {
+  const budget = createBudget(60_000, { clock: createFakeClock() });
+  budget.offer('');
+  assert.equal(budget.best(), null);
+  budget.offer(41, { source: 'csv' });
+  budget.offer(42, { source: 'llm' });
+  assert.deepEqual(budget.best(), { answer: 42, source: 'llm', at: 0 });
+  budget.startTask();
+  assert.equal(budget.best(), null);
+});
@@ -0,0 +1,71 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadUserRegistry, lookupUser, getUserCount } from '../user-registry.js';
+
+function load(data) {
+  process.env.USERS_JSON = typeof data === 'string' ? data : JSON.stringify(data);
+  return loadUserRegistry();
+}
+
+beforeEach(() => {
+  delete process.env.USERS_FILE;
+  delete process.env.USERS_JSON;
+});
+
+test('reads plain secrets and full entries, matching emails case-insensitively', () => {
+  load({
+    'alice@example.com': 'alice-secret',
+    ' Bob@Example.com ': { secret: 'bob-secret', signingKey: 'bob-key', provider: 'groq', strategy: 'voting', timeBudgetMs: 120000 }
+  });
+  assert.equal(getUserCount(), 2);
+  assert.deepEqual(lookupUser('ALICE@example.com'), { email: 'alice@example.com', secret: 'alice-secret', signingKey: null, settings: {} });
+  assert.deepEqual(lookupUser('bob@example.com'), {
+    email: 'bob@example.com',
+    secret: 'bob-secret',
+    signingKey: 'bob-key',
+    settings: { provider: 'groq', strategy: 'voting', timeBudgetMs: 120000 }
+  });
+  assert.equal(lookupUser('carol@example.com'), null);
+  assert.equal(lookupUser(undefined), null);
+});
+
+test('skips entries without a secret', () => {
+  load({ 'a@example.com': '', 'b@example.com': { provider: 'groq' }, 'c@example.com': null, 'd@example.com': 'ok' });
+  assert.equal(getUserCount(), 1);
+  assert.ok(lookupUser('d@example.com'));
+});
+
+test('drops invalid settings and keys but keeps the user', () => {
+  load({ 'a@example.com': { secret: 's', signingKey: 42, provider: 'nope', strategy: 'all', timeBudgetMs: -5 } });
+  assert.deepEqual(lookupUser('a@example.com'), { email: 'a@example.com', secret: 's', signingKey: null, settings: {} });
+});
+
+test('caps timeBudgetMs at ten minutes', () => {
+  load({ 'a@example.com': { secret: 's', timeBudgetMs: 60 * 60 * 1000 } });
+  assert.equal(lookupUser('a@example.com').settings.timeBudgetMs, 10 * 60 * 1000);
+});
+
+test('invalid JSON or a missing file leaves the registry empty', () => {
+  load('{ not json');
+  assert.equal(getUserCount(), 0);
+
+  process.env.USERS_FILE = path.join(os.tmpdir(), `missing-users-${process.pid}.json`);
+  assert.equal(loadUserRegistry().size, 0);
+});
+
+test('USERS_FILE takes precedence over USERS_JSON', () => {
+  const file = path.join(os.tmpdir(), `users-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ 'file@example.com': 'from-file' }));
+  try {
+    process.env.USERS_FILE = file;
+    process.env.USERS_JSON = JSON.stringify({ 'env@example.com': 'from-env' });
+    loadUserRegistry();
+    assert.equal(lookupUser('file@example.com').secret, 'from-file');
+    assert.equal(lookupUser('env@example.com'), null);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+});
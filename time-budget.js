@@ -0,0 +1,100 @@
+// time-budget.js - Deadlines for a solve run, its tasks and each I/O step
+// - the run has one deadline (timeBudgetMs, default 2.5 min); each task gets at most
+//   TASK_TIME_BUDGET_MS of what is left
+// - every step (page load, download, LLM call, transcription) runs under
+//   step(capMs): its usual timeout, cut short by the task deadline and by the run
+//   deadline minus SUBMIT_RESERVE_MS, so there is always time left to post an answer
+// - handlers offer() answers as they find them; best() is what gets submitted when
+//   time runs out before an attempt finishes
+// - isTight() tells callers to skip optional work (repairs, fix loops, voting, waits)
+// - time comes from a clock: the system clock for live runs, a fake one for replays, where
+//   time only moves by recorded step durations and skipped waits, so every replay takes the
+//   same tight/expired/best-effort branches
+
+const SUBMIT_RESERVE_MS = parseInt(process.env.SUBMIT_RESERVE_MS || '10000', 10);
+const TASK_TIME_BUDGET_MS = parseInt(process.env.TASK_TIME_BUDGET_MS || '90000', 10);
+const TIGHT_BUDGET_MS = parseInt(process.env.TIGHT_BUDGET_MS || '30000', 10);
+const MIN_STEP_MS = 1000;
+
+export const systemClock = {
+  now: () => Date.now(),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+  timeout: (ms) => AbortSignal.timeout(ms)
+};
+
+/**
+ * Clock that only moves when told to: sleep() returns at once after moving it forward,
+ * advance() moves it by a recorded duration, and step signals never time out.
+ */
+export function createFakeClock(startMs = 0) {
+  let now = startMs;
+  const never = new AbortController().signal;
+  return {
+    now: () => now,
+    sleep: async (ms) => { now += ms; },
+    timeout: () => never,
+    advance: (ms) => { now += Math.max(0, ms || 0); }
+  };
+}
+
+/**
+ * Budget for a run of totalMs. options.signal (the job's AbortSignal) is folded
+ * into every step signal so cancellation still works; options.clock defaults to systemClock.
+ */
+export function createBudget(totalMs, options = {}) {
+  const { signal, reserveMs = SUBMIT_RESERVE_MS, clock = systemClock } = options;
+  const startedAt = clock.now();
+  const deadline = startedAt + totalMs;
+  let taskDeadline = deadline;
+  let candidate = null;
+
+  const budget = {
+    deadline,
+    reserveMs,
+    clock,
+
+    elapsed: () => clock.now() - startedAt,
+    remaining: () => Math.max(0, deadline - clock.now()),
+    taskRemaining: () => Math.max(0, Math.min(taskDeadline, deadline) - clock.now()),
+
+    // No point starting work that cannot finish before the submit reserve
+    expired: () => budget.remaining() <= reserveMs,
+    isTight: () => budget.remaining() - reserveMs < TIGHT_BUDGET_MS,
+
+    /**
+     * Start the clock for a new task; forgets the previous task's candidate answer
+     */
+    startTask(maxMs = TASK_TIME_BUDGET_MS) {
+      taskDeadline = Math.min(deadline - reserveMs, clock.now() + maxMs);
+      candidate = null;
+      return budget.taskRemaining();
+    },
+
+    /**
+     * Timeout for one step. final: true is for submissions, which may use the reserve.
+     */
+    stepTimeout(capMs, { final = false } = {}) {
+      const now = clock.now();
+      const limit = final ? deadline - now : Math.min(taskDeadline, deadline - reserveMs) - now;
+      return Math.max(MIN_STEP_MS, Math.min(capMs, limit));
+    },
+
+    /**
+     * { timeoutMs, signal } for one step; the signal aborts at the step deadline or on cancel
+     */
+    step(capMs, opts) {
+      const timeoutMs = budget.stepTimeout(capMs, opts);
+      const timer = clock.timeout(timeoutMs);
+      return { timeoutMs, signal: signal ? AbortSignal.any([signal, timer]) : timer };
+    },
+
+    offer(answer, meta = {}) {
+      if (answer === undefined || answer === null || answer === '') return;
+      candidate = { answer, ...meta, at: clock.now() };
+    },
+
+    best: () => candidate
+  };
+
+  return budget;
+}
@@ -0,0 +1,99 @@
+// user-registry.js - Per-email secrets and solver settings for a shared deployment
+// Loaded once from USERS_FILE (path to a JSON file) or USERS_JSON (the JSON itself):
+//
+//   {
+//     "alice@example.com": "alice-secret",
+//     "bob@example.com": { "secret": "bob-secret", "signingKey": "bob-hmac-key", "provider": "groq", "strategy": "voting", "timeBudgetMs": 120000 }
+//   }
+//
+// signingKey is the user's own key for signed requests; without one the user can only send
+// the secret. Emails not listed fall back to SECRET and TASK_SIGNING_KEY from the environment.
+import fs from 'fs';
+import { logger } from './logger.js';
+
+const PROVIDERS = ['openai', 'groq'];
+const STRATEGIES = ['single', 'voting'];
+const MAX_TIME_BUDGET_MS = 10 * 60 * 1000;
+
+let registry = null;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function parseEntry(email, value) {
+  const entry = typeof value === 'string' ? { secret: value } : value;
+  if (!entry || typeof entry.secret !== 'string' || !entry.secret) {
+    logger.warn(`⚠️  User registry: ignoring ${email} (missing secret)`);
+    return null;
+  }
+
+  let signingKey = null;
+  if (entry.signingKey !== undefined) {
+    if (typeof entry.signingKey === 'string' && entry.signingKey) signingKey = entry.signingKey;
+    else logger.warn(`⚠️  User registry: invalid signingKey for ${email}`);
+  }
+
+  const settings = {};
+  if (entry.provider !== undefined) {
+    if (PROVIDERS.includes(entry.provider)) settings.provider = entry.provider;
+    else logger.warn(`⚠️  User registry: unknown provider "${entry.provider}" for ${email}`);
+  }
+  if (entry.strategy !== undefined) {
+    if (STRATEGIES.includes(entry.strategy)) settings.strategy = entry.strategy;
+    else logger.warn(`⚠️  User registry: unknown strategy "${entry.strategy}" for ${email}`);
+  }
+  if (entry.timeBudgetMs !== undefined) {
+    const ms = Number(entry.timeBudgetMs);
+    if (Number.isFinite(ms) && ms > 0) settings.timeBudgetMs = Math.min(ms, MAX_TIME_BUDGET_MS);
+    else logger.warn(`⚠️  User registry: invalid timeBudgetMs for ${email}`);
+  }
+
+  return { email, secret: entry.secret, signingKey, settings };
+}
+
+/**
+ * Load (or reload) the registry from USERS_FILE / USERS_JSON
+ */
+export function loadUserRegistry() {
+  registry = new Map();
+
+  let raw = null;
+  try {
+    if (process.env.USERS_FILE) raw = fs.readFileSync(process.env.USERS_FILE, 'utf8');
+    else if (process.env.USERS_JSON) raw = process.env.USERS_JSON;
+  } catch (err) {
+    logger.error('❌ User registry: could not read', process.env.USERS_FILE, '-', err.message);
+    return registry;
+  }
+  if (!raw) return registry;
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    logger.error('❌ User registry: invalid JSON -', err.message);
+    return registry;
+  }
+
+  for (const [email, value] of Object.entries(data || {})) {
+    const entry = parseEntry(normalizeEmail(email), value);
+    if (entry) registry.set(entry.email, entry);
+  }
+
+  logger.info(`👥 User registry: ${registry.size} user(s) loaded`);
+  return registry;
+}
+
+/**
+ * Registry entry for an email ({ email, secret, signingKey, settings }), or null if not listed
+ */
+export function lookupUser(email) {
+  if (!registry) loadUserRegistry();
+  return registry.get(normalizeEmail(email)) || null;
+}
+
+export function getUserCount() {
+  if (!registry) loadUserRegistry();
+  return registry.size;
+}